@@ -1,14 +1,24 @@
 const { S3Client } = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { createPresignedPost } = require("@aws-sdk/s3-presigned-post");
 const {
   PutObjectCommand,
   GetObjectCommand,
   DeleteObjectCommand,
+  DeleteObjectsCommand,
   CreateMultipartUploadCommand,
   UploadPartCommand,
   CompleteMultipartUploadCommand,
   AbortMultipartUploadCommand,
+  ListPartsCommand,
+  ListMultipartUploadsCommand,
+  HeadObjectCommand,
+  PutObjectTaggingCommand,
+  CopyObjectCommand,
+  UploadPartCopyCommand,
+  ListObjectsV2Command,
 } = require("@aws-sdk/client-s3");
+const { StorageError } = require("../errors");
 
 // Initialize S3 client
 const s3Client = new S3Client({
@@ -17,45 +27,260 @@ const s3Client = new S3Client({
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
   },
+  // Only send checksums we set explicitly; otherwise the SDK bakes the
+  // CRC32 of an empty body into every presigned upload URL
+  requestChecksumCalculation: "WHEN_REQUIRED",
 });
 
+// How S3 errors surface to clients, keyed by S3 error code. Failures the
+// client can fix keep a 4xx status; failures on our side become 5xx, with
+// throttling and outages marked retryable.
+const AWS_ERRORS = {
+  NoSuchUpload: { status: 404, code: "MULTIPART_UPLOAD_NOT_FOUND" },
+  NoSuchKey: { status: 404, code: "OBJECT_NOT_FOUND" },
+  NotFound: { status: 404, code: "OBJECT_NOT_FOUND" },
+  EntityTooSmall: { status: 400, code: "ENTITY_TOO_SMALL" },
+  EntityTooLarge: { status: 413, code: "ENTITY_TOO_LARGE" },
+  InvalidPart: { status: 400, code: "INVALID_PART" },
+  InvalidPartOrder: { status: 400, code: "INVALID_PART_ORDER" },
+  BadDigest: { status: 400, code: "CHECKSUM_MISMATCH" },
+  InvalidDigest: { status: 400, code: "INVALID_CHECKSUM" },
+  InvalidRange: { status: 416, code: "INVALID_RANGE" },
+  PreconditionFailed: { status: 412, code: "PRECONDITION_FAILED" },
+  KeyTooLongError: { status: 400, code: "KEY_TOO_LONG" },
+  InvalidObjectState: { status: 409, code: "INVALID_OBJECT_STATE" },
+  AccessDenied: { status: 502, code: "STORAGE_ACCESS_DENIED" },
+  InvalidAccessKeyId: { status: 502, code: "STORAGE_CREDENTIALS_INVALID" },
+  SignatureDoesNotMatch: { status: 502, code: "STORAGE_CREDENTIALS_INVALID" },
+  ExpiredToken: { status: 502, code: "STORAGE_CREDENTIALS_INVALID" },
+  NoSuchBucket: { status: 502, code: "STORAGE_BUCKET_NOT_FOUND" },
+  SlowDown: {
+    status: 503,
+    code: "STORAGE_THROTTLED",
+    retryable: true,
+    retryAfter: 1,
+  },
+  ServiceUnavailable: {
+    status: 503,
+    code: "STORAGE_UNAVAILABLE",
+    retryable: true,
+    retryAfter: 5,
+  },
+  InternalError: {
+    status: 502,
+    code: "STORAGE_INTERNAL_ERROR",
+    retryable: true,
+  },
+  RequestTimeout: { status: 504, code: "STORAGE_TIMEOUT", retryable: true },
+  TimeoutError: { status: 504, code: "STORAGE_TIMEOUT", retryable: true },
+};
+
+// Node network errors reaching S3
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+];
+
+/**
+ * Wrap an AWS SDK error in a StorageError carrying its client-facing status,
+ * stable code and retry hints
+ * @param {Error} error - Error thrown by the SDK
+ * @param {string} message - What failed, e.g. "Failed to delete file"
+ * @returns {StorageError}
+ */
+const toStorageError = (error, message) => {
+  let mapping = AWS_ERRORS[error.name];
+  if (!mapping && NETWORK_ERROR_CODES.includes(error.code)) {
+    mapping = { status: 503, code: "STORAGE_UNAVAILABLE", retryable: true };
+  }
+  if (!mapping) {
+    mapping = {
+      status: 502,
+      code: "STORAGE_ERROR",
+      retryable: !!error.$retryable || error.$metadata?.httpStatusCode >= 500,
+    };
+  }
+
+  return new StorageError(message, {
+    ...mapping,
+    // S3's own message only helps when the client can act on it
+    details: mapping.status < 500 ? error.message : undefined,
+    cause: error,
+  });
+};
+
+// Supported checksum algorithms: command field, signed header and digest size
+const CHECKSUM_ALGORITHMS = {
+  SHA256: {
+    field: "ChecksumSHA256",
+    header: "x-amz-checksum-sha256",
+    bytes: 32,
+  },
+  CRC32C: {
+    field: "ChecksumCRC32C",
+    header: "x-amz-checksum-crc32c",
+    bytes: 4,
+  },
+};
+
+/**
+ * Validate a base64 checksum value for an algorithm
+ * @param {string} algorithm - Checksum algorithm (SHA256 or CRC32C)
+ * @param {string} value - Base64-encoded digest
+ * @returns {boolean}
+ */
+const isValidChecksum = (algorithm, value) => {
+  const spec = CHECKSUM_ALGORITHMS[algorithm];
+  if (!spec || typeof value !== "string") {
+    return false;
+  }
+  const digest = Buffer.from(value, "base64");
+  return digest.length === spec.bytes && digest.toString("base64") === value;
+};
+
+/**
+ * Build the command fields and signing options that bind a checksum into a
+ * presigned URL. The checksum header stays a signed header, so the client
+ * must send exactly this value and S3 rejects a body that doesn't match it.
+ * @param {string} algorithm - Checksum algorithm (SHA256 or CRC32C)
+ * @param {string} value - Base64-encoded digest
+ * @returns {Object} - { params, unhoistableHeaders }
+ */
+const checksumSigningParams = (algorithm, value) => {
+  if (!algorithm || !value) {
+    return { params: {}, unhoistableHeaders: new Set() };
+  }
+  const spec = CHECKSUM_ALGORITHMS[algorithm];
+  return {
+    params: { ChecksumAlgorithm: algorithm, [spec.field]: value },
+    unhoistableHeaders: new Set([spec.header]),
+  };
+};
+
+/**
+ * Encode a tag set as the URL query string S3 expects in x-amz-tagging
+ * @param {Object} tags - Tag names mapped to values
+ * @returns {string|undefined} - Encoded tag set, or undefined when empty
+ */
+const encodeTagging = (tags = {}) => {
+  const pairs = Object.entries(tags).map(
+    ([name, value]) =>
+      `${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+  );
+  return pairs.length > 0 ? pairs.join("&") : undefined;
+};
+
 /**
  * Generate a presigned URL for uploading a file to S3
  * @param {string} key - The S3 object key (file path)
  * @param {string} contentType - The MIME type of the file
  * @param {number} expiresIn - Expiration time in seconds
+ * @param {Object} options - Optional checksum binding, metadata and tags
+ * @param {string} options.checksumAlgorithm - SHA256 or CRC32C
+ * @param {string} options.checksum - Base64 checksum of the whole object
+ * @param {Object} options.metadata - x-amz-meta-* values
+ * @param {Object} options.tags - Tag names mapped to values
  * @returns {Promise<string>} - The presigned URL
  */
 const generatePresignedUploadUrl = async (
   key,
   contentType,
-  expiresIn = 3600
+  expiresIn = 3600,
+  { checksumAlgorithm, checksum, metadata, tags } = {}
 ) => {
+  const { params, unhoistableHeaders } = checksumSigningParams(
+    checksumAlgorithm,
+    checksum
+  );
   const command = new PutObjectCommand({
     Bucket: process.env.S3_BUCKET_NAME,
     Key: key,
     ContentType: contentType,
+    Metadata: metadata,
+    Tagging: encodeTagging(tags),
+    ...params,
   });
 
   try {
-    const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn });
+    const presignedUrl = await getSignedUrl(s3Client, command, {
+      expiresIn,
+      unhoistableHeaders,
+    });
     return presignedUrl;
   } catch (error) {
     console.error("Error generating presigned upload URL:", error);
-    throw new Error("Failed to generate presigned upload URL");
+    throw toStorageError(error, "Failed to generate presigned upload URL");
+  }
+};
+
+/**
+ * Generate a presigned POST for uploading a file to S3. The policy pins the
+ * key, Content-Type and metadata and bounds the body size, so S3 itself
+ * rejects anything else.
+ * @param {string} key - The S3 object key (file path)
+ * @param {string} contentType - The MIME type of the file
+ * @param {number} expiresIn - Expiration time in seconds
+ * @param {Object} options - Policy conditions
+ * @param {number} options.minSize - Smallest accepted body in bytes
+ * @param {number} options.maxSize - Largest accepted body in bytes
+ * @param {Object} options.metadata - Required x-amz-meta-* values
+ * @returns {Promise<Object>} - { url, fields } for a multipart/form-data POST
+ */
+const generatePresignedPost = async (
+  key,
+  contentType,
+  expiresIn = 3600,
+  { minSize = 1, maxSize, metadata = {} } = {}
+) => {
+  try {
+    return await createPresignedPost(s3Client, {
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: key,
+      // Every field becomes an exact-match condition of the policy
+      Fields: {
+        "Content-Type": contentType,
+        ...Object.fromEntries(
+          Object.entries(metadata).map(([name, value]) => [
+            `x-amz-meta-${name}`,
+            value,
+          ])
+        ),
+      },
+      Conditions: [["content-length-range", minSize, maxSize]],
+      Expires: expiresIn,
+    });
+  } catch (error) {
+    console.error("Error generating presigned POST:", error);
+    throw toStorageError(error, "Failed to generate presigned POST");
   }
 };
 
 /**
- * Generate a presigned URL for downloading a file from S3
+ * Generate a presigned URL for downloading a file from S3. The response
+ * header overrides are signed into the URL and applied by S3.
  * @param {string} key - The S3 object key (file path)
  * @param {number} expiresIn - Expiration time in seconds
+ * @param {Object} [overrides]
+ * @param {string} [overrides.contentDisposition] - Content-Disposition to respond with
+ * @param {string} [overrides.contentType] - Content-Type to respond with
+ * @param {string} [overrides.cacheControl] - Cache-Control to respond with
  * @returns {Promise<string>} - The presigned URL
  */
-const generatePresignedDownloadUrl = async (key, expiresIn = 3600) => {
+const generatePresignedDownloadUrl = async (
+  key,
+  expiresIn = 3600,
+  { contentDisposition, contentType, cacheControl } = {}
+) => {
   const command = new GetObjectCommand({
     Bucket: process.env.S3_BUCKET_NAME,
     Key: key,
+    ResponseContentDisposition: contentDisposition,
+    ResponseContentType: contentType,
+    ResponseCacheControl: cacheControl,
   });
 
   try {
@@ -63,7 +288,7 @@ const generatePresignedDownloadUrl = async (key, expiresIn = 3600) => {
     return presignedUrl;
   } catch (error) {
     console.error("Error generating presigned download URL:", error);
-    throw new Error("Failed to generate presigned download URL");
+    throw toStorageError(error, "Failed to generate presigned download URL");
   }
 };
 
@@ -83,7 +308,374 @@ const deleteFile = async (key) => {
     console.log(`File deleted successfully: ${key}`);
   } catch (error) {
     console.error("Error deleting file:", error);
-    throw new Error("Failed to delete file");
+    throw toStorageError(error, "Failed to delete file");
+  }
+};
+
+// Most keys a single DeleteObjects request accepts
+const MAX_DELETE_OBJECTS = 1000;
+
+/**
+ * Delete many objects with batched DeleteObjects requests. Keys that don't
+ * exist count as deleted, as with DeleteObject.
+ * @param {string[]} keys - The S3 object keys
+ * @returns {Promise<Object>} - { deleted: string[], errors: [{ key, code, message }] }
+ */
+const deleteObjects = async (keys) => {
+  const deleted = [];
+  const errors = [];
+
+  for (let i = 0; i < keys.length; i += MAX_DELETE_OBJECTS) {
+    const batch = keys.slice(i, i + MAX_DELETE_OBJECTS);
+    try {
+      const response = await s3Client.send(
+        new DeleteObjectsCommand({
+          Bucket: process.env.S3_BUCKET_NAME,
+          Delete: {
+            Objects: batch.map((key) => ({ Key: key })),
+            // Only report the keys that failed
+            Quiet: true,
+          },
+        })
+      );
+
+      const failed = new Map(
+        (response.Errors || []).map((error) => [error.Key, error])
+      );
+      for (const key of batch) {
+        const error = failed.get(key);
+        if (error) {
+          errors.push({
+            key,
+            code: AWS_ERRORS[error.Code]?.code || "STORAGE_ERROR",
+            message: error.Message || "Failed to delete file",
+          });
+        } else {
+          deleted.push(key);
+        }
+      }
+    } catch (error) {
+      console.error("Error deleting files:", error);
+      const storageError = toStorageError(error, "Failed to delete files");
+      errors.push(
+        ...batch.map((key) => ({
+          key,
+          code: storageError.code,
+          message: storageError.message,
+        }))
+      );
+    }
+  }
+
+  console.log(`Files deleted: ${deleted.length}, failed: ${errors.length}`);
+  return { deleted, errors };
+};
+
+/**
+ * Read an object's metadata without downloading it
+ * @param {string} key - The S3 object key (file path)
+ * @returns {Promise<Object|null>} - Object metadata, or null if the object does not exist
+ */
+const getObjectMetadata = async (key) => {
+  const command = new HeadObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    ChecksumMode: "ENABLED",
+  });
+
+  try {
+    const response = await s3Client.send(command);
+    const checksumAlgorithm = Object.keys(CHECKSUM_ALGORITHMS).find(
+      (algorithm) => response[CHECKSUM_ALGORITHMS[algorithm].field]
+    );
+    return {
+      contentLength: response.ContentLength,
+      contentType: response.ContentType,
+      eTag: response.ETag,
+      lastModified: response.LastModified,
+      contentDisposition: response.ContentDisposition,
+      metadata: response.Metadata || {},
+      checksum: checksumAlgorithm
+        ? {
+            algorithm: checksumAlgorithm,
+            type: response.ChecksumType,
+            value: response[CHECKSUM_ALGORITHMS[checksumAlgorithm].field],
+          }
+        : null,
+    };
+  } catch (error) {
+    if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    console.error("Error reading object metadata:", error);
+    throw toStorageError(error, "Failed to read object metadata");
+  }
+};
+
+/**
+ * Read a byte range of an object
+ * @param {string} key - The S3 object key (file path)
+ * @param {number} start - First byte offset (inclusive)
+ * @param {number} end - Last byte offset (inclusive)
+ * @returns {Promise<Buffer>} - The bytes read
+ */
+const readObjectRange = async (key, start, end) => {
+  const command = new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    Range: `bytes=${start}-${end}`,
+  });
+
+  try {
+    const response = await s3Client.send(command);
+    return Buffer.from(await response.Body.transformToByteArray());
+  } catch (error) {
+    console.error("Error reading object range:", error);
+    throw toStorageError(error, "Failed to read object range");
+  }
+};
+
+/**
+ * Open an object, or a byte range of it, as a stream
+ * @param {string} key - The S3 object key (file path)
+ * @param {Object} [options]
+ * @param {number} [options.start] - First byte, inclusive
+ * @param {number} [options.end] - Last byte, inclusive
+ * @param {string} [options.ifMatch] - Only read the object if its ETag still matches
+ * @returns {Promise<Readable>} - Object body
+ */
+const getObjectStream = async (key, { start, end, ifMatch } = {}) => {
+  const command = new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    ...(start !== undefined && { Range: `bytes=${start}-${end}` }),
+    ...(ifMatch && { IfMatch: ifMatch }),
+  });
+
+  try {
+    const response = await s3Client.send(command);
+    return response.Body;
+  } catch (error) {
+    console.error("Error reading object:", error);
+    throw toStorageError(error, "Failed to read object");
+  }
+};
+
+/**
+ * Replace the tag set of an object
+ * @param {string} key - The S3 object key (file path)
+ * @param {Object} tags - Tag names mapped to values
+ * @returns {Promise<void>}
+ */
+const putObjectTags = async (key, tags) => {
+  const command = new PutObjectTaggingCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    Tagging: {
+      TagSet: Object.entries(tags).map(([Key, Value]) => ({
+        Key,
+        Value: String(Value),
+      })),
+    },
+  });
+
+  try {
+    await s3Client.send(command);
+  } catch (error) {
+    console.error("Error tagging object:", error);
+    throw toStorageError(error, "Failed to tag object");
+  }
+};
+
+// Objects over MAX_SINGLE_UPLOAD_SIZE are copied with UploadPartCopy, in
+// parts of this size, a few at a time
+const COPY_PART_SIZE = 512 * 1024 * 1024;
+const COPY_PART_CONCURRENCY = 4;
+
+/**
+ * Copy a large object as a multipart upload of byte ranges of the source.
+ * Unlike CopyObject this doesn't carry over tags, and the copy's ETag and
+ * checksum differ from the source's.
+ * @param {string} copySource - "bucket/encoded-key" of the source
+ * @param {string} destinationKey - Key of the new object
+ * @param {number} size - Source size in bytes
+ * @param {Object} headers - ContentType, ContentDisposition and Metadata of the copy
+ * @returns {Promise<Object>} - { eTag }
+ */
+const copyObjectInParts = async (copySource, destinationKey, size, headers) => {
+  const bucket = process.env.S3_BUCKET_NAME;
+  const { UploadId } = await s3Client.send(
+    new CreateMultipartUploadCommand({
+      Bucket: bucket,
+      Key: destinationKey,
+      ...headers,
+    })
+  );
+
+  try {
+    const ranges = [];
+    for (let start = 0; start < size; start += COPY_PART_SIZE) {
+      ranges.push([start, Math.min(start + COPY_PART_SIZE, size) - 1]);
+    }
+
+    const parts = [];
+    for (let i = 0; i < ranges.length; i += COPY_PART_CONCURRENCY) {
+      const batch = ranges.slice(i, i + COPY_PART_CONCURRENCY);
+      parts.push(
+        ...(await Promise.all(
+          batch.map(async ([start, end], index) => {
+            const partNumber = i + index + 1;
+            const response = await s3Client.send(
+              new UploadPartCopyCommand({
+                Bucket: bucket,
+                Key: destinationKey,
+                UploadId,
+                PartNumber: partNumber,
+                CopySource: copySource,
+                CopySourceRange: `bytes=${start}-${end}`,
+              })
+            );
+            return {
+              PartNumber: partNumber,
+              ETag: response.CopyPartResult.ETag,
+            };
+          })
+        ))
+      );
+    }
+
+    const response = await s3Client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: destinationKey,
+        UploadId,
+        MultipartUpload: { Parts: parts },
+      })
+    );
+    return { eTag: response.ETag };
+  } catch (error) {
+    await s3Client
+      .send(
+        new AbortMultipartUploadCommand({
+          Bucket: bucket,
+          Key: destinationKey,
+          UploadId,
+        })
+      )
+      .catch((abortError) =>
+        console.error("Error aborting multipart copy:", abortError)
+      );
+    throw error;
+  }
+};
+
+/**
+ * Copy an object within the bucket. Its headers and metadata are kept
+ * unless new metadata is given; copying an object onto itself with new
+ * metadata is how S3 edits metadata in place. Objects over 5GB, which
+ * CopyObject refuses, are copied in parts.
+ * @param {string} sourceKey - Key of the object to copy
+ * @param {string} destinationKey - Key of the new object
+ * @param {Object} [options]
+ * @param {Object} [options.metadata] - Replacement x-amz-meta-* values
+ * @param {string} [options.contentType] - Content-Type to keep when replacing metadata
+ * @param {string} [options.contentDisposition] - Content-Disposition to set when replacing metadata
+ * @returns {Promise<Object>} - { eTag }
+ */
+const copyObject = async (
+  sourceKey,
+  destinationKey,
+  { metadata, contentType, contentDisposition } = {}
+) => {
+  const bucket = process.env.S3_BUCKET_NAME;
+  const copySource = `${bucket}/${encodeURIComponent(sourceKey).replace(
+    /%2F/g,
+    "/"
+  )}`;
+
+  try {
+    const source = await s3Client.send(
+      new HeadObjectCommand({ Bucket: bucket, Key: sourceKey })
+    );
+
+    if (source.ContentLength > MAX_SINGLE_UPLOAD_SIZE) {
+      return await copyObjectInParts(
+        copySource,
+        destinationKey,
+        source.ContentLength,
+        metadata
+          ? {
+              ContentType: contentType,
+              ContentDisposition: contentDisposition,
+              Metadata: metadata,
+            }
+          : {
+              ContentType: source.ContentType,
+              ContentDisposition: source.ContentDisposition,
+              Metadata: source.Metadata,
+            }
+      );
+    }
+
+    const response = await s3Client.send(
+      new CopyObjectCommand({
+        Bucket: bucket,
+        CopySource: copySource,
+        Key: destinationKey,
+        ...(metadata
+          ? {
+              MetadataDirective: "REPLACE",
+              Metadata: metadata,
+              ContentType: contentType,
+              ContentDisposition: contentDisposition,
+            }
+          : { MetadataDirective: "COPY" }),
+      })
+    );
+    return { eTag: response.CopyObjectResult?.ETag };
+  } catch (error) {
+    console.error("Error copying object:", error);
+    throw toStorageError(error, "Failed to copy object");
+  }
+};
+
+/**
+ * List the objects under a key prefix
+ * @param {string} prefix - Key prefix to list
+ * @returns {Promise<Array>} - Objects with key, size, eTag and lastModified
+ */
+const listObjects = async (prefix) => {
+  const objects = [];
+  let continuationToken;
+
+  try {
+    do {
+      const response = await s3Client.send(
+        new ListObjectsV2Command({
+          Bucket: process.env.S3_BUCKET_NAME,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+
+      for (const object of response.Contents || []) {
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          eTag: object.ETag,
+          lastModified: object.LastModified,
+        });
+      }
+
+      continuationToken = response.IsTruncated
+        ? response.NextContinuationToken
+        : undefined;
+    } while (continuationToken);
+
+    return objects;
+  } catch (error) {
+    console.error("Error listing objects:", error);
+    throw toStorageError(error, "Failed to list objects");
   }
 };
 
@@ -110,32 +702,70 @@ const isValidFileType = (contentType) => {
   return allowedTypes.includes(contentType);
 };
 
+// Largest object a single PUT or POST may create (AWS limit)
+const MAX_SINGLE_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Largest file accepted for upload (MAX_FILE_SIZE, 30GB by default)
+ * @returns {number} - Size in bytes
+ */
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || 32212254720;
+
+/**
+ * Key prefix a user's uploads are stored under by default
+ * @param {string} userId - User ID
+ * @returns {string} - Prefix ending in "/"
+ */
+const getUserKeyPrefix = (userId = "anonymous") =>
+  `${process.env.S3_UPLOAD_PATH}${userId}/`;
+
 /**
  * Generate a unique file key for S3
  * @param {string} originalName - Original filename
  * @param {string} userId - User ID (optional)
+ * @param {string} [prefix] - Key prefix; defaults to the user's prefix
  * @returns {string} - Unique S3 key
  */
-const generateFileKey = (originalName, userId = "anonymous") => {
+const generateFileKey = (
+  originalName,
+  userId = "anonymous",
+  prefix = getUserKeyPrefix(userId)
+) => {
   const timestamp = Date.now();
   const randomString = Math.random().toString(36).substring(2, 15);
   const extension = originalName.split(".").pop();
   const baseName = originalName.split(".").slice(0, -1).join(".");
 
-  return `${process.env.S3_UPLOAD_PATH}${userId}/${timestamp}-${randomString}-${baseName}.${extension}`;
+  return `${prefix}${timestamp}-${randomString}-${baseName}.${extension}`;
 };
 
 /**
  * Initiate a multipart upload
  * @param {string} key - The S3 object key (file path)
  * @param {string} contentType - The MIME type of the file
+ * @param {Object} options - Optional checksum settings, metadata and tags
+ * @param {string} options.checksumAlgorithm - SHA256 (composite) or CRC32C (full object)
+ * @param {Object} options.metadata - x-amz-meta-* values
+ * @param {Object} options.tags - Tag names mapped to values
  * @returns {Promise<string>} - The upload ID
  */
-const initiateMultipartUpload = async (key, contentType) => {
+const initiateMultipartUpload = async (
+  key,
+  contentType,
+  { checksumAlgorithm, metadata, tags } = {}
+) => {
   const command = new CreateMultipartUploadCommand({
     Bucket: process.env.S3_BUCKET_NAME,
     Key: key,
     ContentType: contentType,
+    Metadata: metadata,
+    Tagging: encodeTagging(tags),
+    ...(checksumAlgorithm && {
+      ChecksumAlgorithm: checksumAlgorithm,
+      // S3 can only validate a whole-object checksum for CRC algorithms
+      ChecksumType:
+        checksumAlgorithm === "CRC32C" ? "FULL_OBJECT" : "COMPOSITE",
+    }),
   });
 
   try {
@@ -143,7 +773,7 @@ const initiateMultipartUpload = async (key, contentType) => {
     return response.UploadId;
   } catch (error) {
     console.error("Error initiating multipart upload:", error);
-    throw new Error("Failed to initiate multipart upload");
+    throw toStorageError(error, "Failed to initiate multipart upload");
   }
 };
 
@@ -151,38 +781,61 @@ const initiateMultipartUpload = async (key, contentType) => {
  * Generate presigned URLs for multipart upload parts
  * @param {string} key - The S3 object key (file path)
  * @param {string} uploadId - The multipart upload ID
- * @param {number} partCount - Number of parts to generate URLs for
+ * @param {number|number[]} parts - Number of parts (signs 1..n), or the specific part numbers to sign
  * @param {number} expiresIn - Expiration time in seconds
+ * @param {Object} options - Optional checksum binding
+ * @param {string} options.checksumAlgorithm - SHA256 or CRC32C
+ * @param {Object} options.partChecksums - Base64 checksum per part number
  * @returns {Promise<Array>} - Array of presigned URLs for each part
  */
 const generateMultipartUploadUrls = async (
   key,
   uploadId,
-  partCount,
-  expiresIn = 3600
+  parts,
+  expiresIn = 3600,
+  { checksumAlgorithm, partChecksums = {} } = {}
 ) => {
+  const partNumbers = Array.isArray(parts)
+    ? parts
+    : Array.from({ length: parts }, (_, index) => index + 1);
   const urls = [];
 
-  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+  for (const partNumber of partNumbers) {
+    const { params, unhoistableHeaders } = checksumSigningParams(
+      checksumAlgorithm,
+      partChecksums[partNumber]
+    );
     const command = new UploadPartCommand({
       Bucket: process.env.S3_BUCKET_NAME,
       Key: key,
       UploadId: uploadId,
       PartNumber: partNumber,
+      ...params,
     });
 
     try {
-      const presignedUrl = await getSignedUrl(s3Client, command, { expiresIn });
+      const presignedUrl = await getSignedUrl(s3Client, command, {
+        expiresIn,
+        unhoistableHeaders,
+      });
       urls.push({
         partNumber,
         presignedUrl,
+        // Signed headers the client must send with the part
+        ...(unhoistableHeaders.size > 0 && {
+          headers: {
+            [CHECKSUM_ALGORITHMS[checksumAlgorithm].header]:
+              partChecksums[partNumber],
+          },
+        }),
       });
     } catch (error) {
       console.error(
         `Error generating presigned URL for part ${partNumber}:`,
         error
       );
-      throw new Error(
+      throw toStorageError(
+        error,
         `Failed to generate presigned URL for part ${partNumber}`
       );
     }
@@ -192,13 +845,25 @@ const generateMultipartUploadUrls = async (
 };
 
 /**
- * Complete a multipart upload
+ * Complete a multipart upload. When the upload was initiated with a checksum
+ * algorithm, S3 checks every part's checksum against the one it received and,
+ * for full-object CRC32C, the whole-object checksum as well.
  * @param {string} key - The S3 object key (file path)
  * @param {string} uploadId - The multipart upload ID
- * @param {Array} parts - Array of completed parts with ETag and PartNumber
+ * @param {Array} parts - Array of completed parts with ETag, PartNumber and optional checksum
+ * @param {Object} options - Optional checksum settings
+ * @param {string} options.checksumAlgorithm - SHA256 or CRC32C
+ * @param {string} options.checksum - Base64 full-object checksum (CRC32C only)
  * @returns {Promise<Object>} - The completed upload response
  */
-const completeMultipartUpload = async (key, uploadId, parts) => {
+const completeMultipartUpload = async (
+  key,
+  uploadId,
+  parts,
+  { checksumAlgorithm, checksum } = {}
+) => {
+  const field =
+    checksumAlgorithm && CHECKSUM_ALGORITHMS[checksumAlgorithm].field;
   const command = new CompleteMultipartUploadCommand({
     Bucket: process.env.S3_BUCKET_NAME,
     Key: key,
@@ -207,8 +872,11 @@ const completeMultipartUpload = async (key, uploadId, parts) => {
       Parts: parts.map((part) => ({
         ETag: part.ETag,
         PartNumber: part.PartNumber,
+        ...(field && { [field]: part[field] }),
       })),
     },
+    ...(checksumAlgorithm === "CRC32C" &&
+      checksum && { ChecksumCRC32C: checksum, ChecksumType: "FULL_OBJECT" }),
   });
 
   try {
@@ -216,7 +884,7 @@ const completeMultipartUpload = async (key, uploadId, parts) => {
     return response;
   } catch (error) {
     console.error("Error completing multipart upload:", error);
-    throw new Error("Failed to complete multipart upload");
+    throw toStorageError(error, "Failed to complete multipart upload");
   }
 };
 
@@ -238,7 +906,92 @@ const abortMultipartUpload = async (key, uploadId) => {
     console.log(`Multipart upload aborted: ${key}`);
   } catch (error) {
     console.error("Error aborting multipart upload:", error);
-    throw new Error("Failed to abort multipart upload");
+    throw toStorageError(error, "Failed to abort multipart upload");
+  }
+};
+
+/**
+ * List the parts S3 has already received for a multipart upload
+ * @param {string} key - The S3 object key (file path)
+ * @param {string} uploadId - The multipart upload ID
+ * @returns {Promise<Array>} - Parts with PartNumber, ETag, Size and LastModified
+ */
+const listUploadedParts = async (key, uploadId) => {
+  const parts = [];
+  let partNumberMarker;
+
+  try {
+    // ListParts returns at most 1,000 parts per page
+    do {
+      const response = await s3Client.send(
+        new ListPartsCommand({
+          Bucket: process.env.S3_BUCKET_NAME,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: partNumberMarker,
+        })
+      );
+
+      for (const part of response.Parts || []) {
+        parts.push({
+          PartNumber: part.PartNumber,
+          ETag: part.ETag,
+          Size: part.Size,
+          LastModified: part.LastModified,
+        });
+      }
+
+      partNumberMarker = response.IsTruncated
+        ? response.NextPartNumberMarker
+        : undefined;
+    } while (partNumberMarker);
+
+    return parts;
+  } catch (error) {
+    console.error("Error listing multipart upload parts:", error);
+    throw toStorageError(error, "Failed to list multipart upload parts");
+  }
+};
+
+/**
+ * List the multipart uploads in progress under a key prefix
+ * @param {string} prefix - Key prefix to list
+ * @returns {Promise<Array>} - Uploads with key, uploadId and initiated
+ */
+const listMultipartUploads = async (prefix) => {
+  const uploads = [];
+  let keyMarker;
+  let uploadIdMarker;
+
+  try {
+    do {
+      const response = await s3Client.send(
+        new ListMultipartUploadsCommand({
+          Bucket: process.env.S3_BUCKET_NAME,
+          Prefix: prefix,
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker,
+        })
+      );
+
+      for (const upload of response.Uploads || []) {
+        uploads.push({
+          key: upload.Key,
+          uploadId: upload.UploadId,
+          initiated: upload.Initiated,
+        });
+      }
+
+      keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+      uploadIdMarker = response.IsTruncated
+        ? response.NextUploadIdMarker
+        : undefined;
+    } while (keyMarker);
+
+    return uploads;
+  } catch (error) {
+    console.error("Error listing multipart uploads:", error);
+    throw toStorageError(error, "Failed to list multipart uploads");
   }
 };
 
@@ -284,14 +1037,30 @@ const calculateMultipartParams = (fileSize) => {
 module.exports = {
   s3Client,
   generatePresignedUploadUrl,
+  generatePresignedPost,
   generatePresignedDownloadUrl,
   deleteFile,
+  deleteObjects,
+  MAX_DELETE_OBJECTS,
+  getObjectMetadata,
+  readObjectRange,
+  getObjectStream,
+  putObjectTags,
+  copyObject,
+  listObjects,
   isS3Configured,
   isValidFileType,
+  MAX_SINGLE_UPLOAD_SIZE,
+  getMaxFileSize,
+  getUserKeyPrefix,
   generateFileKey,
   initiateMultipartUpload,
   generateMultipartUploadUrls,
   completeMultipartUpload,
   abortMultipartUpload,
+  listUploadedParts,
+  listMultipartUploads,
   calculateMultipartParams,
+  CHECKSUM_ALGORITHMS,
+  isValidChecksum,
 };
@@ -0,0 +1,142 @@
+/**
+ * Strip the slashes and flags Joi puts around a described regex
+ * @param {string} regex - e.g. "/^\\d+$/"
+ * @returns {string} - e.g. "^\\d+$"
+ */
+const regexSource = (regex) => regex.replace(/^\/(.*)\/[a-z]*$/, "$1");
+
+/**
+ * Convert a Joi schema description (schema.describe()) into JSON Schema
+ * (draft 2020-12, as used by OpenAPI 3.1). Covers the types and rules the
+ * request schemas use; conversions (trim, uppercase, replace) have no JSON
+ * Schema equivalent and are left out.
+ * @param {Object} description - Joi schema description
+ * @returns {Object} - JSON Schema
+ */
+const describeToJsonSchema = (description) => {
+  const { type, flags = {}, rules = [] } = description;
+  const schema = {};
+
+  if (type === "string") {
+    schema.type = "string";
+  } else if (type === "number") {
+    schema.type = rules.some((rule) => rule.name === "integer")
+      ? "integer"
+      : "number";
+  } else if (type === "date") {
+    schema.type = "string";
+    schema.format = "date-time";
+  } else if (type === "boolean") {
+    schema.type = "boolean";
+  } else if (type === "array") {
+    schema.type = "array";
+    if (description.items && description.items.length > 0) {
+      schema.items = describeToJsonSchema(description.items[0]);
+    }
+  } else if (type === "object") {
+    Object.assign(schema, objectToJsonSchema(description));
+  }
+
+  for (const { name, args = {} } of rules) {
+    if (name === "guid") {
+      schema.format = "uuid";
+    } else if (name === "pattern") {
+      schema.pattern = regexSource(args.regex);
+    } else if (name === "sign" && args.sign === "positive") {
+      schema.exclusiveMinimum = 0;
+    } else if (name === "unique") {
+      schema.uniqueItems = true;
+    } else if (["min", "max", "length"].includes(name)) {
+      const keyword = {
+        string: { min: "minLength", max: "maxLength" },
+        number: { min: "minimum", max: "maximum" },
+        array: { min: "minItems", max: "maxItems" },
+      }[type];
+      if (keyword && keyword[name]) {
+        schema[keyword[name]] = args.limit;
+      }
+    }
+  }
+
+  if (flags.only && description.allow) {
+    schema.enum = description.allow;
+  }
+  if (flags.default !== undefined) {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+  if (description.examples) {
+    schema.examples = description.examples;
+  }
+
+  return schema;
+};
+
+/**
+ * Convert an object description, leaving out forbidden keys
+ * @param {Object} description - Joi object description
+ * @returns {Object} - JSON Schema
+ */
+const objectToJsonSchema = (description) => {
+  const schema = { type: "object" };
+  const properties = {};
+  const required = [];
+
+  for (const [key, child] of Object.entries(description.keys || {})) {
+    const presence = child.flags && child.flags.presence;
+    if (presence === "forbidden") {
+      continue;
+    }
+    properties[key] = describeToJsonSchema(child);
+    if (presence === "required") {
+      required.push(key);
+    }
+  }
+
+  if (Object.keys(properties).length > 0) {
+    schema.properties = properties;
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  for (const { regex, rule } of description.patterns || []) {
+    schema.patternProperties = {
+      ...schema.patternProperties,
+      [regexSource(regex)]: describeToJsonSchema(rule),
+    };
+  }
+
+  return schema;
+};
+
+/**
+ * Convert a Joi schema into JSON Schema
+ * @param {Object} joiSchema - Joi schema
+ * @returns {Object} - JSON Schema
+ */
+const joiToJsonSchema = (joiSchema) =>
+  describeToJsonSchema(joiSchema.describe());
+
+/**
+ * Convert a Joi object schema for params or query into OpenAPI parameters
+ * @param {Object} joiSchema - Joi object schema
+ * @param {string} location - "path" or "query"
+ * @returns {Object[]} - OpenAPI parameter objects
+ */
+const joiToParameters = (joiSchema, location) => {
+  const { properties = {}, required = [] } = joiToJsonSchema(joiSchema);
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    ...(schema.description && { description: schema.description }),
+    schema,
+  }));
+};
+
+module.exports = {
+  joiToJsonSchema,
+  joiToParameters,
+};
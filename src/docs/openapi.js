@@ -0,0 +1,939 @@
+const { version } = require("../../package.json");
+const schemas = require("../schemas/upload");
+const collectionSchemas = require("../schemas/collections");
+const { joiToJsonSchema, joiToParameters } = require("./joiToJsonSchema");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  properties,
+  required,
+});
+
+const string = (extra = {}) => ({ type: "string", ...extra });
+const integer = (extra = {}) => ({ type: "integer", ...extra });
+const dateTime = { type: "string", format: "date-time" };
+const nullableInteger = { type: ["integer", "null"] };
+
+const COMPONENT_SCHEMAS = {
+  Error: object({
+    success: { const: false },
+    error: object(
+      {
+        code: string({
+          description:
+            "Stable error code, e.g. VALIDATION_ERROR, UPLOAD_NOT_FOUND, QUOTA_EXCEEDED, STORAGE_THROTTLED",
+        }),
+        message: string(),
+        status: integer(),
+        details: {
+          description:
+            "Extra detail; field-level { location, field, message } entries for VALIDATION_ERROR",
+        },
+        retryable: {
+          type: "boolean",
+          description:
+            "Present and true when repeating the request may succeed",
+        },
+      },
+      ["code", "message", "status"]
+    ),
+  }),
+  Upload: {
+    type: "object",
+    properties: {
+      uploadId: string({ format: "uuid" }),
+      fileName: string(),
+      contentType: string(),
+      fileSize: integer(),
+      s3Key: string(),
+      userId: string(),
+      // The statuses GET /api/upload filters on
+      status: joiToJsonSchema(schemas.listUploads.query).properties.status,
+      type: string({ enum: ["multipart", "post"] }),
+      collectionId: {
+        type: ["string", "null"],
+        format: "uuid",
+        description: "Collection the upload belongs to",
+      },
+      checksumAlgorithm: string({ enum: ["SHA256", "CRC32C"] }),
+      partSize: integer(),
+      partCount: integer(),
+      metadata: {
+        type: "object",
+        additionalProperties: string(),
+        description: "Custom metadata, as sent (not URI-encoded)",
+      },
+      tags: { type: "object", additionalProperties: string() },
+      copiedFrom: string({
+        format: "uuid",
+        description: "Upload this one was copied from",
+      }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      renamedAt: dateTime,
+      expiresAt: dateTime,
+      completedAt: dateTime,
+    },
+    required: ["uploadId", "fileName", "contentType", "s3Key", "status"],
+  },
+  PartUrl: object(
+    {
+      partNumber: integer(),
+      presignedUrl: string({ format: "uri" }),
+      headers: {
+        type: "object",
+        additionalProperties: string(),
+        description: "Signed headers to send with the part",
+      },
+    },
+    ["partNumber", "presignedUrl"]
+  ),
+  UploadedPart: object({
+    PartNumber: integer(),
+    ETag: string(),
+    Size: integer(),
+    LastModified: dateTime,
+  }),
+  Collection: {
+    type: "object",
+    properties: {
+      collectionId: string({ format: "uuid" }),
+      userId: string(),
+      name: string(),
+      description: string(),
+      keyPrefix: string({
+        description: "Key prefix objects relocated into the collection get",
+      }),
+      uploadCount: integer(),
+      totalBytes: integer(),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    required: ["collectionId", "userId", "name", "keyPrefix"],
+  },
+};
+
+const RESPONSES = {
+  ValidationError:
+    "Request failed validation (VALIDATION_ERROR) or a rule of the route",
+  Unauthorized: "Missing or invalid credentials (UNAUTHORIZED)",
+  Forbidden: "Not allowed for the caller",
+  NotFound:
+    "Upload or collection not found (UPLOAD_NOT_FOUND, COLLECTION_NOT_FOUND)",
+  Conflict:
+    "Conflicts with the current state, e.g. UPLOAD_NOT_IN_PROGRESS or COLLECTION_NAME_TAKEN",
+  QuotaExceeded: "Upload would exceed the caller's quotas (QUOTA_EXCEEDED)",
+  PreconditionFailed:
+    "If-Match or If-Unmodified-Since doesn't match the object (PRECONDITION_FAILED)",
+  PayloadTooLarge: "File exceeds MAX_FILE_SIZE (FILE_TOO_LARGE)",
+  VerificationFailed:
+    "The stored object does not match the declared upload (VERIFICATION_FAILED)",
+  RangeNotSatisfiable:
+    "Range lies outside the object (INVALID_RANGE); Content-Range gives its size",
+  TooManyRequests:
+    "Rate limit exceeded (RATE_LIMITED); see the Retry-After header",
+  StorageError:
+    "Storage failure, e.g. STORAGE_THROTTLED or STORAGE_UNAVAILABLE; retry when retryable is true",
+};
+
+// Multipart upload walk-through, reused by the examples below
+const EXAMPLE_UPLOAD_ID = "3f6c1a52-6a2f-4c5e-9a55-0c2d7b9e1f10";
+const EXAMPLE_KEY = "uploads/user-123/1760000000000-k3j9x2-holiday.mp4";
+const EXAMPLE_PART_URL = (partNumber) => ({
+  partNumber,
+  presignedUrl: `https://bucket.s3.amazonaws.com/${EXAMPLE_KEY}?partNumber=${partNumber}&uploadId=abc&X-Amz-Signature=...`,
+});
+
+/**
+ * Wrap a data schema in the success envelope
+ * @param {Object} data - JSON Schema of `data`
+ * @param {Object} [example] - Example `data`
+ * @returns {Object} - OpenAPI response object
+ */
+const ok = (data, example) => ({
+  description: "Success",
+  content: {
+    "application/json": {
+      schema: object({ success: { const: true }, data }),
+      ...(example && { example: { success: true, data: example } }),
+    },
+  },
+});
+
+/**
+ * Documentation of each upload route, keyed by "<method> <path>". Request
+ * schemas come from the Joi schemas the route validates with.
+ */
+const OPERATIONS = {
+  "get /health": {
+    tags: ["Health"],
+    summary: "Health check",
+    security: [],
+    responses: {
+      200: ok(
+        object({
+          status: string(),
+          storageDriver: string({ enum: ["s3", "local"] }),
+          storageConfigured: { type: "boolean" },
+          s3Configured: { type: "boolean" },
+          timestamp: dateTime,
+        })
+      ),
+    },
+  },
+
+  "get /quota": {
+    tags: ["Uploads"],
+    summary: "Quota limits, usage and remaining allowance",
+    description: "Admins may pass userId to inspect another user.",
+    schemas: schemas.quota,
+    responses: {
+      200: ok(
+        object({
+          userId: string(),
+          limits: object({
+            storageBytes: nullableInteger,
+            concurrentUploads: nullableInteger,
+            dailyBytes: nullableInteger,
+          }),
+          usage: object({
+            storedBytes: integer(),
+            reservedBytes: integer(),
+            inProgressUploads: integer(),
+            dailyBytes: integer(),
+          }),
+          remaining: object({
+            storageBytes: nullableInteger,
+            concurrentUploads: nullableInteger,
+            dailyBytes: nullableInteger,
+          }),
+        })
+      ),
+    },
+  },
+
+  "post /presigned-url": {
+    tags: ["Single upload"],
+    summary: "Presigned PUT URL for a single-request upload",
+    description:
+      "PUT the file to presignedUrl with the returned headers, then call /confirm.",
+    schemas: schemas.presignedUrl,
+    errors: ["QuotaExceeded", "PayloadTooLarge", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          presignedUrl: string({ format: "uri" }),
+          headers: { type: "object", additionalProperties: string() },
+          s3Key: string(),
+          expiresIn: integer(),
+          expiresAt: dateTime,
+        }),
+        {
+          uploadId: EXAMPLE_UPLOAD_ID,
+          presignedUrl: `https://bucket.s3.amazonaws.com/${EXAMPLE_KEY}?X-Amz-Signature=...`,
+          headers: { "Content-Type": "video/mp4" },
+          s3Key: EXAMPLE_KEY,
+          expiresIn: 3600,
+          expiresAt: "2025-10-09T13:00:00.000Z",
+        }
+      ),
+    },
+  },
+
+  "post /presigned-post": {
+    tags: ["Single upload"],
+    summary: "Presigned POST form for a browser upload",
+    description:
+      "POST the fields, then the file last, as multipart/form-data to url; then call /confirm.",
+    schemas: schemas.presignedPost,
+    errors: ["QuotaExceeded", "PayloadTooLarge", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          url: string({ format: "uri" }),
+          fields: { type: "object", additionalProperties: string() },
+          s3Key: string(),
+          maxFileSize: integer(),
+          expiresIn: integer(),
+          expiresAt: dateTime,
+        })
+      ),
+    },
+  },
+
+  "post /confirm": {
+    tags: ["Single upload"],
+    summary: "Confirm a single upload once the object is in storage",
+    description:
+      "Verifies and completes a pending upload, or retries one whose verification failed. Other statuses, and multipart uploads, get a 409.",
+    schemas: schemas.confirm,
+    errors: ["NotFound", "Conflict", "VerificationFailed"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          status: string({ const: "completed" }),
+          fileName: string(),
+          s3Key: string(),
+          downloadUrl: string({ format: "uri" }),
+          completedAt: dateTime,
+        })
+      ),
+    },
+  },
+
+  "get /": {
+    tags: ["Uploads"],
+    summary: "List uploads",
+    description:
+      "Lists the caller's uploads; admins list everyone's, or one user's with userId. Results come a page at a time: pass nextCursor back as cursor, with the same filters, sort and order, until it is null. total and totalBytes cover every upload matching the filters.",
+    schemas: schemas.listUploads,
+    errors: ["TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          uploads: { type: "array", items: ref("Upload") },
+          total: integer({ description: "Uploads matching the filters" }),
+          totalBytes: integer({
+            description: "Combined fileSize of the matching uploads",
+          }),
+          nextCursor: {
+            type: ["string", "null"],
+            description: "Cursor for the next page; null on the last page",
+          },
+        })
+      ),
+    },
+  },
+
+  "get /{uploadId}": {
+    tags: ["Uploads"],
+    summary: "Get an upload",
+    schemas: schemas.upload,
+    errors: ["NotFound"],
+    responses: { 200: ok(ref("Upload")) },
+  },
+
+  "patch /{uploadId}": {
+    tags: ["Uploads"],
+    summary: "Edit or rename an upload",
+    description:
+      "Replaces metadata and/or tags, or renames the upload. Completed and quarantined uploads have their object's tags, x-amz-meta-* headers and Content-Disposition filename rewritten at once; uploads still in progress get them when completed. Renaming keeps the object's key; use /move to change it.",
+    schemas: schemas.updateUpload,
+    requestExample: {
+      metadata: { title: "Summer holiday", description: "Day one" },
+      tags: { genre: "travel" },
+    },
+    errors: ["NotFound", "Conflict"],
+    responses: { 200: ok(ref("Upload")) },
+  },
+
+  "get /{uploadId}/stream": {
+    tags: ["Uploads"],
+    summary: "Stream an upload",
+    description:
+      "Serves a completed upload's object through the API for in-browser playback. Supports single byte ranges (206 with Content-Range), If-Range, and ETag/Last-Modified conditional requests (304, 412); requests for several ranges get the whole object. Besides the usual credentials, a JWT may be passed as access_token, since <video> can't send headers: `<video crossorigin src=\"/api/upload/{uploadId}/stream?access_token=...\">`.",
+    schemas: schemas.upload,
+    security: [{ apiKey: [] }, { bearerAuth: [] }, { accessToken: [] }],
+    errors: [
+      "NotFound",
+      "Conflict",
+      "PreconditionFailed",
+      "RangeNotSatisfiable",
+      "TooManyRequests",
+    ],
+    responses: {
+      200: {
+        description: "The whole object",
+        content: { "*/*": { schema: string({ format: "binary" }) } },
+      },
+      206: {
+        description: "The requested byte range, described by Content-Range",
+        content: { "*/*": { schema: string({ format: "binary" }) } },
+      },
+      304: { description: "The client's copy is current" },
+    },
+  },
+
+  "post /{uploadId}/copy": {
+    tags: ["Uploads"],
+    summary: "Copy an upload",
+    description:
+      "Copies a completed upload's object server-side (multipart UploadPartCopy above 5GB) into a new completed upload of the same owner, with the same metadata and tags. The copy counts towards the owner's quotas.",
+    schemas: schemas.copyUpload,
+    requestExample: { fileName: "holiday-edit.mp4" },
+    errors: ["NotFound", "Conflict", "QuotaExceeded"],
+    responses: { 201: ok(ref("Upload")) },
+  },
+
+  "post /{uploadId}/move": {
+    tags: ["Uploads"],
+    summary: "Move or rename an upload's object",
+    description:
+      "Copies a completed upload's object to a new key, derived from fileName and under collectionId's key prefix, then deletes the original. The upload keeps its ID; s3Key changes.",
+    schemas: schemas.moveUpload,
+    requestExample: { fileName: "holiday-final.mp4" },
+    errors: ["NotFound", "Conflict"],
+    responses: { 200: ok(ref("Upload")) },
+  },
+
+  "delete /{uploadId}": {
+    tags: ["Uploads"],
+    summary: "Delete an upload and its object",
+    description:
+      "Works in any state: an open multipart upload is aborted, and an object uploaded but never confirmed is deleted too.",
+    schemas: schemas.upload,
+    errors: ["NotFound"],
+    responses: {
+      200: ok(object({ message: string(), uploadId: string() })),
+    },
+  },
+
+  "post /bulk-delete": {
+    tags: ["Uploads"],
+    summary: "Delete many uploads",
+    description:
+      "Deletes the uploads given by uploadIds and/or matching the filters of GET /api/upload (non-admins only match their own), oldest first and at most 1000 per call; call again while remaining is above 0. Objects are removed with batched DeleteObjects requests. Each upload gets a result; failed ones keep their record and can be retried.",
+    schemas: schemas.bulkDeleteUploads,
+    requestExample: { status: "pending", createdBefore: "2026-01-01" },
+    responses: {
+      200: ok(
+        object({
+          deleted: integer(),
+          failed: integer(),
+          remaining: integer({
+            description: "Matching uploads left for another call",
+          }),
+          results: {
+            type: "array",
+            items: object(
+              {
+                uploadId: string({ format: "uuid" }),
+                deleted: { type: "boolean" },
+                error: object({ code: string(), message: string() }),
+              },
+              ["uploadId", "deleted"]
+            ),
+          },
+        })
+      ),
+    },
+  },
+
+  "post /download-url": {
+    tags: ["Uploads"],
+    summary: "Presigned download URL for one of the caller's uploads",
+    description:
+      "Identify the upload by uploadId or s3Key. The URL serves it with a Content-Disposition carrying fileName (RFC 5987-encoded), inline or as an attachment, and with any contentType and cacheControl overrides. A range comes back as a Range header to send with the GET. Only completed uploads can be downloaded (admins may also download quarantined ones).",
+    schemas: schemas.downloadUrl,
+    requestExample: {
+      uploadId: EXAMPLE_UPLOAD_ID,
+      disposition: "attachment",
+      range: { start: 0, end: 1048575 },
+    },
+    errors: ["NotFound", "Conflict", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object(
+          {
+            downloadUrl: string({ format: "uri" }),
+            uploadId: string({ format: "uuid" }),
+            s3Key: string(),
+            fileName: string(),
+            disposition: string({ enum: ["inline", "attachment"] }),
+            headers: {
+              type: "object",
+              additionalProperties: string(),
+              description: "Headers to send with the GET",
+            },
+            expiresIn: integer(),
+            expiresAt: dateTime,
+          },
+          [
+            "downloadUrl",
+            "uploadId",
+            "s3Key",
+            "fileName",
+            "disposition",
+            "expiresIn",
+            "expiresAt",
+          ]
+        )
+      ),
+    },
+  },
+
+  "post /multipart/initiate": {
+    tags: ["Multipart upload"],
+    summary: "1. Start a multipart upload",
+    description:
+      "Returns URLs for the first window of parts (partUrlWindow). PUT each part to its URL and keep the ETag response header; request more URLs from /multipart/{uploadId}/part-urls starting at nextPartNumber.",
+    schemas: schemas.multipartInitiate,
+    requestExample: {
+      fileName: "holiday.mp4",
+      contentType: "video/mp4",
+      fileSize: 157286400,
+    },
+    errors: ["QuotaExceeded", "PayloadTooLarge", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object(
+          {
+            uploadId: string({ format: "uuid" }),
+            s3UploadId: string(),
+            s3Key: string(),
+            partSize: integer(),
+            partCount: integer(),
+            partUrls: { type: "array", items: ref("PartUrl") },
+            partUrlWindow: integer(),
+            partUrlsExpireAt: dateTime,
+            nextPartNumber: nullableInteger,
+            checksumAlgorithm: string(),
+            expiresIn: integer(),
+            expiresAt: dateTime,
+          },
+          [
+            "uploadId",
+            "s3Key",
+            "partSize",
+            "partCount",
+            "partUrls",
+            "nextPartNumber",
+            "expiresAt",
+          ]
+        ),
+        {
+          uploadId: EXAMPLE_UPLOAD_ID,
+          s3UploadId: "abc",
+          s3Key: EXAMPLE_KEY,
+          partSize: 52428800,
+          partCount: 3,
+          partUrls: [1, 2, 3].map(EXAMPLE_PART_URL),
+          partUrlWindow: 100,
+          partUrlsExpireAt: "2025-10-09T13:00:00.000Z",
+          nextPartNumber: null,
+          expiresIn: 3600,
+          expiresAt: "2025-10-09T13:00:00.000Z",
+        }
+      ),
+    },
+  },
+
+  "post /multipart/{uploadId}/part-urls": {
+    tags: ["Multipart upload"],
+    summary: "2. Sign URLs for more parts",
+    description:
+      "Sign a range ({ startPartNumber, count }) or a list ({ partNumbers }) of at most partUrlWindow parts.",
+    schemas: schemas.multipartPartUrls,
+    requestExample: { startPartNumber: 101, count: 100 },
+    errors: ["NotFound", "Conflict", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          partUrls: { type: "array", items: ref("PartUrl") },
+          nextPartNumber: nullableInteger,
+          expiresIn: integer(),
+          expiresAt: dateTime,
+        })
+      ),
+    },
+  },
+
+  "get /multipart/{uploadId}/parts": {
+    tags: ["Multipart upload"],
+    summary: "List the parts storage already holds",
+    description:
+      "Use after an interruption to find missingPartNumbers; uploadedParts can be passed to /multipart/complete as-is.",
+    schemas: schemas.multipartParts,
+    errors: ["NotFound", "Conflict", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          partSize: integer(),
+          partCount: integer(),
+          uploadedParts: { type: "array", items: ref("UploadedPart") },
+          uploadedBytes: integer(),
+          missingPartNumbers: { type: "array", items: integer() },
+        }),
+        {
+          uploadId: EXAMPLE_UPLOAD_ID,
+          partSize: 52428800,
+          partCount: 3,
+          uploadedParts: [
+            {
+              PartNumber: 1,
+              ETag: '"a54357aff0632cce46d942af68356b38"',
+              Size: 52428800,
+              LastModified: "2025-10-09T12:05:00.000Z",
+            },
+          ],
+          uploadedBytes: 52428800,
+          missingPartNumbers: [2, 3],
+        }
+      ),
+    },
+  },
+
+  "post /multipart/{uploadId}/resume": {
+    tags: ["Multipart upload"],
+    summary: "Resume an interrupted upload",
+    description:
+      "Signs fresh URLs for the first window of missing parts and extends the upload's expiry.",
+    schemas: schemas.multipartResume,
+    errors: ["NotFound", "Conflict", "TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          s3Key: string(),
+          partSize: integer(),
+          partCount: integer(),
+          uploadedParts: { type: "array", items: ref("UploadedPart") },
+          missingPartNumbers: { type: "array", items: integer() },
+          partUrls: { type: "array", items: ref("PartUrl") },
+          partUrlsExpireAt: dateTime,
+          expiresIn: integer(),
+          expiresAt: dateTime,
+        })
+      ),
+    },
+  },
+
+  "post /multipart/complete": {
+    tags: ["Multipart upload"],
+    summary: "3. Complete a multipart upload",
+    description:
+      "Send every part's number and ETag. Storage errors such as ENTITY_TOO_SMALL or INVALID_PART mean a part must be re-uploaded. Only uploads still in progress can be completed; others get UPLOAD_NOT_IN_PROGRESS.",
+    schemas: schemas.multipartComplete,
+    requestExample: {
+      uploadId: EXAMPLE_UPLOAD_ID,
+      parts: [
+        { PartNumber: 1, ETag: '"a54357aff0632cce46d942af68356b38"' },
+        { PartNumber: 2, ETag: '"0c78aef83f66abc1fa1e8477f296d394"' },
+        { PartNumber: 3, ETag: '"acbd18db4cc2f85cedef654fccc4a4d8"' },
+      ],
+    },
+    errors: ["NotFound", "Conflict", "VerificationFailed"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          status: string({ const: "completed" }),
+          fileName: string(),
+          s3Key: string(),
+          s3Location: string(),
+          downloadUrl: string({ format: "uri" }),
+          completedAt: dateTime,
+        }),
+        {
+          uploadId: EXAMPLE_UPLOAD_ID,
+          status: "completed",
+          fileName: "holiday.mp4",
+          s3Key: EXAMPLE_KEY,
+          s3Location: `https://bucket.s3.amazonaws.com/${EXAMPLE_KEY}`,
+          downloadUrl: `https://bucket.s3.amazonaws.com/${EXAMPLE_KEY}?X-Amz-Signature=...`,
+          completedAt: "2025-10-09T12:10:00.000Z",
+        }
+      ),
+    },
+  },
+
+  "post /multipart/abort": {
+    tags: ["Multipart upload"],
+    summary: "Abort a multipart upload",
+    description:
+      "Only uploads still in progress can be aborted; others get UPLOAD_NOT_IN_PROGRESS.",
+    schemas: schemas.multipartAbort,
+    errors: ["NotFound", "Conflict"],
+    responses: {
+      200: ok(
+        object({
+          uploadId: string({ format: "uuid" }),
+          status: string({ const: "aborted" }),
+          message: string(),
+          abortedAt: dateTime,
+        })
+      ),
+    },
+  },
+};
+
+/**
+ * Documentation of each collection route, keyed like OPERATIONS
+ */
+const COLLECTION_OPERATIONS = {
+  "post /": {
+    tags: ["Collections"],
+    summary: "Create a collection",
+    schemas: collectionSchemas.createCollection,
+    errors: ["Conflict"],
+    responses: { 201: ok(ref("Collection")) },
+  },
+
+  "get /": {
+    tags: ["Collections"],
+    summary: "List the caller's collections",
+    errors: ["TooManyRequests"],
+    responses: {
+      200: ok(
+        object({
+          collections: { type: "array", items: ref("Collection") },
+          total: integer(),
+        })
+      ),
+    },
+  },
+
+  "get /{collectionId}": {
+    tags: ["Collections"],
+    summary: "Get a collection with its upload count and size",
+    schemas: collectionSchemas.collection,
+    errors: ["NotFound"],
+    responses: { 200: ok(ref("Collection")) },
+  },
+
+  "patch /{collectionId}": {
+    tags: ["Collections"],
+    summary: "Rename a collection",
+    description:
+      "Changes the name and/or description. The key prefix is fixed when the collection is created, so no objects move.",
+    schemas: collectionSchemas.updateCollection,
+    errors: ["NotFound", "Conflict"],
+    responses: { 200: ok(ref("Collection")) },
+  },
+
+  "delete /{collectionId}": {
+    tags: ["Collections"],
+    summary: "Delete a collection",
+    description:
+      "Its uploads are taken out of the collection and kept, unless deleteUploads is true. If some of them can't be deleted the collection is kept, with those uploads still in it, and the error's details list them.",
+    schemas: collectionSchemas.deleteCollection,
+    errors: ["NotFound"],
+    responses: {
+      200: ok(
+        object({
+          message: string(),
+          collectionId: string({ format: "uuid" }),
+          deletedUploads: integer(),
+          removedUploads: integer(),
+        })
+      ),
+    },
+  },
+
+  "get /{collectionId}/uploads": {
+    tags: ["Collections"],
+    summary: "List a collection's uploads",
+    description:
+      "Takes the filters, sorting and cursor paging of GET /api/upload.",
+    schemas: collectionSchemas.collectionUploads,
+    errors: ["NotFound", "TooManyRequests"],
+    responses: OPERATIONS["get /"].responses,
+  },
+
+  "put /{collectionId}/uploads/{uploadId}": {
+    tags: ["Collections"],
+    summary: "Put an upload into a collection",
+    description:
+      "Moves the upload out of any other collection. With relocate, its object is copied under the collection's keyPrefix and the original deleted; the upload's s3Key changes.",
+    schemas: collectionSchemas.collectionUpload,
+    requestExample: { relocate: true },
+    errors: ["NotFound", "Conflict"],
+    responses: { 200: ok(ref("Upload")) },
+  },
+
+  "delete /{collectionId}/uploads/{uploadId}": {
+    tags: ["Collections"],
+    summary: "Take an upload out of a collection",
+    description:
+      "The upload is kept. With relocate=true its object moves back under the owner's default key prefix.",
+    schemas: collectionSchemas.removeCollectionUpload,
+    errors: ["NotFound", "Conflict"],
+    responses: { 200: ok(ref("Upload")) },
+  },
+};
+
+// Documentation tables for each router, by where it is mounted
+const OPERATIONS_BY_BASE_PATH = {
+  "/api/upload": OPERATIONS,
+  "/api/collections": COLLECTION_OPERATIONS,
+};
+
+/**
+ * Routes registered on a router, as "<method> <OpenAPI path>", in order
+ * @param {Object} router - Express router
+ * @returns {string[]}
+ */
+const listRoutes = (router) => {
+  const routes = new Set();
+  for (const layer of router.stack) {
+    if (!layer.route) {
+      continue;
+    }
+    const paths = [].concat(layer.route.path);
+    for (const method of Object.keys(layer.route.methods)) {
+      for (const path of paths) {
+        routes.add(`${method} ${path.replace(/:(\w+)/g, "{$1}")}`);
+      }
+    }
+  }
+  return [...routes];
+};
+
+/**
+ * Build an OpenAPI operation from its documentation entry
+ * @param {Object} doc - Entry of OPERATIONS
+ * @returns {Object} - OpenAPI operation object
+ */
+const buildOperation = ({
+  schemas: requestSchemas = {},
+  requestExample,
+  errors = [],
+  responses,
+  ...doc
+}) => {
+  const operation = {
+    ...doc,
+    parameters: [
+      ...(requestSchemas.params
+        ? joiToParameters(requestSchemas.params, "path")
+        : []),
+      ...(requestSchemas.query
+        ? joiToParameters(requestSchemas.query, "query")
+        : []),
+    ],
+    responses: { ...responses },
+  };
+
+  if (requestSchemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: joiToJsonSchema(requestSchemas.body),
+          ...(requestExample && { example: requestExample }),
+        },
+      },
+    };
+  }
+
+  const errorResponses = [
+    ...(Object.keys(requestSchemas).length > 0 ? ["ValidationError"] : []),
+    ...(doc.security?.length === 0 ? [] : ["Unauthorized"]),
+    ...errors,
+  ];
+  const statuses = {
+    ValidationError: 400,
+    Unauthorized: 401,
+    Forbidden: 403,
+    QuotaExceeded: 403,
+    NotFound: 404,
+    Conflict: 409,
+    PreconditionFailed: 412,
+    PayloadTooLarge: 413,
+    RangeNotSatisfiable: 416,
+    VerificationFailed: 422,
+    TooManyRequests: 429,
+  };
+  for (const name of errorResponses) {
+    operation.responses[statuses[name]] = {
+      $ref: `#/components/responses/${name}`,
+    };
+  }
+  operation.responses.default = { $ref: "#/components/responses/StorageError" };
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI 3.1 document for the upload API. Paths come from the
+ * routes registered on each router, so a route without documentation still
+ * appears, and documentation for a removed route does not.
+ * @param {Object} routers - Express routers keyed by where they are mounted,
+ *   e.g. { "/api/upload": uploadRouter }
+ * @returns {Object} - OpenAPI document
+ */
+const buildOpenApiDocument = (routers) => {
+  const paths = {};
+  for (const [basePath, router] of Object.entries(routers)) {
+    const operations = OPERATIONS_BY_BASE_PATH[basePath] || {};
+    const routes = listRoutes(router);
+    const documented = Object.keys(operations).filter((route) =>
+      routes.includes(route)
+    );
+    const undocumented = routes.filter((route) => !operations[route]);
+
+    for (const route of [...documented, ...undocumented]) {
+      const [method, path] = route.split(" ");
+      const fullPath = path === "/" ? basePath : `${basePath}${path}`;
+      paths[fullPath] = {
+        ...paths[fullPath],
+        [method]: buildOperation(
+          operations[route] || { tags: ["Uploads"], responses: {} }
+        ),
+      };
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Video Uploader API",
+      version,
+      description: [
+        "Uploads go straight to storage through presigned URLs; this API signs them and tracks each upload.",
+        "",
+        "**Single upload:** `POST /presigned-url` (or `/presigned-post`), upload the file, then `POST /confirm`.",
+        "",
+        "**Multipart upload** (files above the multipart threshold):",
+        "1. `POST /multipart/initiate` returns partSize, partCount and URLs for the first window of parts.",
+        "2. PUT each part to its URL and keep the `ETag` response header. Fetch more URLs with `POST /multipart/{uploadId}/part-urls`.",
+        "3. `POST /multipart/complete` with every `{ PartNumber, ETag }`.",
+        "",
+        "After an interruption, `GET /multipart/{uploadId}/parts` lists what storage holds and `POST /multipart/{uploadId}/resume` signs the missing parts.",
+        "",
+        "**Collections** group uploads: pass `collectionId` when starting an upload, or `PUT /api/collections/{collectionId}/uploads/{uploadId}` later.",
+        "",
+        "Errors use `{ success: false, error: { code, message, status, details?, retryable? } }`; branch on `code`.",
+      ].join("\n"),
+    },
+    servers: [{ url: "/" }],
+    security: [{ apiKey: [] }, { bearerAuth: [] }],
+    tags: [
+      { name: "Single upload" },
+      { name: "Multipart upload" },
+      { name: "Uploads" },
+      { name: "Collections" },
+      { name: "Health" },
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        // Only accepted by GET /api/upload/{uploadId}/stream
+        accessToken: { type: "apiKey", in: "query", name: "access_token" },
+      },
+      schemas: COMPONENT_SCHEMAS,
+      responses: Object.fromEntries(
+        Object.entries(RESPONSES).map(([name, description]) => [
+          name,
+          {
+            description,
+            content: { "application/json": { schema: ref("Error") } },
+          },
+        ])
+      ),
+    },
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+};
@@ -0,0 +1,10 @@
+// Loaded from a file rather than inline so the page passes the CSP helmet sets
+window.onload = () => {
+  window.ui = SwaggerUIBundle({
+    url: "./openapi.json",
+    dom_id: "#swagger-ui",
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis],
+  });
+};
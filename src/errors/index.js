@@ -0,0 +1,121 @@
+/**
+ * Base class for errors the API reports to clients. errorHandler renders
+ * them as { code, message, status, details?, retryable? }; `code` is stable
+ * and safe for clients to branch on, the message is for humans.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message shown to the client
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code="INTERNAL_ERROR"] - Stable error code
+   * @param {*} [options.details] - Extra detail shown to the client
+   * @param {boolean} [options.retryable=false] - Whether retrying may succeed
+   * @param {number} [options.retryAfter] - Seconds to wait before retrying
+   * @param {Error} [options.cause] - Underlying error, logged but not shown
+   */
+  constructor(
+    message,
+    {
+      status = 500,
+      code = "INTERNAL_ERROR",
+      details,
+      retryable = false,
+      retryAfter,
+      cause,
+    } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Define an AppError subclass with a default status and code
+ * @param {number} status - HTTP status
+ * @param {string} code - Default error code
+ * @returns {Function} - Error class
+ */
+const defineError = (status, code) =>
+  class extends AppError {
+    constructor(message, options = {}) {
+      super(message, { status, code, ...options });
+    }
+  };
+
+class ValidationError extends defineError(400, "VALIDATION_ERROR") {}
+class UnauthorizedError extends defineError(401, "UNAUTHORIZED") {}
+class ForbiddenError extends defineError(403, "FORBIDDEN") {}
+class QuotaExceededError extends defineError(403, "QUOTA_EXCEEDED") {}
+class NotFoundError extends defineError(404, "NOT_FOUND") {}
+class ConflictError extends defineError(409, "CONFLICT") {}
+class PreconditionFailedError extends defineError(412, "PRECONDITION_FAILED") {}
+class PayloadTooLargeError extends defineError(413, "PAYLOAD_TOO_LARGE") {}
+class RangeNotSatisfiableError extends defineError(
+  416,
+  "RANGE_NOT_SATISFIABLE"
+) {}
+class VerificationError extends defineError(422, "VERIFICATION_FAILED") {}
+class RateLimitError extends defineError(429, "RATE_LIMITED") {}
+class StorageError extends defineError(502, "STORAGE_ERROR") {}
+
+/**
+ * Turn anything thrown by a route or middleware into an AppError
+ * @param {Error} err - Error passed to errorHandler
+ * @returns {AppError}
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // multer
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new PayloadTooLargeError("File too large", {
+      code: "FILE_TOO_LARGE",
+      details: `Maximum file size is ${process.env.MAX_FILE_SIZE} bytes`,
+    });
+  }
+  if (err.code === "LIMIT_UNEXPECTED_FILE") {
+    return new ValidationError("Unexpected file field", {
+      code: "UNEXPECTED_FILE_FIELD",
+    });
+  }
+
+  // body-parser and other http-errors with a client-safe message
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      status: err.status,
+      code:
+        err.type === "entity.parse.failed"
+          ? "MALFORMED_BODY"
+          : err.status === 413
+          ? "PAYLOAD_TOO_LARGE"
+          : "BAD_REQUEST",
+    });
+  }
+
+  return new AppError("Internal Server Error", { cause: err });
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  QuotaExceededError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  RangeNotSatisfiableError,
+  VerificationError,
+  RateLimitError,
+  StorageError,
+  normalizeError,
+};
@@ -1,19 +1,231 @@
+const fs = require("fs");
+const crypto = require("crypto");
 const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
+const jwt = require("jsonwebtoken");
+const { createRateLimitStore } = require("../store");
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  PayloadTooLargeError,
+  RateLimitError,
+  normalizeError,
+} = require("../errors");
 
 /**
- * Configure CORS middleware
+ * Compile one origin allowlist entry into a matcher:
+ * - "*" allows any origin (credentials are then not allowed)
+ * - "/pattern/flags" is a regular expression that must match the whole
+ *   origin (it is anchored; "/example\.com/" doesn't allow
+ *   "https://example.com.evil.io"). Only the "i" and "u" flags are taken:
+ *   "g" and "y" would make matching depend on the previous request.
+ * - "https://*.example.com" lets "*" stand for one subdomain label
+ * - anything else must equal the origin (case-insensitive, no trailing slash)
+ * @param {string} entry - Allowlist entry
+ * @returns {Function} - (origin) => boolean
  */
-const configureCors = () => {
-  const corsOptions = {
-    origin: true, // Allow all origins
-    credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+const compileOriginRule = (entry) => {
+  if (entry === "*") {
+    return () => true;
+  }
+
+  const regex = entry.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const unsupported = regex[2].replace(/[iu]/g, "");
+    if (unsupported) {
+      throw new Error(
+        `Unsupported flags "${unsupported}" in origin pattern ${entry}; only "i" and "u" are allowed`
+      );
+    }
+    const pattern = new RegExp(`^(?:${regex[1]})$`, regex[2]);
+    return (origin) => pattern.test(origin);
+  }
+
+  const normalized = entry.replace(/\/+$/, "").toLowerCase();
+  if (normalized.includes("*")) {
+    const pattern = new RegExp(
+      `^${normalized
+        .split("*")
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[a-z0-9-]+")}$`
+    );
+    return (origin) => pattern.test(origin.toLowerCase());
+  }
+
+  return (origin) => origin.toLowerCase() === normalized;
+};
+
+/**
+ * Build the cors options for an origin allowlist
+ * @param {string[]} entries - Allowlist entries (see compileOriginRule)
+ * @returns {Object} - Options for the cors package
+ */
+const buildCorsOptions = (entries) => {
+  const rules = entries.map(compileOriginRule);
+
+  return {
+    origin: (origin, callback) => {
+      // Same-origin and non-browser requests carry no Origin header
+      if (!origin || rules.some((matches) => matches(origin))) {
+        return callback(null, true);
+      }
+      callback(
+        new ForbiddenError("Not allowed by CORS", {
+          code: "CORS_ORIGIN_DENIED",
+        })
+      );
+    },
+    credentials: !entries.includes("*"),
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "X-API-Key",
+      "X-Amz-Checksum-Sha256",
+      "X-Amz-Checksum-Crc32c",
+      "Range",
+      "If-Range",
+      "If-Match",
+      "If-None-Match",
+      "If-Modified-Since",
+      "If-Unmodified-Since",
+    ],
+    // Clients read part ETags to complete multipart uploads, the rate limit
+    // headers to back off, and the range headers of streamed objects
+    exposedHeaders: [
+      "ETag",
+      "Accept-Ranges",
+      "Content-Range",
+      "Content-Disposition",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
+  };
+};
+
+/**
+ * Read a comma-separated origin list up to a terminator. /regex/ entries are
+ * read whole, so commas (and the terminator) inside a pattern belong to it;
+ * as in JS regex literals, a "/" inside a pattern must be escaped.
+ * @param {string} value - Text to read
+ * @param {string} [terminator] - Character that ends the list
+ * @returns {{entries: string[], rest: string}} - Entries, and the text after
+ *   the terminator
+ */
+const readOriginList = (value, terminator) => {
+  const entries = [];
+  let entry = "";
+  let inPattern = false;
+  let index = 0;
+
+  for (; index < value.length; index++) {
+    const char = value[index];
+    if (inPattern) {
+      entry += char;
+      if (char === "\\") {
+        entry += value[++index] || "";
+      } else if (char === "/") {
+        inPattern = false;
+      }
+    } else if (char === terminator) {
+      break;
+    } else if (char === ",") {
+      entries.push(entry.trim());
+      entry = "";
+    } else {
+      inPattern = char === "/" && !entry.trim();
+      entry += char;
+    }
+  }
+
+  if (inPattern) {
+    throw new Error(`Unterminated /regex/ in origin list: ${entry.trim()}`);
+  }
+  entries.push(entry.trim());
+  return {
+    entries: entries.filter(Boolean),
+    rest: value.slice(index + 1),
+  };
+};
+
+const parseOriginList = (value) => readOriginList(value || "").entries;
+
+/**
+ * Parse CORS_ROUTE_ORIGINS: "<prefix>=<origin list>" entries separated by
+ * ";" (a ";" inside a /regex/ entry belongs to the pattern)
+ * @param {string} value - CORS_ROUTE_ORIGINS
+ * @returns {Object} - Path prefix -> allowlist
+ */
+const parseRouteOrigins = (value) => {
+  const routes = {};
+  let rest = value || "";
+
+  while (rest.trim()) {
+    rest = rest.replace(/^[\s;]+/, "");
+    const separator = rest.indexOf("=");
+    if (separator === -1) {
+      break;
+    }
+    const prefix = rest.slice(0, separator).trim();
+    const list = readOriginList(rest.slice(separator + 1), ";");
+    rest = list.rest;
+    if (prefix && list.entries.length > 0 && !routes[prefix]) {
+      routes[prefix] = list.entries;
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Configure CORS middleware.
+ *
+ * Origins come from ALLOWED_ORIGINS and FRONTEND_URL. Route prefixes can
+ * carry their own allowlist, from the `routes` option or CORS_ROUTE_ORIGINS
+ * ("/api/storage=*;/api/admin=https://admin.example.com"); the longest
+ * matching prefix wins. Disallowed origins get a 403 from errorHandler.
+ * Without any configured origin, development allows every origin.
+ * @param {Object} [options]
+ * @param {string[]} [options.origins] - Default allowlist
+ * @param {Object} [options.routes] - Path prefix -> allowlist overrides
+ */
+const configureCors = ({ origins, routes = {} } = {}) => {
+  let defaultOrigins =
+    origins ||
+    parseOriginList(
+      [process.env.ALLOWED_ORIGINS, process.env.FRONTEND_URL].join(",")
+    );
+
+  if (defaultOrigins.length === 0 && process.env.NODE_ENV !== "production") {
+    console.warn(
+      "⚠️  ALLOWED_ORIGINS is not set: allowing every origin (development only)."
+    );
+    defaultOrigins = ["*"];
+  }
+
+  const routeOrigins = {
+    ...parseRouteOrigins(process.env.CORS_ROUTE_ORIGINS),
+    ...routes,
   };
 
-  return cors(corsOptions);
+  const defaultOptions = buildCorsOptions(defaultOrigins);
+  const routeOptions = Object.entries(routeOrigins)
+    .map(([prefix, list]) => ({ prefix, options: buildCorsOptions(list) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return cors((req, callback) => {
+    const path = req.originalUrl.split("?")[0];
+    const override = routeOptions.find(
+      ({ prefix }) => path === prefix || path.startsWith(`${prefix}/`)
+    );
+    callback(null, override ? override.options : defaultOptions);
+  });
 };
 
 /**
@@ -33,58 +245,370 @@ const configureSecurity = () => {
   });
 };
 
+// Default limits per route group as "<requests>/<window seconds>"
+const RATE_LIMIT_DEFAULTS = {
+  presign: "60/60",
+  download: "120/60",
+  list: "120/60",
+  // Players send a range request per seek and buffer refill
+  stream: "600/60",
+};
+
+let defaultRateLimitStore = null;
+
+/**
+ * Rate limiting middleware. Each request takes a token from two buckets,
+ * one per client IP and one per authenticated user, and is rejected with
+ * 429 when either is empty. The limit comes from RATE_LIMIT_<NAME>
+ * (e.g. RATE_LIMIT_PRESIGN=60/60) or RATE_LIMIT_DEFAULTS; "off" disables it.
+ * Mount after authenticate() so the user bucket applies.
+ * @param {string} name - Route group, e.g. presign, download, list
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Token bucket store; defaults to RATE_LIMIT_STORE
+ */
+const rateLimit = (name, { store } = {}) => {
+  const spec =
+    process.env[`RATE_LIMIT_${name.toUpperCase()}`] ||
+    RATE_LIMIT_DEFAULTS[name];
+
+  if (!spec || spec === "off") {
+    return (req, res, next) => next();
+  }
+
+  const [capacity, windowSeconds] = spec.split("/").map(Number);
+  if (!(capacity > 0) || !(windowSeconds > 0)) {
+    throw new Error(`Invalid rate limit for ${name}: ${spec}`);
+  }
+  const limit = { capacity, windowMs: windowSeconds * 1000 };
+
+  return async (req, res, next) => {
+    try {
+      if (!store) {
+        defaultRateLimitStore = defaultRateLimitStore || createRateLimitStore();
+      }
+      const buckets = store || defaultRateLimitStore;
+
+      const keys = [`${name}:ip:${req.ip}`];
+      if (req.user && req.user.authMethod !== "anonymous") {
+        keys.push(`${name}:user:${req.user.id}`);
+      }
+      const results = await Promise.all(
+        keys.map((key) => buckets.take(key, limit))
+      );
+
+      // Report the bucket closest to running out
+      const tightest = results.reduce((a, b) =>
+        b.remaining < a.remaining ? b : a
+      );
+      res.set({
+        "RateLimit-Limit": String(capacity),
+        "RateLimit-Remaining": String(tightest.remaining),
+        "RateLimit-Reset": String(Math.ceil(tightest.resetMs / 1000)),
+        "RateLimit-Policy": `${capacity};w=${windowSeconds}`,
+      });
+
+      const rejected = results.filter((result) => !result.allowed);
+      if (rejected.length > 0) {
+        const retryAfter = Math.ceil(
+          Math.max(...rejected.map((result) => result.retryAfterMs)) / 1000
+        );
+        return next(
+          new RateLimitError("Too many requests", {
+            details: `Rate limit of ${capacity} requests per ${windowSeconds}s exceeded; retry in ${retryAfter}s`,
+            retryable: true,
+            retryAfter,
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Configure logging middleware
  */
 const configureLogging = () => {
+  // Keep tokens passed as ?access_token= (see jwtStrategy) out of the logs
+  morgan.token("url", (req) =>
+    (req.originalUrl || req.url).replace(
+      /([?&]access_token=)[^&]*/g,
+      "$1[redacted]"
+    )
+  );
   const format = process.env.NODE_ENV === "production" ? "combined" : "dev";
   return morgan(format);
 };
 
 /**
- * Error handling middleware
+ * Static API key strategy.
+ * AUTH_API_KEYS is a comma-separated list of `key:userId[:role|role...]`,
+ * read from the `X-API-Key` header.
+ * @returns {Function|null} - Strategy, or null when no keys are configured
  */
-const errorHandler = (err, req, res, next) => {
-  console.error("Error:", err);
+const apiKeyStrategy = () => {
+  const entries = (process.env.AUTH_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const keys = entries.map((entry) => {
+    const [key, userId, roles = ""] = entry.split(":");
+    return {
+      digest: crypto.createHash("sha256").update(key).digest(),
+      user: { id: userId, roles: roles.split("|").filter(Boolean) },
+    };
+  });
+
+  return (req) => {
+    const provided = req.get("X-API-Key");
+    if (!provided) {
+      return null;
+    }
+
+    // Compare digests in constant time so key length and prefix don't leak
+    const digest = crypto.createHash("sha256").update(provided).digest();
+    const match = keys.find((entry) =>
+      crypto.timingSafeEqual(entry.digest, digest)
+    );
+    if (!match) {
+      throw new UnauthorizedError("Invalid API key");
+    }
+
+    return { ...match.user, authMethod: "api-key" };
+  };
+};
+
+// HS256 secrets shorter than this can be brute-forced from a single token
+const MIN_JWT_SECRET_LENGTH = 32;
+
+/**
+ * JWT bearer token strategy.
+ * HS256 tokens are verified with AUTH_JWT_SECRET; RS256 tokens against the
+ * public keys in the JWKS file at AUTH_JWKS_FILE (selected by `kid`).
+ * AUTH_JWT_ALGORITHMS limits the accepted algorithms (by default, those
+ * with keys configured); naming one without its key, or a short secret,
+ * fails startup.
+ * Roles are read from the array claim named by AUTH_JWT_ROLES_CLAIM, a
+ * dotted path such as "realm_access.roles" for nested claims.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken=false] - Also accept the token as
+ *   ?access_token=, for clients such as <video> that can't send headers
+ * @returns {Function|null} - Strategy, or null when no keys are configured
+ */
+const jwtStrategy = ({ allowQueryToken = false } = {}) => {
+  const secret = process.env.AUTH_JWT_SECRET;
+  const jwksFile = process.env.AUTH_JWKS_FILE;
+  const keys = { HS256: secret, RS256: jwksFile };
+  const keyVariables = { HS256: "AUTH_JWT_SECRET", RS256: "AUTH_JWKS_FILE" };
+
+  const configured = (process.env.AUTH_JWT_ALGORITHMS || "")
+    .split(",")
+    .map((algorithm) => algorithm.trim().toUpperCase())
+    .filter(Boolean);
+  const algorithms =
+    configured.length > 0
+      ? configured
+      : Object.keys(keys).filter((algorithm) => keys[algorithm]);
+
+  for (const algorithm of algorithms) {
+    if (!Object.keys(keys).includes(algorithm)) {
+      throw new Error(
+        `Unsupported AUTH_JWT_ALGORITHMS entry "${algorithm}"; use HS256 or RS256`
+      );
+    }
+    if (!keys[algorithm]) {
+      throw new Error(
+        `${algorithm} tokens are enabled but ${keyVariables[algorithm]} is not set`
+      );
+    }
+  }
+  if (algorithms.includes("HS256") && secret.length < MIN_JWT_SECRET_LENGTH) {
+    throw new Error(
+      `AUTH_JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} characters`
+    );
+  }
+
+  if (algorithms.length === 0) {
+    return null;
+  }
+
+  const publicKeys = algorithms.includes("RS256")
+    ? JSON.parse(fs.readFileSync(jwksFile, "utf8"))
+        .keys.filter((jwk) => jwk.kty === "RSA")
+        .map((jwk) => ({
+          kid: jwk.kid,
+          key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+        }))
+    : [];
+
+  const userClaim = process.env.AUTH_JWT_USER_CLAIM || "sub";
+  // Roles grant access to other users' uploads, so they only come from a
+  // claim meant for them, never from OAuth scopes
+  const rolesClaim = (process.env.AUTH_JWT_ROLES_CLAIM || "roles").split(".");
+  const verifyOptions = {
+    ...(process.env.AUTH_JWT_ISSUER && { issuer: process.env.AUTH_JWT_ISSUER }),
+    ...(process.env.AUTH_JWT_AUDIENCE && {
+      audience: process.env.AUTH_JWT_AUDIENCE,
+    }),
+  };
+
+  const resolveKey = (header) => {
+    if (!algorithms.includes(header.alg)) {
+      throw new UnauthorizedError(`${header.alg} tokens are not accepted`);
+    }
+    if (header.alg === "HS256") {
+      return secret;
+    }
+    if (header.alg === "RS256") {
+      const match = header.kid
+        ? publicKeys.find((entry) => entry.kid === header.kid)
+        : publicKeys[0];
+      if (match) {
+        return match.key;
+      }
+    }
+    throw new UnauthorizedError("No verification key for token");
+  };
+
+  return (req) => {
+    const [scheme, headerToken] = (req.get("Authorization") || "").split(" ");
+    const queryToken =
+      allowQueryToken && typeof req.query.access_token === "string"
+        ? req.query.access_token
+        : null;
+    const token = scheme === "Bearer" && headerToken ? headerToken : queryToken;
+    if (!token) {
+      return null;
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new UnauthorizedError("Malformed bearer token");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, resolveKey(decoded.header), {
+        ...verifyOptions,
+        algorithms: [decoded.header.alg === "RS256" ? "RS256" : "HS256"],
+      });
+    } catch (error) {
+      throw new UnauthorizedError(error.message);
+    }
+
+    if (!claims[userClaim]) {
+      throw new UnauthorizedError(`Token is missing the ${userClaim} claim`);
+    }
+
+    const roleValue = rolesClaim.reduce(
+      (value, name) =>
+        value && typeof value === "object" ? value[name] : null,
+      claims
+    );
+    const roles = Array.isArray(roleValue)
+      ? roleValue.filter((role) => typeof role === "string")
+      : [];
+
+    return { id: String(claims[userClaim]), roles, authMethod: "jwt" };
+  };
+};
+
+/**
+ * Authentication middleware. Tries each strategy in order and attaches the
+ * first identity found as `req.user`; strategies return null when their
+ * credentials are absent and throw when they are present but invalid.
+ * With AUTH_ALLOW_ANONYMOUS=true, unauthenticated requests act as
+ * the "anonymous" user (development only).
+ * @param {Object} options
+ * @param {boolean} [options.allowQueryToken=false] - Accept JWTs as
+ *   ?access_token= as well
+ * @param {Function[]} options.strategies - Strategies to try
+ */
+const authenticate = ({
+  allowQueryToken = false,
+  strategies = [apiKeyStrategy(), jwtStrategy({ allowQueryToken })].filter(
+    Boolean
+  ),
+} = {}) => {
+  const allowAnonymous = process.env.AUTH_ALLOW_ANONYMOUS === "true";
 
-  // Default error
-  let error = {
-    message: "Internal Server Error",
-    status: 500,
+  if (strategies.length === 0 && !allowAnonymous) {
+    console.warn(
+      "⚠️  No authentication configured: set AUTH_JWT_SECRET, AUTH_JWKS_FILE or AUTH_API_KEYS."
+    );
+  }
+
+  return (req, res, next) => {
+    try {
+      for (const strategy of strategies) {
+        const user = strategy(req);
+        if (user) {
+          req.user = user;
+          return next();
+        }
+      }
+
+      if (allowAnonymous) {
+        req.user = { id: "anonymous", roles: [], authMethod: "anonymous" };
+        return next();
+      }
+
+      next(new UnauthorizedError("Authentication required"));
+    } catch (error) {
+      next(error);
+    }
   };
+};
 
-  // Handle specific error types
-  if (err.name === "ValidationError") {
-    error.message = "Validation Error";
-    error.status = 400;
-    error.details = err.message;
-  } else if (err.name === "UnauthorizedError") {
-    error.message = "Unauthorized";
-    error.status = 401;
-  } else if (err.message === "Not allowed by CORS") {
-    error.message = "CORS Error";
-    error.status = 403;
-  } else if (err.code === "LIMIT_FILE_SIZE") {
-    error.message = "File too large";
-    error.status = 413;
-    error.details = `Maximum file size is ${process.env.MAX_FILE_SIZE} bytes`;
-  } else if (err.code === "LIMIT_UNEXPECTED_FILE") {
-    error.message = "Unexpected file field";
-    error.status = 400;
-  } else if (err.message.includes("AWS") || err.message.includes("S3")) {
-    error.message = "AWS Service Error";
-    error.status = 502;
-    error.details =
-      process.env.NODE_ENV === "development" ? err.message : undefined;
+/**
+ * Restrict a route to users holding a role
+ * @param {string} role - Required role
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || !req.user.roles.includes(role)) {
+    return next(new ForbiddenError(`Requires the ${role} role`));
+  }
+  next();
+};
+
+/**
+ * Check whether a user may act on a record owned by `ownerId`
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} ownerId - userId stored on the record
+ * @returns {boolean}
+ */
+const isOwnerOrAdmin = (user, ownerId) =>
+  !!user && (user.id === ownerId || user.roles.includes("admin"));
+
+/**
+ * Error handling middleware. Renders AppErrors (and errors normalizeError
+ * recognizes) in the API envelope with their stable code and retry hints.
+ */
+const errorHandler = (err, req, res, next) => {
+  console.error("Error:", err);
+
+  const error = normalizeError(err);
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
   }
 
   // Send error response
   res.status(error.status).json({
     success: false,
     error: {
+      code: error.code,
       message: error.message,
       status: error.status,
       ...(error.details && { details: error.details }),
+      ...(error.retryable && { retryable: true }),
       ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
     },
   });
@@ -97,6 +621,7 @@ const notFoundHandler = (req, res) => {
   res.status(404).json({
     success: false,
     error: {
+      code: "ROUTE_NOT_FOUND",
       message: "Route not found",
       status: 404,
       path: req.originalUrl,
@@ -104,20 +629,58 @@ const notFoundHandler = (req, res) => {
   });
 };
 
+// Request parts a validateRequest schema map may cover
+const REQUEST_PARTS = ["params", "query", "body"];
+
 /**
- * Request validation middleware
+ * Request validation middleware. Validates each part of the request against
+ * its Joi schema, then replaces it with the validated value: strings are
+ * coerced to the declared types, defaults filled in and unknown keys dropped.
+ * @param {Object} schemas - { body, params, query } Joi schemas; a single
+ *   schema validates the body
+ * @returns {Function} - Express middleware
  */
-const validateRequest = (schema) => {
+const validateRequest = (schemas) => {
+  const parts =
+    typeof schemas.validate === "function" ? { body: schemas } : schemas;
+
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "Validation Error",
-          status: 400,
-          details: error.details.map((detail) => detail.message),
-        },
+    const values = {};
+    const details = [];
+
+    for (const part of REQUEST_PARTS) {
+      if (!parts[part]) {
+        continue;
+      }
+
+      const { value, error } = parts[part].validate(req[part] ?? {}, {
+        abortEarly: false,
+        stripUnknown: { objects: true },
+        errors: { wrap: { label: false } },
+      });
+      if (error) {
+        details.push(
+          ...error.details.map((detail) => ({
+            location: part,
+            field: detail.path.join("."),
+            message: detail.message,
+          }))
+        );
+      }
+      values[part] = value;
+    }
+
+    if (details.length > 0) {
+      return next(new ValidationError("Validation Error", { details }));
+    }
+
+    // Express 5 exposes req.query through a getter, so define over it
+    for (const [part, value] of Object.entries(values)) {
+      Object.defineProperty(req, part, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
       });
     }
     next();
@@ -125,57 +688,36 @@ const validateRequest = (schema) => {
 };
 
 /**
- * File upload validation middleware
+ * File upload validation middleware. Checks the declared file against the
+ * configured size limit and allowed types; runs after validateRequest has
+ * checked the shape of the body.
  */
 const validateFileUpload = (req, res, next) => {
-  if (!req.body.fileName) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        message: "fileName is required",
-        status: 400,
-      },
-    });
-  }
+  const { isValidFileType, getMaxFileSize } = require("../config/aws");
 
-  if (!req.body.contentType) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        message: "contentType is required",
-        status: 400,
-      },
-    });
-  }
-
-  // Validate file size if provided (skip validation for video files)
-  if (req.body.fileSize && !req.body.contentType.startsWith("video/")) {
-    const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 32212254720; // 30GB default
+  // Validate file size if provided
+  if (req.body.fileSize) {
+    const maxFileSize = getMaxFileSize();
     if (req.body.fileSize > maxFileSize) {
       const maxSizeGB = (maxFileSize / (1024 * 1024 * 1024)).toFixed(1);
       const fileSizeGB = (req.body.fileSize / (1024 * 1024 * 1024)).toFixed(1);
-      return res.status(413).json({
-        success: false,
-        error: {
-          message: "File too large",
-          status: 413,
+      return next(
+        new PayloadTooLargeError("File too large", {
+          code: "FILE_TOO_LARGE",
           details: `File size ${fileSizeGB}GB exceeds maximum allowed size of ${maxSizeGB}GB`,
-        },
-      });
+        })
+      );
     }
   }
 
   // Validate file type
-  const { isValidFileType } = require("../config/aws");
   if (!isValidFileType(req.body.contentType)) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        message: "Invalid file type",
-        status: 400,
+    return next(
+      new ValidationError("Invalid file type", {
+        code: "INVALID_FILE_TYPE",
         details: `Allowed types: ${process.env.ALLOWED_FILE_TYPES}`,
-      },
-    });
+      })
+    );
   }
 
   next();
@@ -184,7 +726,13 @@ const validateFileUpload = (req, res, next) => {
 module.exports = {
   configureCors,
   configureSecurity,
+  rateLimit,
   configureLogging,
+  apiKeyStrategy,
+  jwtStrategy,
+  authenticate,
+  requireRole,
+  isOwnerOrAdmin,
   errorHandler,
   notFoundHandler,
   validateRequest,
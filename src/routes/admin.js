@@ -0,0 +1,44 @@
+const express = require("express");
+const { authenticate, requireRole } = require("../middleware");
+const { runReaper, getLastReaperReport } = require("../services/reaper");
+
+const router = express.Router();
+
+router.use(authenticate(), requireRole("admin"));
+
+/**
+ * GET /api/admin/reaper
+ * Report of the last scheduled or manual reaper run
+ */
+router.get("/reaper", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: process.env.REAPER_ENABLED !== "false",
+      lastRun: getLastReaperReport(),
+    },
+  });
+});
+
+/**
+ * POST /api/admin/reaper/run
+ * Run the reaper now. With dryRun, report what would be reaped without
+ * changing records or storage.
+ */
+router.post("/reaper/run", async (req, res, next) => {
+  try {
+    const dryRun =
+      (req.body && req.body.dryRun === true) || req.query.dryRun === "true";
+
+    const report = await runReaper({ dryRun });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const schemas = require("../schemas/collections");
+const {
+  validateRequest,
+  authenticate,
+  isOwnerOrAdmin,
+  rateLimit,
+} = require("../middleware");
+const { uploadStore, collectionStore } = require("../store");
+const { NotFoundError, StorageError } = require("../errors");
+const {
+  collectionKeyPrefix,
+  assertNameAvailable,
+  summarizeCollections,
+  assignToCollection,
+} = require("../services/collections");
+const { listUploads } = require("../services/uploadListing");
+const { deleteUploads } = require("../services/uploadDeletion");
+
+const router = express.Router();
+
+/**
+ * Load a collection owned by the requesting user (admins may load any)
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Object>} - Collection record
+ */
+const getOwnedCollection = async (user, collectionId) => {
+  const collection = await collectionStore.get(collectionId);
+  if (!collection || !isOwnerOrAdmin(user, collection.userId)) {
+    throw new NotFoundError("Collection not found", {
+      code: "COLLECTION_NOT_FOUND",
+    });
+  }
+  return collection;
+};
+
+/**
+ * Load an upload that belongs to the collection's owner
+ * @param {Object} collection - Collection record
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} - Upload record
+ */
+const getCollectionOwnersUpload = async (collection, uploadId) => {
+  const upload = await uploadStore.get(uploadId);
+  if (!upload || upload.userId !== collection.userId) {
+    throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+  }
+  return upload;
+};
+
+router.use(authenticate());
+
+router.get(["/", "/:collectionId/uploads"], rateLimit("list"));
+
+router.post("/", validateRequest(schemas.createCollection));
+router.get("/:collectionId", validateRequest(schemas.collection));
+router.patch("/:collectionId", validateRequest(schemas.updateCollection));
+router.delete("/:collectionId", validateRequest(schemas.deleteCollection));
+router.get(
+  "/:collectionId/uploads",
+  validateRequest(schemas.collectionUploads)
+);
+router.put(
+  "/:collectionId/uploads/:uploadId",
+  validateRequest(schemas.collectionUpload)
+);
+router.delete(
+  "/:collectionId/uploads/:uploadId",
+  validateRequest(schemas.removeCollectionUpload)
+);
+
+/**
+ * POST /api/collections
+ * Create a collection for the caller
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const userId = req.user.id;
+
+    await assertNameAvailable(userId, name);
+
+    const collectionId = uuidv4();
+    const collection = await collectionStore.put({
+      collectionId,
+      userId,
+      name,
+      ...(description && { description }),
+      keyPrefix: collectionKeyPrefix(userId, collectionId),
+      createdAt: new Date().toISOString(),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: collection,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/collections
+ * The caller's collections with their upload counts and sizes
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const [collections, summaries] = await Promise.all([
+      collectionStore.list((collection) => collection.userId === userId),
+      summarizeCollections(userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map((collection) => ({
+            ...collection,
+            ...(summaries.get(collection.collectionId) || {
+              uploadCount: 0,
+              totalBytes: 0,
+            }),
+          })),
+        total: collections.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/collections/:collectionId
+ * A collection with its upload count and size
+ */
+router.get("/:collectionId", async (req, res, next) => {
+  try {
+    const collection = await getOwnedCollection(
+      req.user,
+      req.params.collectionId
+    );
+    const summaries = await summarizeCollections(collection.userId);
+
+    res.json({
+      success: true,
+      data: {
+        ...collection,
+        ...(summaries.get(collection.collectionId) || {
+          uploadCount: 0,
+          totalBytes: 0,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/collections/:collectionId
+ * Rename a collection or change its description. The key prefix is fixed
+ * at creation, so renaming moves no objects.
+ */
+router.patch("/:collectionId", async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const collection = await getOwnedCollection(
+      req.user,
+      req.params.collectionId
+    );
+
+    if (name) {
+      await assertNameAvailable(
+        collection.userId,
+        name,
+        collection.collectionId
+      );
+    }
+
+    const updatedCollection = await collectionStore.update(
+      collection.collectionId,
+      (draft) => {
+        if (name) {
+          draft.name = name;
+        }
+        if (description !== undefined) {
+          draft.description = description;
+        }
+        draft.updatedAt = new Date().toISOString();
+      }
+    );
+
+    res.json({
+      success: true,
+      data: updatedCollection,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/collections/:collectionId
+ * Delete a collection. Its uploads are taken out of it and kept, or with
+ * ?deleteUploads=true deleted along with it.
+ */
+router.delete("/:collectionId", async (req, res, next) => {
+  try {
+    const { deleteUploads: withUploads } = req.query;
+    const collection = await getOwnedCollection(
+      req.user,
+      req.params.collectionId
+    );
+
+    const uploads = await uploadStore.list(
+      (upload) => upload.collectionId === collection.collectionId
+    );
+    if (withUploads) {
+      // Keep the collection if anything is left in it, so a retry finds it
+      const failed = (await deleteUploads(uploads)).filter(
+        (result) => !result.deleted
+      );
+      if (failed.length > 0) {
+        throw new StorageError(
+          `${failed.length} of the collection's uploads could not be deleted`,
+          { details: failed, retryable: true }
+        );
+      }
+    } else {
+      for (const upload of uploads) {
+        await assignToCollection(upload, null);
+      }
+    }
+
+    await collectionStore.remove(collection.collectionId);
+
+    res.json({
+      success: true,
+      data: {
+        message: "Collection deleted successfully",
+        collectionId: collection.collectionId,
+        deletedUploads: withUploads ? uploads.length : 0,
+        removedUploads: withUploads ? 0 : uploads.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/collections/:collectionId/uploads
+ * Uploads in a collection, with the filters, sorting and paging of
+ * GET /api/upload
+ */
+router.get("/:collectionId/uploads", async (req, res, next) => {
+  try {
+    const collection = await getOwnedCollection(
+      req.user,
+      req.params.collectionId
+    );
+    const { sort, order, limit, cursor, ...filters } = req.query;
+
+    const page = await listUploads(
+      {
+        ...filters,
+        userId: collection.userId,
+        collectionId: collection.collectionId,
+      },
+      { sort, order, limit, cursor }
+    );
+
+    res.json({
+      success: true,
+      data: page,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/collections/:collectionId/uploads/:uploadId
+ * Put an upload into the collection, moving it out of any other one. With
+ * relocate, its object moves under the collection's key prefix too.
+ */
+router.put("/:collectionId/uploads/:uploadId", async (req, res, next) => {
+  try {
+    const { relocate } = req.body;
+    const collection = await getOwnedCollection(
+      req.user,
+      req.params.collectionId
+    );
+    const upload = await getCollectionOwnersUpload(
+      collection,
+      req.params.uploadId
+    );
+
+    const updatedUpload = await assignToCollection(upload, collection, {
+      relocate,
+    });
+
+    res.json({
+      success: true,
+      data: updatedUpload,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/collections/:collectionId/uploads/:uploadId
+ * Take an upload out of the collection without deleting it. With
+ * ?relocate=true its object moves back under the owner's key prefix.
+ */
+router.delete("/:collectionId/uploads/:uploadId", async (req, res, next) => {
+  try {
+    const { relocate } = req.query;
+    const collection = await getOwnedCollection(
+      req.user,
+      req.params.collectionId
+    );
+    const upload = await getCollectionOwnersUpload(
+      collection,
+      req.params.uploadId
+    );
+    if (upload.collectionId !== collection.collectionId) {
+      throw new NotFoundError("Upload is not in this collection", {
+        code: "UPLOAD_NOT_IN_COLLECTION",
+      });
+    }
+
+    const updatedUpload = await assignToCollection(upload, null, {
+      relocate,
+    });
+
+    res.json({
+      success: true,
+      data: updatedUpload,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
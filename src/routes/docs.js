@@ -0,0 +1,33 @@
+const express = require("express");
+const path = require("path");
+const swaggerUiDist = require("swagger-ui-dist");
+const uploadRoutes = require("./upload");
+const collectionRoutes = require("./collections");
+const { buildOpenApiDocument } = require("../docs/openapi");
+
+const router = express.Router();
+
+let openApiDocument = null;
+
+/**
+ * GET /api/docs/openapi.json
+ * OpenAPI 3.1 document of the upload API
+ */
+router.get("/openapi.json", (req, res) => {
+  openApiDocument =
+    openApiDocument ||
+    buildOpenApiDocument({
+      "/api/upload": uploadRoutes,
+      "/api/collections": collectionRoutes,
+    });
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /api/docs
+ * Interactive docs: our page and initializer, then the Swagger UI assets
+ */
+router.use(express.static(path.join(__dirname, "../docs/ui")));
+router.use(express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require("express");
+const crypto = require("crypto");
+const {
+  isSnsMessage,
+  verifySnsMessage,
+  confirmSnsSubscription,
+  extractS3Records,
+  applyS3Record,
+} = require("../services/s3Events");
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../errors");
+
+const router = express.Router();
+
+// SNS posts its JSON with Content-Type: text/plain
+router.use(express.json({ type: ["application/json", "text/plain"] }));
+
+/**
+ * Check the shared token sent with raw S3 and EventBridge payloads
+ * @param {string} provided - X-Events-Token header value
+ * @returns {boolean}
+ */
+const isValidEventsToken = (provided) => {
+  const expected = process.env.S3_EVENTS_TOKEN;
+  if (!expected || !provided) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+};
+
+/**
+ * POST /api/events/s3
+ * Ingest S3 event notifications, raw or wrapped in an SNS or EventBridge
+ * envelope. SNS messages must be signed by SNS and come from a topic listed
+ * in S3_EVENTS_TOPIC_ARNS; anything else must carry S3_EVENTS_TOKEN in the
+ * X-Events-Token header.
+ */
+router.post("/s3", async (req, res, next) => {
+  try {
+    const body = req.body;
+    let payload = body;
+
+    if (isSnsMessage(body)) {
+      const allowedTopics = (process.env.S3_EVENTS_TOPIC_ARNS || "")
+        .split(",")
+        .map((arn) => arn.trim())
+        .filter(Boolean);
+
+      // Checked first so messages from other topics never make us fetch a
+      // signing certificate
+      if (!allowedTopics.includes(body.TopicArn)) {
+        throw new ForbiddenError("SNS topic is not allowed", {
+          code: "SNS_TOPIC_NOT_ALLOWED",
+          details: body.TopicArn,
+        });
+      }
+
+      if (!(await verifySnsMessage(body))) {
+        throw new UnauthorizedError("Invalid SNS message signature", {
+          code: "INVALID_SNS_SIGNATURE",
+        });
+      }
+
+      if (body.Type === "SubscriptionConfirmation") {
+        await confirmSnsSubscription(body);
+        return res.json({
+          success: true,
+          data: { message: "Subscription confirmed", topicArn: body.TopicArn },
+        });
+      }
+
+      if (body.Type === "UnsubscribeConfirmation") {
+        return res.json({
+          success: true,
+          data: { message: "Unsubscribe acknowledged" },
+        });
+      }
+
+      try {
+        payload = JSON.parse(body.Message);
+      } catch {
+        payload = null;
+      }
+    } else if (!isValidEventsToken(req.get("X-Events-Token"))) {
+      throw new UnauthorizedError("Invalid or missing events token", {
+        code: "INVALID_EVENTS_TOKEN",
+      });
+    }
+
+    if (!payload || typeof payload !== "object") {
+      throw new ValidationError("Payload is not an S3 event notification", {
+        code: "INVALID_EVENT_PAYLOAD",
+      });
+    }
+
+    const records = extractS3Records(payload);
+    const results = [];
+    for (const record of records) {
+      results.push(...(await applyS3Record(record)));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        received: records.length,
+        results,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
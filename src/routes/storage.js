@@ -0,0 +1,37 @@
+const express = require("express");
+const { storage } = require("../storage");
+
+const router = express.Router();
+
+/**
+ * Wrap a local-storage handler, passing its errors to errorHandler
+ * @param {Function} handler - Driver request handler
+ */
+const handleSigned = (handler) => async (req, res, next) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT|GET /api/storage/object
+ * Signed whole-object upload and download (local storage driver only)
+ */
+router.all("/object", handleSigned(storage.handleObjectRequest));
+
+/**
+ * PUT /api/storage/part
+ * Signed multipart part upload (local storage driver only)
+ */
+router.all("/part", handleSigned(storage.handlePartRequest));
+
+/**
+ * POST /api/storage/post
+ * Presigned POST upload, checked against its signed policy (local storage
+ * driver only)
+ */
+router.all("/post", handleSigned(storage.handlePostRequest));
+
+module.exports = router;
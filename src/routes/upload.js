@@ -1,59 +1,332 @@
 const express = require("express");
 const { v4: uuidv4 } = require("uuid");
+const {
+  generateFileKey,
+  calculateMultipartParams,
+  CHECKSUM_ALGORITHMS,
+  MAX_SINGLE_UPLOAD_SIZE,
+  MAX_DELETE_OBJECTS,
+  getMaxFileSize,
+  isValidFileType,
+} = require("../config/aws");
+const schemas = require("../schemas/upload");
+const { storage } = require("../storage");
+const {
+  validateRequest,
+  validateFileUpload,
+  authenticate,
+  isOwnerOrAdmin,
+  rateLimit,
+} = require("../middleware");
+const { uploadStore } = require("../store");
+const {
+  ValidationError,
+  QuotaExceededError,
+  NotFoundError,
+  ConflictError,
+  VerificationError,
+} = require("../errors");
+const {
+  verifyUploadedObject,
+  markUploadCompleted,
+  markUploadFailed,
+} = require("../services/verification");
+const { emitUploadEvent } = require("../services/webhooks");
+const { listUploads } = require("../services/uploadListing");
+const { deleteUpload, deleteUploads } = require("../services/uploadDeletion");
+const { getUserCollection } = require("../services/collections");
+const { copyUpload, moveUpload } = require("../services/uploadTransfers");
+const {
+  contentDisposition,
+  objectMetadata,
+  syncObjectAttributes,
+} = require("../services/uploadAttributes");
+const { streamObject } = require("../services/objectStreaming");
+const {
+  checkUploadQuota,
+  reserveUpload,
+  getQuotaSummary,
+} = require("../services/quotas");
+const {
+  normalizeChecksumAlgorithm,
+  assertChecksum,
+  resolvePartChecksums,
+} = require("../services/checksums");
+
 const {
   generatePresignedUploadUrl,
+  generatePresignedPost,
   generatePresignedDownloadUrl,
-  deleteFile,
-  isS3Configured,
-  generateFileKey,
   initiateMultipartUpload,
   generateMultipartUploadUrls,
   completeMultipartUpload,
   abortMultipartUpload,
-  calculateMultipartParams,
-} = require("../config/aws");
-const { validateFileUpload } = require("../middleware");
+  listUploadedParts,
+} = storage;
 
 const router = express.Router();
 
-// In-memory storage for upload tracking (in production, use a database)
-const uploads = new Map();
+/**
+ * Load an upload owned by the requesting user (admins may load any upload)
+ * @param {Object} user - Authenticated user from req.user
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} - null when missing or owned by someone else
+ */
+const getOwnedUpload = async (user, uploadId) => {
+  const upload = await uploadStore.get(uploadId);
+  return upload && isOwnerOrAdmin(user, upload.userId) ? upload : null;
+};
+
+// Upload statuses whose metadata and tags may still be edited, and those
+// whose object is already in storage
+const EDITABLE_STATUSES = [
+  "pending",
+  "multipart-initiated",
+  "completed",
+  "quarantined",
+];
+const STORED_STATUSES = ["completed", "quarantined"];
+// Single upload statuses /confirm may (re)verify; later ones are final
+const CONFIRMABLE_STATUSES = ["pending", "verification-failed"];
+
+/**
+ * Generate the object key for a new upload, under its collection's key
+ * prefix when it is created in one
+ * @param {string} fileName - Original filename
+ * @param {string} userId - Uploading user
+ * @param {string} [collectionId] - Collection to create the upload in
+ * @returns {Promise<string>} - Unique S3 key
+ */
+const generateUploadKey = async (fileName, userId, collectionId) => {
+  if (!collectionId) {
+    return generateFileKey(fileName, userId);
+  }
+  const collection = await getUserCollection(userId, collectionId);
+  return generateFileKey(fileName, userId, collection.keyPrefix);
+};
+
+/**
+ * Record a failed verification and build the error to answer with
+ * @param {Object} uploadData - Upload record
+ * @param {Object} verification - Result of verifyUploadedObject
+ * @param {Object} [changes] - Extra fields to store on the record
+ * @returns {Promise<VerificationError>}
+ */
+const rejectUnverifiedUpload = async (uploadData, verification, changes) => {
+  await markUploadFailed(uploadData, verification, changes);
+
+  return new VerificationError("Upload verification failed", {
+    details: verification.errors,
+  });
+};
+
+/**
+ * Throw when an upload would exceed the caller's quotas
+ * @param {string[]} violations - Result of checkUploadQuota
+ */
+const assertWithinQuota = (violations) => {
+  if (violations.length > 0) {
+    throw new QuotaExceededError("Upload quota exceeded", {
+      details: violations,
+    });
+  }
+};
+
+/**
+ * Multipart URL signing settings. Part URLs are signed in windows as the
+ * upload progresses, so each one only needs to live until it is used.
+ * @returns {{windowSize: number, expiresIn: number}}
+ */
+const getPartUrlSettings = () => ({
+  windowSize: parseInt(process.env.MULTIPART_URL_WINDOW) || 100,
+  expiresIn: parseInt(process.env.S3_PART_URL_EXPIRES) || 3600,
+});
+
+/**
+ * Part numbers of a multipart upload that S3 has not received yet
+ * @param {Object} upload - Multipart upload record
+ * @param {Array} uploadedParts - Parts returned by listUploadedParts
+ * @returns {number[]}
+ */
+const getMissingPartNumbers = (upload, uploadedParts) => {
+  const received = new Set(uploadedParts.map((part) => part.PartNumber));
+  const missing = [];
+  for (let partNumber = 1; partNumber <= upload.partCount; partNumber++) {
+    if (!received.has(partNumber)) {
+      missing.push(partNumber);
+    }
+  }
+  return missing;
+};
 
 /**
  * GET /api/upload/health
  * Health check endpoint
  */
 router.get("/health", (req, res) => {
-  const s3Configured = isS3Configured();
+  const s3Configured = storage.name === "s3" && storage.isConfigured();
 
   res.json({
     success: true,
     data: {
       status: "healthy",
+      storageDriver: storage.name,
+      storageConfigured: storage.isConfigured(),
       s3Configured,
       timestamp: new Date().toISOString(),
     },
   });
 });
 
+/**
+ * GET /api/upload/:uploadId/stream
+ * Stream a completed upload's object through the app, with Range and
+ * conditional request support so <video> can seek. Registered ahead of the
+ * authenticate() below because it also takes the JWT as ?access_token=,
+ * which <video> elements need as they can't send headers.
+ */
+router.get(
+  "/:uploadId/stream",
+  authenticate({ allowQueryToken: true }),
+  rateLimit("stream"),
+  validateRequest(schemas.upload),
+  async (req, res, next) => {
+    try {
+      const { uploadId } = req.params;
+
+      const uploadData = await getOwnedUpload(req.user, uploadId);
+      if (!uploadData) {
+        throw new NotFoundError("Upload not found", {
+          code: "UPLOAD_NOT_FOUND",
+        });
+      }
+      if (uploadData.status !== "completed") {
+        throw new ConflictError(
+          `Upload is ${uploadData.status}; only completed uploads can be streamed`,
+          { code: "UPLOAD_NOT_COMPLETED" }
+        );
+      }
+
+      await streamObject(req, res, {
+        key: uploadData.s3Key,
+        contentType: uploadData.contentType,
+        contentDisposition: contentDisposition("inline", uploadData.fileName),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Every route below requires an authenticated user
+router.use(authenticate());
+
+// Routes that mint presigned URLs or list storage are rate limited
+router.post(
+  [
+    "/presigned-url",
+    "/presigned-post",
+    "/multipart/initiate",
+    "/multipart/:uploadId/resume",
+    "/multipart/:uploadId/part-urls",
+  ],
+  rateLimit("presign")
+);
+router.post("/download-url", rateLimit("download"));
+router.get(["/", "/multipart/:uploadId/parts"], rateLimit("list"));
+
+// Request schemas; handlers see the validated body, params and query with
+// types coerced and defaults applied
+router.get("/quota", validateRequest(schemas.quota));
+router.get("/", validateRequest(schemas.listUploads));
+router.post("/presigned-url", validateRequest(schemas.presignedUrl));
+router.post("/presigned-post", validateRequest(schemas.presignedPost));
+router.post("/confirm", validateRequest(schemas.confirm));
+router.post("/download-url", validateRequest(schemas.downloadUrl));
+router.post("/bulk-delete", validateRequest(schemas.bulkDeleteUploads));
+router.post("/multipart/initiate", validateRequest(schemas.multipartInitiate));
+router.post("/multipart/complete", validateRequest(schemas.multipartComplete));
+router.post("/multipart/abort", validateRequest(schemas.multipartAbort));
+router.get(
+  "/multipart/:uploadId/parts",
+  validateRequest(schemas.multipartParts)
+);
+router.post(
+  "/multipart/:uploadId/resume",
+  validateRequest(schemas.multipartResume)
+);
+router.post(
+  "/multipart/:uploadId/part-urls",
+  validateRequest(schemas.multipartPartUrls)
+);
+
+/**
+ * GET /api/upload/quota
+ * The caller's quota limits, usage and remaining allowance; admins may pass
+ * a userId to inspect another user
+ */
+router.get("/quota", async (req, res, next) => {
+  try {
+    const userId =
+      (req.user.roles.includes("admin") && req.query.userId) || req.user.id;
+
+    const quota = await getQuotaSummary(userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        ...quota,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/upload/presigned-url
  * Generate a presigned URL for file upload
  */
 router.post("/presigned-url", validateFileUpload, async (req, res, next) => {
   try {
-    const { fileName, contentType, userId } = req.body;
+    const {
+      fileName,
+      contentType,
+      fileSize,
+      checksum,
+      metadata,
+      tags,
+      collectionId,
+    } = req.body;
+    const userId = req.user.id;
     const uploadId = uuidv4();
 
+    // A declared checksum is bound into the URL, so S3 rejects corrupt bodies
+    const checksumAlgorithm = normalizeChecksumAlgorithm(
+      req.body.checksumAlgorithm
+    );
+    if (checksumAlgorithm) {
+      assertChecksum(checksumAlgorithm, checksum, "checksum");
+    }
+
+    assertWithinQuota(await checkUploadQuota(userId, fileSize));
+
     // Generate unique S3 key
-    const s3Key = generateFileKey(fileName, userId);
+    const s3Key = await generateUploadKey(fileName, userId, collectionId);
 
     // Generate presigned URL
     const expiresIn = parseInt(process.env.S3_PRESIGNED_URL_EXPIRES) || 3600;
     const presignedUrl = await generatePresignedUploadUrl(
       s3Key,
       contentType,
-      expiresIn
+      expiresIn,
+      {
+        checksumAlgorithm,
+        checksum,
+        metadata: objectMetadata({ metadata }),
+        tags,
+      }
     );
 
     // Store upload metadata
@@ -61,20 +334,33 @@ router.post("/presigned-url", validateFileUpload, async (req, res, next) => {
       uploadId,
       fileName,
       contentType,
+      ...(fileSize && { fileSize }),
+      ...(checksumAlgorithm && { checksumAlgorithm, checksum }),
+      ...(metadata && { metadata }),
+      ...(tags && { tags }),
+      ...(collectionId && { collectionId }),
       s3Key,
-      userId: userId || "anonymous",
+      userId,
       status: "pending",
       createdAt: new Date().toISOString(),
       expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
     };
 
-    uploads.set(uploadId, uploadData);
+    await reserveUpload(uploadData);
+    emitUploadEvent("upload.created", uploadData);
 
     res.json({
       success: true,
       data: {
         uploadId,
         presignedUrl,
+        // Headers the client must send with the PUT
+        headers: {
+          "Content-Type": contentType,
+          ...(checksumAlgorithm && {
+            [CHECKSUM_ALGORITHMS[checksumAlgorithm].header]: checksum,
+          }),
+        },
         s3Key,
         expiresIn,
         expiresAt: uploadData.expiresAt,
@@ -85,44 +371,118 @@ router.post("/presigned-url", validateFileUpload, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/upload/presigned-post
+ * Generate a presigned POST. Its policy pins the key, Content-Type and
+ * upload metadata and bounds the body size (exactly fileSize when declared,
+ * otherwise MAX_FILE_SIZE), so storage rejects anything else.
+ */
+router.post("/presigned-post", validateFileUpload, async (req, res, next) => {
+  try {
+    const { fileName, contentType, fileSize, collectionId } = req.body;
+    const userId = req.user.id;
+    const uploadId = uuidv4();
+
+    const maxSize = Math.min(getMaxFileSize(), MAX_SINGLE_UPLOAD_SIZE);
+
+    assertWithinQuota(await checkUploadQuota(userId, fileSize));
+
+    const s3Key = await generateUploadKey(fileName, userId, collectionId);
+
+    const expiresIn = parseInt(process.env.S3_PRESIGNED_URL_EXPIRES) || 3600;
+    const { url, fields } = await generatePresignedPost(
+      s3Key,
+      contentType,
+      expiresIn,
+      {
+        minSize: fileSize || 1,
+        maxSize: fileSize || maxSize,
+        metadata: { "upload-id": uploadId, "user-id": userId },
+      }
+    );
+
+    // Store upload metadata
+    const uploadData = {
+      uploadId,
+      fileName,
+      contentType,
+      ...(fileSize && { fileSize }),
+      ...(collectionId && { collectionId }),
+      s3Key,
+      userId,
+      status: "pending",
+      type: "post",
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    };
+
+    await reserveUpload(uploadData);
+    emitUploadEvent("upload.created", uploadData);
+
+    res.json({
+      success: true,
+      data: {
+        uploadId,
+        // POST these fields, then the file last, as multipart/form-data
+        url,
+        fields,
+        s3Key,
+        maxFileSize: fileSize || maxSize,
+        expiresIn,
+        expiresAt: uploadData.expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/upload/confirm
- * Confirm successful upload
+ * Confirm successful upload once the object is verified in S3
  */
 router.post("/confirm", async (req, res, next) => {
   try {
     const { uploadId } = req.body;
 
-    if (!uploadId) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "uploadId is required",
-          status: 400,
-        },
-      });
+    const pendingUpload = await getOwnedUpload(req.user, uploadId);
+    if (!pendingUpload) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
     }
 
-    const uploadData = uploads.get(uploadId);
-    if (!uploadData) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: "Upload not found",
-          status: 404,
-        },
-      });
+    if (pendingUpload.type === "multipart") {
+      throw new ConflictError(
+        "Multipart uploads are completed with /multipart/complete",
+        { code: "MULTIPART_UPLOAD" }
+      );
+    }
+
+    if (!CONFIRMABLE_STATUSES.includes(pendingUpload.status)) {
+      throw new ConflictError(
+        `Upload is ${pendingUpload.status} and cannot be confirmed`,
+        { code: "UPLOAD_NOT_PENDING" }
+      );
+    }
+
+    // Check the object against what the client declared
+    const verification = await verifyUploadedObject(pendingUpload);
+    if (!verification.verified) {
+      throw await rejectUnverifiedUpload(pendingUpload, verification);
     }
 
     // Update upload status
-    uploadData.status = "completed";
-    uploadData.completedAt = new Date().toISOString();
-    uploads.set(uploadId, uploadData);
+    const uploadData = await markUploadCompleted(uploadId, verification);
+    if (!uploadData) {
+      throw new ConflictError("Upload was completed by another request", {
+        code: "UPLOAD_NOT_PENDING",
+      });
+    }
 
     // Generate download URL (optional)
     const downloadUrl = await generatePresignedDownloadUrl(
       uploadData.s3Key,
-      3600
+      3600,
+      { contentDisposition: contentDisposition("inline", uploadData.fileName) }
     );
 
     res.json({
@@ -141,56 +501,105 @@ router.post("/confirm", async (req, res, next) => {
   }
 });
 
+// Registered after GET /quota, which /:uploadId would otherwise match
+router.get("/:uploadId", validateRequest(schemas.upload));
+router.patch("/:uploadId", validateRequest(schemas.updateUpload));
+router.delete("/:uploadId", validateRequest(schemas.upload));
+router.post("/:uploadId/copy", validateRequest(schemas.copyUpload));
+router.post("/:uploadId/move", validateRequest(schemas.moveUpload));
+
 /**
  * GET /api/upload/:uploadId
  * Get upload status and details
  */
-router.get("/:uploadId", (req, res) => {
-  const { uploadId } = req.params;
-
-  const uploadData = uploads.get(uploadId);
-  if (!uploadData) {
-    return res.status(404).json({
-      success: false,
-      error: {
-        message: "Upload not found",
-        status: 404,
-      },
+router.get("/:uploadId", async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+
+    const uploadData = await getOwnedUpload(req.user, uploadId);
+    if (!uploadData) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    res.json({
+      success: true,
+      data: uploadData,
     });
+  } catch (error) {
+    next(error);
   }
+});
 
-  res.json({
-    success: true,
-    data: uploadData,
-  });
+/**
+ * PATCH /api/upload/:uploadId
+ * Replace an upload's metadata and/or tags, or rename it. Stored objects are
+ * updated straight away; uploads still in progress get them once completed.
+ * A renamed object keeps its key and is served under the new name.
+ */
+router.patch("/:uploadId", async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+    const { metadata, tags, fileName } = req.body;
+
+    const uploadData = await getOwnedUpload(req.user, uploadId);
+    if (!uploadData) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    if (!EDITABLE_STATUSES.includes(uploadData.status)) {
+      throw new ConflictError(
+        `Upload is ${uploadData.status} and can no longer be edited`,
+        { code: "UPLOAD_NOT_EDITABLE" }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const changes = {
+      ...(metadata && { metadata }),
+      ...(tags && { tags }),
+      ...(fileName &&
+        fileName !== uploadData.fileName && { fileName, renamedAt: now }),
+      updatedAt: now,
+    };
+
+    // Write the object first so a storage failure leaves the record as is
+    const stored = STORED_STATUSES.includes(uploadData.status);
+    if (stored) {
+      await syncObjectAttributes({ ...uploadData, ...changes });
+    }
+
+    const updatedUpload = await uploadStore.update(uploadId, (upload) => {
+      Object.assign(upload, changes);
+      if (!stored) {
+        upload.objectAttributesStale = true;
+      }
+    });
+    emitUploadEvent("upload.updated", updatedUpload);
+
+    res.json({
+      success: true,
+      data: updatedUpload,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * DELETE /api/upload/:uploadId
- * Delete uploaded file
+ * Delete an upload in any state, aborting an open multipart upload and
+ * removing its object even if it was never confirmed
  */
 router.delete("/:uploadId", async (req, res, next) => {
   try {
     const { uploadId } = req.params;
 
-    const uploadData = uploads.get(uploadId);
+    const uploadData = await getOwnedUpload(req.user, uploadId);
     if (!uploadData) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: "Upload not found",
-          status: 404,
-        },
-      });
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
     }
 
-    // Delete from S3 if upload was completed
-    if (uploadData.status === "completed") {
-      await deleteFile(uploadData.s3Key);
-    }
-
-    // Remove from memory
-    uploads.delete(uploadId);
+    await deleteUpload(uploadData);
 
     res.json({
       success: true,
@@ -205,60 +614,234 @@ router.delete("/:uploadId", async (req, res, next) => {
 });
 
 /**
- * GET /api/upload
- * List all uploads (for debugging/admin purposes)
+ * POST /api/upload/bulk-delete
+ * Delete uploads by ID and/or the filters of GET /api/upload, oldest first,
+ * up to MAX_DELETE_OBJECTS per request; `remaining` counts the matches left
+ * for another call. Non-admins only ever match their own uploads.
+ */
+router.post("/bulk-delete", async (req, res, next) => {
+  try {
+    const { uploadIds, ...filters } = req.body;
+    filters.userId = req.user.roles.includes("admin")
+      ? filters.userId
+      : req.user.id;
+
+    const { uploads, total } = await listUploads(
+      { ...filters, uploadIds },
+      { sort: "createdAt", order: "asc", limit: MAX_DELETE_OBJECTS }
+    );
+    const results = await deleteUploads(uploads);
+
+    // Requested IDs that matched nothing
+    const matched = new Set(uploads.map((upload) => upload.uploadId));
+    for (const uploadId of uploadIds || []) {
+      if (!matched.has(uploadId)) {
+        results.push({
+          uploadId,
+          deleted: false,
+          error: { code: "UPLOAD_NOT_FOUND", message: "Upload not found" },
+        });
+      }
+    }
+
+    const deleted = results.filter((result) => result.deleted).length;
+    res.json({
+      success: true,
+      data: {
+        deleted,
+        failed: results.length - deleted,
+        remaining: total - uploads.length,
+        results,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/upload/:uploadId/copy
+ * Copy a completed upload's object server-side into a new upload of the
+ * same owner, with the same metadata and tags
  */
-router.get("/", (req, res) => {
-  const { userId, status } = req.query;
+router.post("/:uploadId/copy", async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+    const { fileName } = req.body;
 
-  let filteredUploads = Array.from(uploads.values());
+    const source = await getOwnedUpload(req.user, uploadId);
+    if (!source) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+    const collectionId =
+      req.body.collectionId !== undefined
+        ? req.body.collectionId
+        : source.collectionId || null;
 
-  if (userId) {
-    filteredUploads = filteredUploads.filter(
-      (upload) => upload.userId === userId
+    assertWithinQuota(await checkUploadQuota(source.userId, source.fileSize));
+
+    const s3Key = await generateUploadKey(
+      fileName || source.fileName,
+      source.userId,
+      collectionId
     );
+    const copy = await copyUpload(source, { s3Key, fileName, collectionId });
+
+    res.status(201).json({
+      success: true,
+      data: copy,
+    });
+  } catch (error) {
+    next(error);
   }
+});
+
+/**
+ * POST /api/upload/:uploadId/move
+ * Move a completed upload's object to a new key, derived from a new name
+ * and/or under another collection's key prefix. The upload keeps its ID.
+ */
+router.post("/:uploadId/move", async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+    const { fileName } = req.body;
+
+    const uploadData = await getOwnedUpload(req.user, uploadId);
+    if (!uploadData) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+    const collectionId =
+      req.body.collectionId !== undefined
+        ? req.body.collectionId
+        : uploadData.collectionId || null;
+
+    const now = new Date().toISOString();
+    const changes = {
+      collectionId,
+      ...(fileName &&
+        fileName !== uploadData.fileName && { fileName, renamedAt: now }),
+      updatedAt: now,
+    };
 
-  if (status) {
-    filteredUploads = filteredUploads.filter(
-      (upload) => upload.status === status
+    const s3Key = await generateUploadKey(
+      fileName || uploadData.fileName,
+      uploadData.userId,
+      collectionId
     );
+    const movedUpload = await moveUpload(uploadData, s3Key, changes);
+    emitUploadEvent("upload.updated", movedUpload);
+
+    res.json({
+      success: true,
+      data: movedUpload,
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  res.json({
-    success: true,
-    data: {
-      uploads: filteredUploads,
-      total: filteredUploads.length,
-    },
-  });
+/**
+ * GET /api/upload
+ * List the caller's uploads; admins may list any user's or all uploads.
+ * Results are paged with the opaque nextCursor, and total/totalBytes cover
+ * every upload matching the filters, not just the page.
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { sort, order, limit, cursor, ...filters } = req.query;
+    filters.userId = req.user.roles.includes("admin")
+      ? req.query.userId
+      : req.user.id;
+
+    const page = await listUploads(filters, { sort, order, limit, cursor });
+
+    res.json({
+      success: true,
+      data: page,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
  * POST /api/upload/download-url
- * Generate a presigned URL for file download
+ * Generate a presigned URL for downloading an upload, by uploadId or s3Key.
+ * The URL serves the object under the upload's fileName (or the one given),
+ * inline or as an attachment, with optional Content-Type and Cache-Control
+ * overrides.
  */
 router.post("/download-url", async (req, res, next) => {
   try {
-    const { s3Key, expiresIn = 3600 } = req.body;
-
-    if (!s3Key) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "s3Key is required",
-          status: 400,
-        },
+    const {
+      uploadId,
+      expiresIn,
+      disposition,
+      contentType,
+      cacheControl,
+      range,
+    } = req.body;
+
+    // Only sign keys that belong to one of the caller's uploads
+    const [owned] = uploadId
+      ? [await getOwnedUpload(req.user, uploadId)]
+      : await uploadStore.list(
+          (upload) =>
+            upload.s3Key === req.body.s3Key &&
+            isOwnerOrAdmin(req.user, upload.userId)
+        );
+    if (!owned) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    // Like /stream, only verified objects are handed out; admins may also
+    // fetch quarantined ones to inspect them
+    const downloadable =
+      owned.status === "completed" ||
+      (owned.status === "quarantined" && req.user.roles.includes("admin"));
+    if (!downloadable) {
+      throw new ConflictError(
+        `Upload is ${owned.status}; only completed uploads can be downloaded`,
+        { code: "UPLOAD_NOT_COMPLETED" }
+      );
+    }
+
+    // Served from the bucket's (or, with local storage, this app's) origin,
+    // so don't let callers turn an upload into HTML or script
+    if (
+      contentType &&
+      contentType !== "application/octet-stream" &&
+      !isValidFileType(contentType)
+    ) {
+      throw new ValidationError("Invalid content type override", {
+        code: "INVALID_FILE_TYPE",
+        details: `Allowed types: application/octet-stream,${process.env.ALLOWED_FILE_TYPES}`,
       });
     }
 
-    const downloadUrl = await generatePresignedDownloadUrl(s3Key, expiresIn);
+    const fileName = req.body.fileName || owned.fileName;
+    const downloadUrl = await generatePresignedDownloadUrl(
+      owned.s3Key,
+      expiresIn,
+      {
+        contentDisposition: contentDisposition(disposition, fileName),
+        contentType,
+        cacheControl,
+      }
+    );
 
     res.json({
       success: true,
       data: {
         downloadUrl,
-        s3Key,
+        uploadId: owned.uploadId,
+        s3Key: owned.s3Key,
+        fileName,
+        disposition,
+        // Headers the client should send with the GET
+        ...(range && {
+          headers: { Range: `bytes=${range.start}-${range.end ?? ""}` },
+        }),
         expiresIn,
         expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
       },
@@ -277,46 +860,82 @@ router.post(
   validateFileUpload,
   async (req, res, next) => {
     try {
-      const { fileName, contentType, fileSize, userId } = req.body;
-
-      if (!fileSize) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: "fileSize is required for multipart upload",
-            status: 400,
-          },
-        });
+      const {
+        fileName,
+        contentType,
+        fileSize,
+        checksum,
+        partChecksums,
+        metadata,
+        tags,
+        collectionId,
+      } = req.body;
+      const userId = req.user.id;
+
+      // SHA256 yields a composite checksum-of-parts; CRC32C covers the whole
+      // object and S3 validates it when the upload is completed
+      const checksumAlgorithm = normalizeChecksumAlgorithm(
+        req.body.checksumAlgorithm
+      );
+      if (checksumAlgorithm && checksum) {
+        assertChecksum(checksumAlgorithm, checksum, "checksum");
       }
 
+      assertWithinQuota(await checkUploadQuota(userId, fileSize));
+
       const uploadId = uuidv4();
-      const s3Key = generateFileKey(fileName, userId);
+      const s3Key = await generateUploadKey(fileName, userId, collectionId);
 
       // Calculate multipart parameters
       const multipartParams = calculateMultipartParams(fileSize);
 
       if (!multipartParams.useMultipart) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message:
-              "File size does not require multipart upload. Use regular upload instead.",
-            status: 400,
-          },
-        });
+        throw new ValidationError(
+          "File size does not require multipart upload. Use regular upload instead.",
+          { code: "MULTIPART_NOT_REQUIRED" }
+        );
+      }
+
+      // Sign only the first window of parts; the rest come from /part-urls.
+      // Checksummed parts are signed once their checksum is known.
+      const partUrlSettings = getPartUrlSettings();
+      let firstWindow = Array.from(
+        {
+          length: Math.min(
+            multipartParams.partCount,
+            partUrlSettings.windowSize
+          ),
+        },
+        (_, index) => index + 1
+      );
+      if (checksumAlgorithm) {
+        firstWindow = firstWindow.filter(
+          (partNumber) => partChecksums?.[partNumber]
+        );
       }
+      const firstWindowChecksums = resolvePartChecksums(
+        checksumAlgorithm,
+        firstWindow,
+        partChecksums
+      );
 
       // Initiate multipart upload with S3
-      const s3UploadId = await initiateMultipartUpload(s3Key, contentType);
+      const s3UploadId = await initiateMultipartUpload(s3Key, contentType, {
+        checksumAlgorithm,
+        metadata: objectMetadata({ metadata }),
+        tags,
+      });
 
-      // Generate presigned URLs for all parts
-      const expiresIn = parseInt(process.env.S3_PRESIGNED_URL_EXPIRES) || 3600;
+      // The session lives as long as its part URLs; signing more extends it
+      const { expiresIn } = partUrlSettings;
       const partUrls = await generateMultipartUploadUrls(
         s3Key,
         s3UploadId,
-        multipartParams.partCount,
-        expiresIn
+        firstWindow,
+        expiresIn,
+        { checksumAlgorithm, partChecksums: firstWindowChecksums }
       );
+      const lastSignedPart = firstWindow[firstWindow.length - 1] || 0;
 
       // Store upload metadata
       const uploadData = {
@@ -325,8 +944,15 @@ router.post(
         fileName,
         contentType,
         fileSize,
+        ...(checksumAlgorithm && {
+          checksumAlgorithm,
+          ...(checksum && { checksum }),
+        }),
+        ...(metadata && { metadata }),
+        ...(tags && { tags }),
+        ...(collectionId && { collectionId }),
         s3Key,
-        userId: userId || "anonymous",
+        userId,
         status: "multipart-initiated",
         type: "multipart",
         partSize: multipartParams.partSize,
@@ -336,7 +962,20 @@ router.post(
         expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
       };
 
-      uploads.set(uploadId, uploadData);
+      // Quotas were only pre-checked; a concurrent upload may have taken
+      // the room meanwhile, and then this session must go
+      try {
+        await reserveUpload(uploadData);
+      } catch (error) {
+        await abortMultipartUpload(s3Key, s3UploadId).catch((abortError) =>
+          console.error(
+            `Failed to abort multipart upload ${s3UploadId}:`,
+            abortError
+          )
+        );
+        throw error;
+      }
+      emitUploadEvent("upload.created", uploadData);
 
       res.json({
         success: true,
@@ -347,6 +986,15 @@ router.post(
           partSize: multipartParams.partSize,
           partCount: multipartParams.partCount,
           partUrls,
+          partUrlWindow: partUrlSettings.windowSize,
+          partUrlsExpireAt: new Date(
+            Date.now() + partUrlSettings.expiresIn * 1000
+          ).toISOString(),
+          nextPartNumber:
+            lastSignedPart < multipartParams.partCount
+              ? lastSignedPart + 1
+              : null,
+          ...(checksumAlgorithm && { checksumAlgorithm }),
           expiresIn,
           expiresAt: uploadData.expiresAt,
         },
@@ -365,66 +1013,81 @@ router.post("/multipart/complete", async (req, res, next) => {
   try {
     const { uploadId, parts } = req.body;
 
-    if (!uploadId || !parts || !Array.isArray(parts)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "uploadId and parts array are required",
-          status: 400,
-        },
-      });
-    }
-
-    const uploadData = uploads.get(uploadId);
+    const uploadData = await getOwnedUpload(req.user, uploadId);
     if (!uploadData) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: "Upload not found",
-          status: 404,
-        },
-      });
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
     }
 
     if (uploadData.type !== "multipart") {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "Upload is not a multipart upload",
-          status: 400,
-        },
+      throw new ValidationError("Upload is not a multipart upload", {
+        code: "NOT_MULTIPART_UPLOAD",
       });
     }
 
+    if (uploadData.status !== "multipart-initiated") {
+      throw new ConflictError(
+        `Upload is ${uploadData.status} and cannot be completed`,
+        { code: "UPLOAD_NOT_IN_PROGRESS" }
+      );
+    }
+
     // Validate parts
     if (parts.length !== uploadData.partCount) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: `Expected ${uploadData.partCount} parts, received ${parts.length}`,
-          status: 400,
-        },
-      });
+      throw new ValidationError(
+        `Expected ${uploadData.partCount} parts, received ${parts.length}`,
+        { code: "PART_COUNT_MISMATCH" }
+      );
+    }
+
+    // Checksummed uploads need each part's checksum to complete
+    if (uploadData.checksumAlgorithm) {
+      const field = CHECKSUM_ALGORITHMS[uploadData.checksumAlgorithm].field;
+      const unchecked = parts.filter((part) => !part[field]);
+      if (unchecked.length > 0) {
+        throw new ValidationError(`Every part needs a ${field}`, {
+          code: "PART_CHECKSUM_MISSING",
+          details: `Missing for parts: ${unchecked
+            .map((part) => part.PartNumber)
+            .join(", ")}`,
+        });
+      }
     }
 
     // Complete multipart upload with S3
     const result = await completeMultipartUpload(
       uploadData.s3Key,
       uploadData.s3UploadId,
-      parts
+      parts,
+      {
+        checksumAlgorithm: uploadData.checksumAlgorithm,
+        checksum: uploadData.checksum,
+      }
     );
 
+    // Check the assembled object against what the client declared
+    const verification = await verifyUploadedObject(uploadData);
+    const assembled = { completedParts: parts, s3Location: result.Location };
+    if (!verification.verified) {
+      throw await rejectUnverifiedUpload(uploadData, verification, assembled);
+    }
+
     // Update upload status
-    uploadData.status = "completed";
-    uploadData.completedAt = new Date().toISOString();
-    uploadData.completedParts = parts;
-    uploadData.s3Location = result.Location;
-    uploads.set(uploadId, uploadData);
+    const completedUpload = await markUploadCompleted(
+      uploadId,
+      verification,
+      assembled
+    );
+    if (!completedUpload) {
+      throw new ConflictError("Upload was completed by another request", {
+        code: "UPLOAD_NOT_IN_PROGRESS",
+      });
+    }
 
     // Generate download URL
     const downloadUrl = await generatePresignedDownloadUrl(
       uploadData.s3Key,
-      3600
+      3600,
+      { contentDisposition: contentDisposition("inline", uploadData.fileName) }
     );
 
     res.json({
@@ -436,7 +1099,7 @@ router.post("/multipart/complete", async (req, res, next) => {
         s3Key: uploadData.s3Key,
         s3Location: result.Location,
         downloadUrl,
-        completedAt: uploadData.completedAt,
+        completedAt: completedUpload.completedAt,
       },
     });
   } catch (error) {
@@ -445,51 +1108,277 @@ router.post("/multipart/complete", async (req, res, next) => {
 });
 
 /**
- * POST /api/upload/multipart/abort
- * Abort a multipart upload
+ * GET /api/upload/multipart/:uploadId/parts
+ * List the parts S3 already holds so a client can resume an interrupted upload.
+ * Uploaded parts use the same shape /multipart/complete accepts.
  */
-router.post("/multipart/abort", async (req, res, next) => {
+router.get("/multipart/:uploadId/parts", async (req, res, next) => {
   try {
-    const { uploadId } = req.body;
+    const { uploadId } = req.params;
 
-    if (!uploadId) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "uploadId is required",
-          status: 400,
-        },
+    const uploadData = await getOwnedUpload(req.user, uploadId);
+    if (!uploadData) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    if (uploadData.type !== "multipart") {
+      throw new ValidationError("Upload is not a multipart upload", {
+        code: "NOT_MULTIPART_UPLOAD",
+      });
+    }
+
+    if (uploadData.status !== "multipart-initiated") {
+      throw new ConflictError(
+        `Upload is ${uploadData.status}, parts are no longer available`,
+        { code: "UPLOAD_NOT_IN_PROGRESS" }
+      );
+    }
+
+    const uploadedParts = await listUploadedParts(
+      uploadData.s3Key,
+      uploadData.s3UploadId
+    );
+
+    res.json({
+      success: true,
+      data: {
+        uploadId,
+        partSize: uploadData.partSize,
+        partCount: uploadData.partCount,
+        uploadedParts,
+        uploadedBytes: uploadedParts.reduce((sum, part) => sum + part.Size, 0),
+        missingPartNumbers: getMissingPartNumbers(uploadData, uploadedParts),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/upload/multipart/:uploadId/resume
+ * Issue fresh presigned URLs for the parts S3 has not received yet
+ */
+router.post("/multipart/:uploadId/resume", async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+
+    const uploadData = await getOwnedUpload(req.user, uploadId);
+    if (!uploadData) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    if (uploadData.type !== "multipart") {
+      throw new ValidationError("Upload is not a multipart upload", {
+        code: "NOT_MULTIPART_UPLOAD",
       });
     }
 
-    const uploadData = uploads.get(uploadId);
+    if (uploadData.status !== "multipart-initiated") {
+      throw new ConflictError(
+        `Upload is ${uploadData.status} and cannot be resumed`,
+        { code: "UPLOAD_NOT_IN_PROGRESS" }
+      );
+    }
+
+    const uploadedParts = await listUploadedParts(
+      uploadData.s3Key,
+      uploadData.s3UploadId
+    );
+    const missingPartNumbers = getMissingPartNumbers(uploadData, uploadedParts);
+
+    // Sign the first window of missing parts; the rest come from /part-urls.
+    // Checksummed parts are signed only when the client resends their checksum.
+    const partUrlSettings = getPartUrlSettings();
+    let resumeWindow = missingPartNumbers.slice(0, partUrlSettings.windowSize);
+    if (uploadData.checksumAlgorithm) {
+      resumeWindow = resumeWindow.filter(
+        (partNumber) => req.body.partChecksums?.[partNumber]
+      );
+    }
+    const partUrls = await generateMultipartUploadUrls(
+      uploadData.s3Key,
+      uploadData.s3UploadId,
+      resumeWindow,
+      partUrlSettings.expiresIn,
+      {
+        checksumAlgorithm: uploadData.checksumAlgorithm,
+        partChecksums: resolvePartChecksums(
+          uploadData.checksumAlgorithm,
+          resumeWindow,
+          req.body.partChecksums
+        ),
+      }
+    );
+
+    // Like /part-urls, keep the session alive at least as long as the URLs
+    // just signed
+    const { expiresIn } = partUrlSettings;
+    const partUrlsExpireAt = new Date(
+      Date.now() + expiresIn * 1000
+    ).toISOString();
+    const resumedUpload = await uploadStore.update(uploadId, (upload) => {
+      if (!upload.expiresAt || upload.expiresAt < partUrlsExpireAt) {
+        upload.expiresAt = partUrlsExpireAt;
+      }
+      upload.resumedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        uploadId,
+        s3Key: uploadData.s3Key,
+        partSize: uploadData.partSize,
+        partCount: uploadData.partCount,
+        uploadedParts,
+        missingPartNumbers,
+        partUrls,
+        partUrlsExpireAt,
+        expiresIn,
+        expiresAt: resumedUpload.expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/upload/multipart/:uploadId/part-urls
+ * Sign presigned URLs for a window of parts, either a range
+ * ({ startPartNumber, count }) or an explicit list ({ partNumbers })
+ */
+router.post("/multipart/:uploadId/part-urls", async (req, res, next) => {
+  try {
+    const { uploadId } = req.params;
+    const { windowSize, expiresIn } = getPartUrlSettings();
+
+    const uploadData = await getOwnedUpload(req.user, uploadId);
     if (!uploadData) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: "Upload not found",
-          status: 404,
-        },
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
+    if (uploadData.type !== "multipart") {
+      throw new ValidationError("Upload is not a multipart upload", {
+        code: "NOT_MULTIPART_UPLOAD",
       });
     }
 
+    if (uploadData.status !== "multipart-initiated") {
+      throw new ConflictError(
+        `Upload is ${uploadData.status}, no more parts can be uploaded`,
+        { code: "UPLOAD_NOT_IN_PROGRESS" }
+      );
+    }
+
+    let partNumbers = req.body.partNumbers;
+    if (!partNumbers) {
+      const { startPartNumber = 1, count = windowSize } = req.body;
+      const endPartNumber = Math.min(
+        startPartNumber + count - 1,
+        uploadData.partCount
+      );
+      partNumbers = [];
+      for (let n = startPartNumber; n <= endPartNumber; n++) {
+        partNumbers.push(n);
+      }
+    }
+
+    const invalidPart =
+      partNumbers.length === 0 ||
+      partNumbers.some((partNumber) => partNumber > uploadData.partCount);
+    if (invalidPart) {
+      throw new ValidationError(
+        `Part numbers must be integers between 1 and ${uploadData.partCount}`,
+        { code: "INVALID_PART_NUMBER" }
+      );
+    }
+
+    if (partNumbers.length > windowSize) {
+      throw new ValidationError(
+        `At most ${windowSize} part URLs can be signed per request`,
+        { code: "PART_URL_WINDOW_EXCEEDED" }
+      );
+    }
+
+    const partUrls = await generateMultipartUploadUrls(
+      uploadData.s3Key,
+      uploadData.s3UploadId,
+      partNumbers,
+      expiresIn,
+      {
+        checksumAlgorithm: uploadData.checksumAlgorithm,
+        partChecksums: resolvePartChecksums(
+          uploadData.checksumAlgorithm,
+          partNumbers,
+          req.body.partChecksums
+        ),
+      }
+    );
+
+    // The session stays alive at least as long as the URLs just signed, so
+    // the reaper doesn't abort an upload that is still sending parts
+    const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+    await uploadStore.update(uploadId, (upload) => {
+      if (!upload.expiresAt || upload.expiresAt < expiresAt) {
+        upload.expiresAt = expiresAt;
+      }
+    });
+
+    const lastPartNumber = Math.max(...partNumbers);
+
+    res.json({
+      success: true,
+      data: {
+        uploadId,
+        partUrls,
+        nextPartNumber:
+          lastPartNumber < uploadData.partCount ? lastPartNumber + 1 : null,
+        expiresIn,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/upload/multipart/abort
+ * Abort a multipart upload
+ */
+router.post("/multipart/abort", async (req, res, next) => {
+  try {
+    const { uploadId } = req.body;
+
+    const uploadData = await getOwnedUpload(req.user, uploadId);
+    if (!uploadData) {
+      throw new NotFoundError("Upload not found", { code: "UPLOAD_NOT_FOUND" });
+    }
+
     if (uploadData.type !== "multipart") {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: "Upload is not a multipart upload",
-          status: 400,
-        },
+      throw new ValidationError("Upload is not a multipart upload", {
+        code: "NOT_MULTIPART_UPLOAD",
       });
     }
 
+    if (uploadData.status !== "multipart-initiated") {
+      throw new ConflictError(
+        `Upload is ${uploadData.status} and cannot be aborted`,
+        { code: "UPLOAD_NOT_IN_PROGRESS" }
+      );
+    }
+
     // Abort multipart upload with S3
     await abortMultipartUpload(uploadData.s3Key, uploadData.s3UploadId);
 
     // Update upload status
-    uploadData.status = "aborted";
-    uploadData.abortedAt = new Date().toISOString();
-    uploads.set(uploadId, uploadData);
+    const abortedUpload = await uploadStore.update(uploadId, (upload) => {
+      upload.status = "aborted";
+      upload.abortedAt = new Date().toISOString();
+    });
+    emitUploadEvent("upload.aborted", abortedUpload);
 
     res.json({
       success: true,
@@ -497,7 +1386,7 @@ router.post("/multipart/abort", async (req, res, next) => {
         uploadId,
         status: "aborted",
         message: "Multipart upload aborted successfully",
-        abortedAt: uploadData.abortedAt,
+        abortedAt: abortedUpload.abortedAt,
       },
     });
   } catch (error) {
@@ -0,0 +1,176 @@
+const express = require("express");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { authenticate, requireRole, validateRequest } = require("../middleware");
+const {
+  subscriptionStore,
+  deliveryStore,
+  replayDelivery,
+} = require("../services/webhooks");
+const { NotFoundError } = require("../errors");
+const schemas = require("../schemas/webhooks");
+
+const router = express.Router();
+
+// Webhook management is an admin concern
+router.use(authenticate(), requireRole("admin"));
+
+router.post("/", validateRequest(schemas.createWebhook));
+
+/**
+ * Hide the signing secret when echoing a subscription back
+ * @param {Object} subscription - Subscription record
+ * @returns {Object}
+ */
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+/**
+ * POST /api/webhooks
+ * Create a subscription. The signing secret is only returned here.
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const { url, events, secret } = req.body;
+
+    const subscription = await subscriptionStore.put({
+      id: uuidv4(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      active: true,
+      createdBy: req.user.id,
+      createdAt: new Date().toISOString(),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List subscriptions
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const subscriptions = await subscriptionStore.list();
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions: subscriptions.map(withoutSecret),
+        total: subscriptions.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:subscriptionId
+ * Remove a subscription
+ */
+router.delete("/:subscriptionId", async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    if (!(await subscriptionStore.remove(subscriptionId))) {
+      throw new NotFoundError("Subscription not found", {
+        code: "SUBSCRIPTION_NOT_FOUND",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: "Subscription deleted successfully",
+        subscriptionId,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * List deliveries, optionally filtered by status (pending, delivered, dead)
+ */
+router.get("/deliveries", async (req, res, next) => {
+  try {
+    const { status, subscriptionId } = req.query;
+
+    const deliveries = await deliveryStore.list(
+      (delivery) =>
+        (!status || delivery.status === status) &&
+        (!subscriptionId || delivery.subscriptionId === subscriptionId)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        total: deliveries.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that exhausted their retries
+ */
+router.get("/dead-letters", async (req, res, next) => {
+  try {
+    const deliveries = await deliveryStore.list(
+      (delivery) => delivery.status === "dead"
+    );
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        total: deliveries.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Send a delivery again, e.g. from the dead-letter list
+ */
+router.post("/deliveries/:deliveryId/replay", async (req, res, next) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const delivery = await replayDelivery(deliveryId);
+    if (!delivery) {
+      throw new NotFoundError("Delivery not found", {
+        code: "DELIVERY_NOT_FOUND",
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        deliveryId,
+        status: delivery.status,
+        message: "Delivery queued for replay",
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
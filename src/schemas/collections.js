@@ -0,0 +1,80 @@
+const Joi = require("joi");
+const { listUploads } = require("./upload");
+
+const collectionIdParams = Joi.object({
+  collectionId: Joi.string().guid().required(),
+});
+
+const name = Joi.string().trim().min(1).max(255).example("Spring campaign");
+
+const description = Joi.string().trim().allow("").max(2048);
+
+/**
+ * Request schemas for /api/collections, keyed by route, in the same shape
+ * as the upload schemas
+ */
+module.exports = {
+  createCollection: {
+    body: Joi.object({
+      name: name.required(),
+      description,
+    }),
+  },
+
+  collection: {
+    params: collectionIdParams,
+  },
+
+  updateCollection: {
+    params: collectionIdParams,
+    body: Joi.object({
+      name,
+      description,
+    }).or("name", "description"),
+  },
+
+  deleteCollection: {
+    params: collectionIdParams,
+    query: Joi.object({
+      deleteUploads: Joi.boolean()
+        .default(false)
+        .description(
+          "Delete the collection's uploads too; otherwise they are only taken out of it"
+        ),
+    }),
+  },
+
+  // Same filters, sort and paging as GET /api/upload
+  collectionUploads: {
+    params: collectionIdParams,
+    query: listUploads.query.fork(["collectionId", "userId"], (schema) =>
+      schema.forbidden()
+    ),
+  },
+
+  collectionUpload: {
+    params: collectionIdParams.keys({
+      uploadId: Joi.string().guid().required(),
+    }),
+    body: Joi.object({
+      relocate: Joi.boolean()
+        .default(false)
+        .description(
+          "Also move the object under the collection's key prefix (completed uploads only)"
+        ),
+    }),
+  },
+
+  removeCollectionUpload: {
+    params: collectionIdParams.keys({
+      uploadId: Joi.string().guid().required(),
+    }),
+    query: Joi.object({
+      relocate: Joi.boolean()
+        .default(false)
+        .description(
+          "Also move the object back under the owner's default key prefix"
+        ),
+    }),
+  },
+};
@@ -0,0 +1,442 @@
+const Joi = require("joi");
+const {
+  CHECKSUM_ALGORITHMS,
+  MAX_SINGLE_UPLOAD_SIZE,
+  MAX_DELETE_OBJECTS,
+} = require("../config/aws");
+
+// SigV4 presigned URLs are valid for at most 7 days
+const MAX_PRESIGNED_EXPIRES = 7 * 24 * 60 * 60;
+
+// Highest part number S3 accepts in a multipart upload
+const MAX_PART_NUMBER = 10000;
+
+const UPLOAD_STATUSES = [
+  "pending",
+  "multipart-initiated",
+  "completed",
+  "quarantined",
+  "verification-failed",
+  "rejected",
+  "aborted",
+  "expired",
+  "deleted",
+];
+
+const SORT_FIELDS = ["createdAt", "completedAt", "fileSize", "fileName"];
+
+// Largest page GET /api/upload returns
+const MAX_LIST_LIMIT = 200;
+
+const uploadId = Joi.string().guid();
+
+const partNumber = Joi.number().integer().min(1).max(MAX_PART_NUMBER);
+
+// Declared fields below carry descriptions and examples for the OpenAPI
+// document, which is generated from these schemas
+
+// "sha-256", "crc32c", ... normalized to the CHECKSUM_ALGORITHMS keys
+const checksumAlgorithm = Joi.string()
+  .empty("")
+  .uppercase()
+  .replace(/-/g, "")
+  .valid(...Object.keys(CHECKSUM_ALGORITHMS))
+  .description(
+    "Checksum algorithm the upload is verified with; case and dashes are ignored (sha-256 works)"
+  );
+
+// Base64 checksums keyed by part number
+const partChecksums = Joi.object()
+  .pattern(/^\d+$/, Joi.string())
+  .description(
+    "Base64 checksums keyed by part number. Uploads with a checksumAlgorithm need one for every part being signed."
+  );
+
+const fileFields = {
+  fileName: Joi.string().trim().max(1024).required().example("holiday.mp4"),
+  contentType: Joi.string().trim().max(255).required().example("video/mp4"),
+  fileSize: Joi.number()
+    .integer()
+    .positive()
+    .description("File size in bytes")
+    .example(52428800),
+  collectionId: Joi.string()
+    .guid()
+    .description(
+      "Collection to create the upload in; its object is stored under the collection's key prefix"
+    ),
+};
+
+// S3 allows 10 tags per object; quarantine adds two of its own
+const MAX_TAGS = 8;
+
+// S3 caps user metadata at 2 KB, and this service sets a few keys itself
+const MAX_METADATA_BYTES = 1536;
+
+// Object tags. Keys may not contain ":", which separates key and value in
+// the list endpoint's tag filter.
+const tags = Joi.object({
+  quarantined: Joi.forbidden(),
+  uploadId: Joi.forbidden(),
+})
+  .pattern(
+    /^(?!aws:)[\p{L}\p{N} +\-=._/@]{1,128}$/u,
+    Joi.string()
+      .allow("")
+      .max(256)
+      .pattern(/^[\p{L}\p{N} +\-=._:/@]*$/u)
+  )
+  .max(MAX_TAGS)
+  // Reject bad names instead of letting validateRequest strip them
+  .prefs({ stripUnknown: false })
+  .messages({
+    "any.unknown": "{#label} is reserved",
+    "object.unknown": "{#label} is not a valid tag name",
+  })
+  .description(`Up to ${MAX_TAGS} tags, mirrored into the object's S3 tag set`)
+  .example({ genre: "sports", season: "2026" });
+
+// Object metadata, mirrored into x-amz-meta-* with URI-encoded values
+const metadata = Joi.object({
+  "upload-id": Joi.forbidden(),
+  "user-id": Joi.forbidden(),
+})
+  .pattern(/^[a-z0-9][a-z0-9-]{0,63}$/, Joi.string().allow("").max(1024))
+  .max(20)
+  .prefs({ stripUnknown: false })
+  .custom((value, helpers) => {
+    const size = Object.entries(value).reduce(
+      (total, [key, entry]) =>
+        total + key.length + encodeURIComponent(entry).length,
+      0
+    );
+    return size > MAX_METADATA_BYTES
+      ? helpers.error("object.metadataSize", { limit: MAX_METADATA_BYTES })
+      : value;
+  })
+  .messages({
+    "any.unknown": "{#label} is reserved",
+    "object.unknown":
+      "{#label} is not a valid metadata key (lowercase letters, digits and dashes)",
+    "object.metadataSize":
+      "{#label} exceeds {#limit} bytes once values are URI-encoded",
+  })
+  .description(
+    "Custom key/value metadata, mirrored into the object's x-amz-meta-* headers with URI-encoded values"
+  )
+  .example({ title: "Summer holiday", camera: "gopro-12" });
+
+// Filters shared by the list and bulk delete endpoints
+const uploadFilters = {
+  status: Joi.string().valid(...UPLOAD_STATUSES),
+  userId: Joi.string()
+    .max(255)
+    .description("Owner to list; only honoured for admins"),
+  collectionId: Joi.string()
+    .guid()
+    .description("Only uploads in this collection"),
+  type: Joi.string()
+    .valid("single", "multipart")
+    .description(
+      "single covers presigned PUT and POST uploads, multipart the rest"
+    ),
+  contentType: Joi.string()
+    .max(255)
+    .description('Exact content type, or a family such as "video/*"')
+    .example("video/*"),
+  fileName: Joi.string()
+    .max(1024)
+    .description("Case-insensitive substring of the file name"),
+  createdAfter: Joi.date().iso().description("Inclusive lower bound"),
+  createdBefore: Joi.date().iso().description("Exclusive upper bound"),
+  completedAfter: Joi.date().iso().description("Inclusive lower bound"),
+  completedBefore: Joi.date().iso().description("Exclusive upper bound"),
+  tag: Joi.array()
+    .items(Joi.string().max(385))
+    .single()
+    .description(
+      'Tag name ("genre") or name and value ("genre:sports"); repeat to require several'
+    ),
+  metadata: Joi.array()
+    .items(Joi.string().max(1089))
+    .single()
+    .description(
+      'Metadata key ("title") or key and exact value ("title:Summer holiday"); repeat to require several'
+    ),
+};
+
+// Header values signed into download URLs: one line of printable ASCII
+const responseHeader = Joi.string()
+  .trim()
+  .max(255)
+  .pattern(/^[\x20-\x7e]+$/);
+
+const uploadIdParams = Joi.object({
+  uploadId: uploadId.required(),
+});
+
+// Largest expiresIn a client may ask for on a download URL
+const MAX_DOWNLOAD_EXPIRES = Math.min(
+  parseInt(process.env.S3_DOWNLOAD_URL_MAX_EXPIRES) || MAX_PRESIGNED_EXPIRES,
+  MAX_PRESIGNED_EXPIRES
+);
+
+/**
+ * Request schemas for /api/upload, keyed by route. Each entry holds Joi
+ * schemas for the parts of the request it validates (body, params, query).
+ */
+module.exports = {
+  quota: {
+    query: Joi.object({
+      userId: Joi.string().max(255),
+    }),
+  },
+
+  presignedUrl: {
+    body: Joi.object({
+      ...fileFields,
+      checksumAlgorithm,
+      checksum: Joi.string()
+        .when("checksumAlgorithm", {
+          is: Joi.exist(),
+          then: Joi.required(),
+        })
+        .description(
+          "Base64 digest of the file; required with checksumAlgorithm"
+        ),
+      metadata,
+      tags,
+    }),
+  },
+
+  presignedPost: {
+    body: Joi.object({
+      ...fileFields,
+      fileSize: fileFields.fileSize.max(MAX_SINGLE_UPLOAD_SIZE).messages({
+        "number.max":
+          "fileSize over {#limit} bytes requires a multipart upload",
+      }),
+      checksumAlgorithm: Joi.any().forbidden().messages({
+        "any.unknown":
+          "Checksums are not supported with presigned POST; use /presigned-url",
+      }),
+    }),
+  },
+
+  confirm: {
+    body: Joi.object({
+      uploadId: uploadId.required(),
+    }),
+  },
+
+  upload: {
+    params: uploadIdParams,
+  },
+
+  updateUpload: {
+    params: uploadIdParams,
+    body: Joi.object({
+      metadata: metadata.description(
+        "Replaces the upload's metadata; {} clears it"
+      ),
+      tags: tags.description("Replaces the upload's tags; {} clears them"),
+      fileName: fileFields.fileName
+        .optional()
+        .description(
+          "Renames the upload; the object keeps its key but is served with the new name"
+        ),
+    }).or("metadata", "tags", "fileName"),
+  },
+
+  copyUpload: {
+    params: uploadIdParams,
+    body: Joi.object({
+      fileName: fileFields.fileName
+        .optional()
+        .description("Name of the copy; defaults to the original's"),
+      collectionId: fileFields.collectionId
+        .allow(null)
+        .description(
+          "Collection to put the copy in; defaults to the original's, null for none"
+        ),
+    }),
+  },
+
+  moveUpload: {
+    params: uploadIdParams,
+    body: Joi.object({
+      fileName: fileFields.fileName
+        .optional()
+        .description("New name, which the new key is derived from"),
+      collectionId: fileFields.collectionId
+        .allow(null)
+        .description(
+          "Collection to move the upload into, under its key prefix; null moves it out"
+        ),
+    }).or("fileName", "collectionId"),
+  },
+
+  listUploads: {
+    query: Joi.object({
+      ...uploadFilters,
+      sort: Joi.string()
+        .valid(...SORT_FIELDS)
+        .default("createdAt")
+        .description(
+          "Uploads without the field (e.g. not yet completed) come last"
+        ),
+      order: Joi.string().valid("asc", "desc").default("desc"),
+      limit: Joi.number().integer().min(1).max(MAX_LIST_LIMIT).default(50),
+      cursor: Joi.string()
+        .max(2048)
+        .description(
+          "nextCursor from the previous page; sort and order must not change"
+        ),
+    }),
+  },
+
+  bulkDeleteUploads: {
+    body: Joi.object({
+      uploadIds: Joi.array()
+        .items(uploadId)
+        .min(1)
+        .max(MAX_DELETE_OBJECTS)
+        .unique()
+        .description("Uploads to delete; combined with any filters below"),
+      ...uploadFilters,
+      userId: uploadFilters.userId.description(
+        "Owner whose uploads to delete; only honoured for admins"
+      ),
+    })
+      .or("uploadIds", ...Object.keys(uploadFilters))
+      .messages({
+        "object.missing":
+          "Give uploadIds or at least one filter; an empty request would delete everything",
+      }),
+  },
+
+  downloadUrl: {
+    body: Joi.object({
+      uploadId,
+      s3Key: Joi.string()
+        .max(1024)
+        .description("Object key of the upload, as an alternative to uploadId"),
+      expiresIn: Joi.number()
+        .integer()
+        .min(1)
+        .max(MAX_DOWNLOAD_EXPIRES)
+        .default(3600)
+        .description("Lifetime of the download URL in seconds"),
+      disposition: Joi.string()
+        .valid("inline", "attachment")
+        .default("inline")
+        .description(
+          "attachment makes browsers save the file rather than display it"
+        ),
+      fileName: fileFields.fileName
+        .optional()
+        .description("Filename to save as; defaults to the upload's fileName"),
+      contentType: responseHeader.description(
+        "Content-Type to serve the object with: application/octet-stream or an allowed upload type"
+      ),
+      cacheControl: responseHeader
+        .description("Cache-Control to serve the object with")
+        .example("private, max-age=3600"),
+      range: Joi.object({
+        start: Joi.number().integer().min(0).required(),
+        end: Joi.number().integer().min(Joi.ref("start")),
+      }).description(
+        "Byte range to fetch (end inclusive, open-ended without it); returned as a Range header to send with the GET"
+      ),
+    }).xor("uploadId", "s3Key"),
+  },
+
+  multipartInitiate: {
+    body: Joi.object({
+      ...fileFields,
+      fileSize: fileFields.fileSize.required(),
+      checksumAlgorithm,
+      // SHA256 multipart objects only carry a checksum of the part checksums
+      checksum: Joi.string()
+        .when("checksumAlgorithm", {
+          is: "SHA256",
+          then: Joi.forbidden(),
+        })
+        .messages({
+          "any.unknown":
+            "checksum is only supported with CRC32C; SHA256 multipart uploads are verified part by part",
+        })
+        .description(
+          "Base64 CRC32C of the whole file, checked when the upload is completed. Not allowed with SHA256, whose parts are verified individually."
+        ),
+      partChecksums,
+      metadata,
+      tags,
+    }),
+  },
+
+  multipartComplete: {
+    body: Joi.object({
+      uploadId: uploadId.required(),
+      parts: Joi.array()
+        .items(
+          Joi.object({
+            PartNumber: partNumber.required(),
+            ETag: Joi.string().required(),
+            ChecksumSHA256: Joi.string(),
+            ChecksumCRC32C: Joi.string(),
+          })
+        )
+        .min(1)
+        .unique("PartNumber")
+        .required()
+        .description(
+          "Every part's number and ETag, as returned when the part was uploaded or by GET /multipart/{uploadId}/parts"
+        ),
+    }),
+  },
+
+  multipartParts: {
+    params: uploadIdParams,
+  },
+
+  multipartResume: {
+    params: uploadIdParams,
+    body: Joi.object({
+      partChecksums,
+    }),
+  },
+
+  multipartPartUrls: {
+    params: uploadIdParams,
+    body: Joi.object({
+      partNumbers: Joi.array()
+        .items(partNumber)
+        .min(1)
+        .unique()
+        .description("Parts to sign"),
+      startPartNumber: partNumber.description(
+        "First part of a range to sign; defaults to 1"
+      ),
+      count: Joi.number()
+        .integer()
+        .min(1)
+        .description(
+          "Number of parts in the range; defaults to the window size"
+        ),
+      partChecksums,
+    })
+      .oxor("partNumbers", "startPartNumber")
+      .oxor("partNumbers", "count")
+      .messages({
+        "object.oxor":
+          "Pass either partNumbers or startPartNumber and count, not both",
+      }),
+  },
+
+  multipartAbort: {
+    body: Joi.object({
+      uploadId: uploadId.required(),
+    }),
+  },
+};
@@ -0,0 +1,39 @@
+const Joi = require("joi");
+const { WEBHOOK_EVENTS } = require("../services/webhooks");
+
+// Deliveries are signed with HMAC-SHA256; shorter secrets are guessable
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Request schemas for /api/webhooks, keyed by route, in the same shape as
+ * the upload schemas
+ */
+module.exports = {
+  createWebhook: {
+    body: Joi.object({
+      url: Joi.string()
+        .uri({ scheme: ["http", "https"] })
+        .required()
+        .messages({ "string.uriCustomScheme": "url must be an http(s) URL" }),
+      events: Joi.array()
+        .items(
+          Joi.string()
+            .valid("*", ...WEBHOOK_EVENTS)
+            .messages({
+              "any.only": `events must be "*" or one of ${WEBHOOK_EVENTS.join(
+                ", "
+              )}`,
+            })
+        )
+        .min(1)
+        .unique()
+        .default(["*"]),
+      secret: Joi.string()
+        .min(MIN_SECRET_LENGTH)
+        .max(256)
+        .description(
+          "HMAC signing secret; a random one is generated when omitted"
+        ),
+    }),
+  },
+};
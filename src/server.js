@@ -7,18 +7,41 @@ const {
   errorHandler,
   notFoundHandler,
 } = require("./middleware");
-const { isS3Configured } = require("./config/aws");
+const { storage } = require("./storage");
+const { startWebhookDispatcher } = require("./services/webhooks");
+const { startReaper } = require("./services/reaper");
 
 // Import routes
 const uploadRoutes = require("./routes/upload");
+const collectionRoutes = require("./routes/collections");
+const storageRoutes = require("./routes/storage");
+const webhookRoutes = require("./routes/webhooks");
+const eventRoutes = require("./routes/events");
+const adminRoutes = require("./routes/admin");
+const docsRoutes = require("./routes/docs");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer, take the client IP (used for rate limiting) from
+// X-Forwarded-For; TRUST_PROXY is the number of proxy hops to trust
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Middleware setup
-app.use(configureLogging());
+if (process.env.NODE_ENV !== "test") {
+  app.use(configureLogging());
+}
 app.use(configureSecurity());
 app.use(configureCors());
+
+// Signed upload/download URLs of the local storage driver point back here.
+// Mounted before the body parsers so uploads stream straight to disk.
+if (storage.name === "local") {
+  app.use("/api/storage", storageRoutes);
+}
+
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -37,6 +60,11 @@ app.get("/", (req, res) => {
 
 // API routes
 app.use("/api/upload", uploadRoutes);
+app.use("/api/collections", collectionRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/docs", docsRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -47,7 +75,7 @@ app.use(errorHandler);
 // Start server
 const startServer = () => {
   // Check S3 configuration
-  if (!isS3Configured()) {
+  if (!storage.isConfigured()) {
     console.warn(
       "⚠️  AWS S3 is not properly configured. Please check your environment variables:"
     );
@@ -58,14 +86,33 @@ const startServer = () => {
     console.warn("   The server will start but S3 operations will fail.");
   }
 
+  // Retry webhook deliveries that failed or were cut short by a restart
+  startWebhookDispatcher();
+
+  // Expire abandoned uploads and abort their multipart sessions
+  if (process.env.REAPER_ENABLED !== "false") {
+    startReaper();
+  }
+
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || "development"}`);
     console.log(`🌐 API Base URL: http://localhost:${PORT}`);
     console.log(`📊 Health Check: http://localhost:${PORT}/`);
     console.log(`📤 Upload API: http://localhost:${PORT}/api/upload`);
+    console.log(
+      `🗂️  Collections API: http://localhost:${PORT}/api/collections`
+    );
+    console.log(`🔔 Webhooks API: http://localhost:${PORT}/api/webhooks`);
+    console.log(`📖 API docs: http://localhost:${PORT}/api/docs`);
 
-    if (isS3Configured()) {
+    if (storage.name === "local") {
+      console.log(
+        `💾 Local storage driver: ${
+          process.env.LOCAL_STORAGE_DIR || "data/objects"
+        }`
+      );
+    } else if (storage.isConfigured()) {
       console.log(
         `✅ AWS S3 configured for bucket: ${process.env.S3_BUCKET_NAME}`
       );
@@ -97,7 +144,9 @@ process.on("unhandledRejection", (reason, promise) => {
   process.exit(1);
 });
 
-// Start the server
-startServer();
+// Start the server when run directly; tests import the app instead
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,93 @@
+const { CHECKSUM_ALGORITHMS, isValidChecksum } = require("../config/aws");
+const { ValidationError } = require("../errors");
+
+/**
+ * Normalize a client-supplied checksum algorithm ("sha-256", "crc32c", ...)
+ * @param {string} value - Algorithm name from the request
+ * @returns {string|null} - SHA256, CRC32C, or null when none was given
+ */
+const normalizeChecksumAlgorithm = (value) => {
+  if (value == null || value === "") {
+    return null;
+  }
+
+  const algorithm = String(value).toUpperCase().replace(/-/g, "");
+  if (!CHECKSUM_ALGORITHMS[algorithm]) {
+    throw new ValidationError(
+      `checksumAlgorithm must be one of: ${Object.keys(
+        CHECKSUM_ALGORITHMS
+      ).join(", ")}`,
+      { code: "INVALID_CHECKSUM_ALGORITHM" }
+    );
+  }
+  return algorithm;
+};
+
+/**
+ * Ensure a checksum value is a well-formed base64 digest for its algorithm
+ * @param {string} algorithm - SHA256 or CRC32C
+ * @param {string} value - Base64-encoded digest
+ * @param {string} field - Request field name, used in the error message
+ */
+const assertChecksum = (algorithm, value, field) => {
+  if (!isValidChecksum(algorithm, value)) {
+    throw new ValidationError(
+      `${field} must be a base64-encoded ${algorithm} digest`,
+      { code: "INVALID_CHECKSUM" }
+    );
+  }
+};
+
+/**
+ * Pick and validate the checksums for the parts about to be signed. Uploads
+ * initiated with a checksum algorithm need one for every part.
+ * @param {string|null} algorithm - The upload's checksum algorithm
+ * @param {number[]} partNumbers - Parts to sign
+ * @param {Object} partChecksums - Base64 checksums keyed by part number
+ * @returns {Object} - Checksums for exactly the requested parts
+ */
+const resolvePartChecksums = (algorithm, partNumbers, partChecksums = {}) => {
+  if (!algorithm) {
+    return {};
+  }
+
+  const missing = partNumbers.filter(
+    (partNumber) => !partChecksums[partNumber]
+  );
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `partChecksums is missing ${algorithm} checksums for parts: ${missing.join(
+        ", "
+      )}`,
+      { code: "PART_CHECKSUM_MISSING" }
+    );
+  }
+
+  const resolved = {};
+  for (const partNumber of partNumbers) {
+    assertChecksum(
+      algorithm,
+      partChecksums[partNumber],
+      `partChecksums[${partNumber}]`
+    );
+    resolved[partNumber] = partChecksums[partNumber];
+  }
+  return resolved;
+};
+
+/**
+ * Compare two checksums, ignoring the "-<partCount>" suffix S3 appends to
+ * composite multipart checksums
+ * @param {string} expected - Declared checksum
+ * @param {string} actual - Checksum reported by S3
+ * @returns {boolean}
+ */
+const checksumsMatch = (expected, actual) =>
+  expected.split("-")[0] === actual.split("-")[0];
+
+module.exports = {
+  normalizeChecksumAlgorithm,
+  assertChecksum,
+  resolvePartChecksums,
+  checksumsMatch,
+};
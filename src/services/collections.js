@@ -0,0 +1,128 @@
+const path = require("path");
+const { uploadStore, collectionStore } = require("../store");
+const { getUserKeyPrefix } = require("../config/aws");
+const { NotFoundError, ConflictError } = require("../errors");
+const { emitUploadEvent } = require("./webhooks");
+const { moveUpload } = require("./uploadTransfers");
+
+/**
+ * Key prefix objects in a collection are stored under
+ * @param {string} userId - Owner of the collection
+ * @param {string} collectionId - Collection ID
+ * @returns {string} - Prefix ending in "/"
+ */
+const collectionKeyPrefix = (userId, collectionId) =>
+  `${getUserKeyPrefix(userId)}collections/${collectionId}/`;
+
+/**
+ * Load a collection belonging to a user
+ * @param {string} userId - Expected owner
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Object>} - Collection record
+ */
+const getUserCollection = async (userId, collectionId) => {
+  const collection = await collectionStore.get(collectionId);
+  if (!collection || collection.userId !== userId) {
+    throw new NotFoundError("Collection not found", {
+      code: "COLLECTION_NOT_FOUND",
+    });
+  }
+  return collection;
+};
+
+/**
+ * Throw when a user already has a collection with this name (names are
+ * compared case-insensitively)
+ * @param {string} userId - Owner
+ * @param {string} name - Proposed name
+ * @param {string} [exceptId] - Collection being renamed
+ */
+const assertNameAvailable = async (userId, name, exceptId) => {
+  const [taken] = await collectionStore.list(
+    (collection) =>
+      collection.userId === userId &&
+      collection.collectionId !== exceptId &&
+      collection.name.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) {
+    throw new ConflictError(`A collection named "${name}" already exists`, {
+      code: "COLLECTION_NAME_TAKEN",
+    });
+  }
+};
+
+/**
+ * Upload count and bytes per collection, for a user's uploads
+ * @param {string} userId - Owner
+ * @returns {Promise<Map>} - collectionId -> { uploadCount, totalBytes }
+ */
+const summarizeCollections = async (userId) => {
+  const summaries = new Map();
+  const uploads = await uploadStore.list(
+    (upload) => upload.userId === userId && upload.collectionId
+  );
+  for (const upload of uploads) {
+    const summary = summaries.get(upload.collectionId) || {
+      uploadCount: 0,
+      totalBytes: 0,
+    };
+    summary.uploadCount += 1;
+    summary.totalBytes += upload.fileSize || 0;
+    summaries.set(upload.collectionId, summary);
+  }
+  return summaries;
+};
+
+/**
+ * Move a completed upload's object under another key prefix, keeping its
+ * file name
+ * @param {Object} upload - Completed upload record
+ * @param {string} prefix - Destination key prefix
+ * @param {Object} [changes] - Extra fields to store on the record
+ * @returns {Promise<Object>} - Updated upload
+ */
+const relocateUpload = (upload, prefix, changes = {}) =>
+  moveUpload(upload, `${prefix}${path.posix.basename(upload.s3Key)}`, changes);
+
+/**
+ * Put an upload into a collection, or take it out with a null collection.
+ * With relocate, the object also moves under the collection's key prefix
+ * (or back under the owner's prefix).
+ * @param {Object} upload - Upload record
+ * @param {Object|null} collection - Destination collection
+ * @param {Object} [options]
+ * @param {boolean} [options.relocate=false] - Move the object as well
+ * @returns {Promise<Object>} - Updated upload
+ */
+const assignToCollection = async (
+  upload,
+  collection,
+  { relocate = false } = {}
+) => {
+  const changes = {
+    collectionId: collection ? collection.collectionId : null,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const updatedUpload = relocate
+    ? await relocateUpload(
+        upload,
+        collection ? collection.keyPrefix : getUserKeyPrefix(upload.userId),
+        changes
+      )
+    : await uploadStore.update(upload.uploadId, (draft) => {
+        Object.assign(draft, changes);
+      });
+
+  emitUploadEvent("upload.updated", updatedUpload);
+  return updatedUpload;
+};
+
+module.exports = {
+  collectionKeyPrefix,
+  getUserCollection,
+  assertNameAvailable,
+  summarizeCollections,
+  relocateUpload,
+  assignToCollection,
+};
@@ -0,0 +1,126 @@
+const { storage } = require("../storage");
+
+const ASF_HEADER_GUID = Buffer.from("3026b2758e66cf11a6d900aa0062ce6c", "hex");
+
+// QuickTime files written before ftyp existed start with one of these atoms
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip", "pnot"];
+
+/**
+ * Containers we recognise and the declared MIME types each may carry.
+ * MP4 and QuickTime share the ISO base media format and their brands are
+ * used interchangeably in the wild, so either declaration is accepted.
+ */
+const CONTAINERS = {
+  mp4: {
+    mimeType: "video/mp4",
+    accepts: ["video/mp4", "video/x-m4v", "video/quicktime", "video/mov"],
+  },
+  quicktime: {
+    mimeType: "video/quicktime",
+    accepts: ["video/quicktime", "video/mov", "video/mp4", "video/x-m4v"],
+  },
+  webm: {
+    mimeType: "video/webm",
+    accepts: ["video/webm"],
+  },
+  matroska: {
+    mimeType: "video/x-matroska",
+    accepts: ["video/x-matroska", "video/mkv"],
+  },
+  avi: {
+    mimeType: "video/x-msvideo",
+    accepts: ["video/x-msvideo", "video/avi", "video/msvideo"],
+  },
+  flv: {
+    mimeType: "video/x-flv",
+    accepts: ["video/x-flv", "video/flv"],
+  },
+  asf: {
+    mimeType: "video/x-ms-wmv",
+    accepts: ["video/x-ms-wmv", "video/wmv", "video/x-ms-asf", "video/asf"],
+  },
+};
+
+/**
+ * Identify a video container from the first bytes of a file
+ * @param {Buffer} head - Leading bytes of the file
+ * @returns {string|null} - Container name (a key of CONTAINERS) or null
+ */
+const detectContainer = (head) => {
+  if (head.length < 12) {
+    return null;
+  }
+
+  const ascii = (start, end) => head.toString("latin1", start, end);
+
+  // ISO base media (MP4/QuickTime): [size]["ftyp"][major brand]
+  if (ascii(4, 8) === "ftyp") {
+    return ascii(8, 12) === "qt  " ? "quicktime" : "mp4";
+  }
+  if (QUICKTIME_ATOMS.includes(ascii(4, 8))) {
+    return "quicktime";
+  }
+
+  // EBML (WebM/Matroska): the DocType element names the flavour
+  if (head.readUInt32BE(0) === 0x1a45dfa3) {
+    const header = ascii(0, Math.min(head.length, 64));
+    if (header.includes("webm")) {
+      return "webm";
+    }
+    if (header.includes("matroska")) {
+      return "matroska";
+    }
+    return null;
+  }
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "AVI ") {
+    return "avi";
+  }
+
+  if (ascii(0, 3) === "FLV" && head[3] === 0x01) {
+    return "flv";
+  }
+
+  if (head.length >= 16 && head.subarray(0, 16).equals(ASF_HEADER_GUID)) {
+    return "asf";
+  }
+
+  return null;
+};
+
+/**
+ * Read the start of an uploaded object and check its container signature
+ * against the declared content type
+ * @param {string} key - The S3 object key (file path)
+ * @param {string} declaredType - Content type the client declared
+ * @param {number} objectSize - Object size in bytes
+ * @returns {Promise<Object>} - { matches, detectedType, container }
+ */
+const sniffObject = async (key, declaredType, objectSize) => {
+  const sniffBytes = parseInt(process.env.CONTENT_SNIFF_BYTES) || 4096;
+  const head =
+    objectSize > 0
+      ? await storage.readObjectRange(
+          key,
+          0,
+          Math.min(sniffBytes, objectSize) - 1
+        )
+      : Buffer.alloc(0);
+
+  const container = detectContainer(head);
+  if (!container) {
+    return { matches: false, detectedType: null, container: null };
+  }
+
+  return {
+    matches: CONTAINERS[container].accepts.includes(declaredType),
+    detectedType: CONTAINERS[container].mimeType,
+    container,
+  };
+};
+
+module.exports = {
+  CONTAINERS,
+  detectContainer,
+  sniffObject,
+};
@@ -0,0 +1,189 @@
+const { pipeline } = require("stream/promises");
+const { storage } = require("../storage");
+const {
+  NotFoundError,
+  PreconditionFailedError,
+  RangeNotSatisfiableError,
+} = require("../errors");
+
+/**
+ * Seconds since the epoch of an HTTP date header, which only has second
+ * precision
+ * @param {string} [value] - Header value
+ * @returns {number|null} - null when absent or invalid
+ */
+const parseHttpDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+/**
+ * Whether an If-Match or If-None-Match header lists the current ETag
+ * @param {string} header - Comma-separated entity tags, or "*"
+ * @param {string} eTag - Current (strong) ETag
+ * @param {Object} [options]
+ * @param {boolean} [options.weak=false] - Weak comparison, as If-None-Match uses
+ * @returns {boolean}
+ */
+const matchesETag = (header, eTag, { weak = false } = {}) => {
+  const opaque = (tag) => (weak ? tag.replace(/^W\//, "") : tag);
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => tag === "*" || opaque(tag) === eTag);
+};
+
+/**
+ * Evaluate If-Match, If-Unmodified-Since, If-None-Match and
+ * If-Modified-Since in the order RFC 9110 gives them
+ * @param {Object} req - Express request
+ * @param {Object} object - { eTag, lastModified } of the stored object
+ * @returns {boolean} - false when the client's copy is current (304)
+ */
+const checkPreconditions = (req, { eTag, lastModified }) => {
+  const modified = Math.floor(lastModified.getTime() / 1000);
+
+  const ifMatch = req.get("If-Match");
+  const ifUnmodifiedSince = parseHttpDate(req.get("If-Unmodified-Since"));
+  if (
+    ifMatch
+      ? !matchesETag(ifMatch, eTag)
+      : ifUnmodifiedSince !== null && modified > ifUnmodifiedSince
+  ) {
+    throw new PreconditionFailedError(
+      "The object does not match the request's preconditions"
+    );
+  }
+
+  const ifNoneMatch = req.get("If-None-Match");
+  const ifModifiedSince = parseHttpDate(req.get("If-Modified-Since"));
+  return ifNoneMatch
+    ? !matchesETag(ifNoneMatch, eTag, { weak: true })
+    : ifModifiedSince === null || modified > ifModifiedSince;
+};
+
+/**
+ * The byte range to send, or null for the whole object. Range is ignored
+ * when If-Range names an older version, when it is malformed, and when it
+ * asks for several ranges (multipart/byteranges isn't supported).
+ * @param {Object} req - Express request
+ * @param {Object} object - { contentLength, eTag, lastModified }
+ * @returns {Object|null} - { start, end }, both inclusive
+ */
+const selectRange = (req, { contentLength, eTag, lastModified }) => {
+  if (!req.get("Range") || contentLength === 0) {
+    return null;
+  }
+
+  const ifRange = req.get("If-Range");
+  if (ifRange) {
+    // Entity tags must match strongly; dates exactly
+    const current = /^(W\/)?"/.test(ifRange)
+      ? ifRange === eTag
+      : parseHttpDate(ifRange) === Math.floor(lastModified.getTime() / 1000);
+    if (!current) {
+      return null;
+    }
+  }
+
+  const ranges = req.range(contentLength, { combine: true });
+  if (ranges === -1) {
+    throw new RangeNotSatisfiableError(
+      `Range is outside the object's ${contentLength} bytes`,
+      { code: "INVALID_RANGE" }
+    );
+  }
+  if (ranges === -2 || ranges.type !== "bytes" || ranges.length !== 1) {
+    return null;
+  }
+  return ranges[0];
+};
+
+/**
+ * Send a stored object as the response, honouring Range and conditional
+ * request headers: 206 for a satisfiable range, 304 when the client's copy
+ * is current, 412 and 416 when preconditions or ranges fail. HEAD requests
+ * get the headers only.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.key - Object key
+ * @param {string} [options.contentType] - Content-Type to send
+ * @param {string} [options.contentDisposition] - Content-Disposition to send
+ * @returns {Promise<void>}
+ */
+const streamObject = async (
+  req,
+  res,
+  { key, contentType, contentDisposition }
+) => {
+  const object = await storage.getObjectMetadata(key);
+  if (!object) {
+    throw new NotFoundError(`Object ${key} was not found in storage`, {
+      code: "OBJECT_NOT_FOUND",
+    });
+  }
+
+  // Validators go on every response, 304s included
+  res.set({
+    "Accept-Ranges": "bytes",
+    ETag: object.eTag,
+    "Last-Modified": object.lastModified.toUTCString(),
+    "Cache-Control": "private, no-cache",
+  });
+
+  if (!checkPreconditions(req, object)) {
+    res.status(304).end();
+    return;
+  }
+
+  let range;
+  try {
+    range = selectRange(req, object);
+  } catch (error) {
+    res.set("Content-Range", `bytes */${object.contentLength}`);
+    throw error;
+  }
+
+  // Open the body before writing the status, so a failure here is still
+  // answered with an error response
+  const body =
+    req.method === "HEAD"
+      ? null
+      : await storage.getObjectStream(key, {
+          ...range,
+          ifMatch: object.eTag,
+        });
+
+  res.set({
+    "Content-Type":
+      contentType || object.contentType || "application/octet-stream",
+    ...(contentDisposition && { "Content-Disposition": contentDisposition }),
+  });
+  if (range) {
+    res.status(206).set({
+      "Content-Range": `bytes ${range.start}-${range.end}/${object.contentLength}`,
+      "Content-Length": String(range.end - range.start + 1),
+    });
+  } else {
+    res.status(200).set("Content-Length", String(object.contentLength));
+  }
+
+  if (!body) {
+    res.end();
+    return;
+  }
+
+  try {
+    await pipeline(body, res);
+  } catch (error) {
+    // Players abort requests whenever they seek
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error(`Failed to stream object ${key}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  streamObject,
+};
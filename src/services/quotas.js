@@ -0,0 +1,274 @@
+const { createStore, uploadStore } = require("../store");
+const { QuotaExceededError } = require("../errors");
+
+// Uploads that hold a reservation, and uploads whose object sits in storage
+const IN_PROGRESS_STATUSES = ["pending", "multipart-initiated"];
+const STORED_STATUSES = ["completed", "quarantined", "verification-failed"];
+
+// Bytes started per user per UTC day. Kept apart from the upload records so
+// deleting an upload doesn't give its daily volume back.
+const usageStore = createStore("quota-usage", { keyField: "id" });
+
+const parseLimit = (value) => {
+  const limit = parseInt(value);
+  return limit > 0 ? limit : null;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Today's usage record of a user, to create when it doesn't exist yet
+ * @param {string} userId - User ID
+ * @returns {Object} - { id, userId, day, bytes: 0 }
+ */
+const emptyDailyUsage = (userId) => {
+  const day = today();
+  return { id: `${userId}:${day}`, userId, day, bytes: 0 };
+};
+
+/**
+ * Quota limits for a user: QUOTA_* defaults, overridden per user by the
+ * QUOTA_OVERRIDES JSON map ({ "<userId>": { "storageBytes": ... } }).
+ * A null limit is unlimited.
+ * @param {string} userId - User ID
+ * @returns {{storageBytes: ?number, concurrentUploads: ?number, dailyBytes: ?number}}
+ */
+const getQuotaLimits = (userId) => {
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.QUOTA_OVERRIDES || "{}")[userId] || {};
+  } catch (error) {
+    throw new Error(`Invalid QUOTA_OVERRIDES: ${error.message}`);
+  }
+
+  return {
+    storageBytes: parseLimit(
+      overrides.storageBytes ?? process.env.QUOTA_STORAGE_BYTES
+    ),
+    concurrentUploads: parseLimit(
+      overrides.concurrentUploads ?? process.env.QUOTA_CONCURRENT_UPLOADS
+    ),
+    dailyBytes: parseLimit(
+      overrides.dailyBytes ?? process.env.QUOTA_DAILY_BYTES
+    ),
+  };
+};
+
+/**
+ * Current usage of a user
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.excludeUploadId] - Leave this upload out of the totals
+ * @param {number} [options.dailyBytes] - Today's volume, when the caller
+ *   already holds the usage record
+ * @returns {Promise<Object>} - { storedBytes, reservedBytes, inProgressUploads, dailyBytes }
+ */
+const getQuotaUsage = async (userId, { excludeUploadId, dailyBytes } = {}) => {
+  const uploads = await uploadStore.list(
+    (upload) => upload.userId === userId && upload.uploadId !== excludeUploadId
+  );
+  if (dailyBytes === undefined) {
+    const daily = await usageStore.get(emptyDailyUsage(userId).id);
+    dailyBytes = daily ? daily.bytes : 0;
+  }
+
+  const sumSizes = (statuses) =>
+    uploads
+      .filter((upload) => statuses.includes(upload.status))
+      .reduce((total, upload) => total + (upload.fileSize || 0), 0);
+
+  return {
+    storedBytes: sumSizes(STORED_STATUSES),
+    reservedBytes: sumSizes(IN_PROGRESS_STATUSES),
+    inProgressUploads: uploads.filter((upload) =>
+      IN_PROGRESS_STATUSES.includes(upload.status)
+    ).length,
+    dailyBytes,
+  };
+};
+
+/**
+ * Limits a new upload of the given size would exceed
+ * @param {Object} limits - Result of getQuotaLimits
+ * @param {Object} usage - Result of getQuotaUsage
+ * @param {number} size - Declared file size in bytes (0 when unknown)
+ * @returns {string[]} - Exceeded limits; empty when allowed
+ */
+const findUploadViolations = (limits, usage, size) => {
+  const violations = [];
+
+  if (
+    limits.storageBytes &&
+    usage.storedBytes + usage.reservedBytes + size > limits.storageBytes
+  ) {
+    violations.push(
+      `Storage quota of ${limits.storageBytes} bytes would be exceeded (${usage.storedBytes} stored, ${usage.reservedBytes} reserved by uploads in progress)`
+    );
+  }
+
+  if (
+    limits.concurrentUploads &&
+    usage.inProgressUploads >= limits.concurrentUploads
+  ) {
+    violations.push(
+      `At most ${limits.concurrentUploads} uploads may be in progress at once`
+    );
+  }
+
+  if (limits.dailyBytes && usage.dailyBytes + size > limits.dailyBytes) {
+    violations.push(
+      `Daily upload quota of ${limits.dailyBytes} bytes would be exceeded (${usage.dailyBytes} used today)`
+    );
+  }
+
+  return violations;
+};
+
+/**
+ * Check whether a user may start another upload of the declared size.
+ * Uploads without a declared size are admitted and checked at completion.
+ * This is only a fast early answer: reserveUpload decides.
+ * @param {string} userId - User ID
+ * @param {number} [fileSize] - Declared file size in bytes
+ * @returns {Promise<string[]>} - Exceeded limits; empty when allowed
+ */
+const checkUploadQuota = async (userId, fileSize) =>
+  findUploadViolations(
+    getQuotaLimits(userId),
+    await getQuotaUsage(userId),
+    Number(fileSize) || 0
+  );
+
+/**
+ * Admit a new upload against its owner's quotas: store its record and
+ * count its declared size towards today's volume. Both happen inside one
+ * mutation of the owner's usage record, so concurrent uploads by the same
+ * user are admitted one at a time against up-to-date usage.
+ * @param {Object} upload - New upload record
+ * @returns {Promise<Object>} - The stored upload
+ * @throws {QuotaExceededError} - When the upload would exceed a limit
+ */
+const reserveUpload = async (upload) => {
+  const limits = getQuotaLimits(upload.userId);
+  const size = Number(upload.fileSize) || 0;
+  let stored;
+
+  const daily = emptyDailyUsage(upload.userId);
+  await usageStore.update(
+    daily.id,
+    async (entry) => {
+      const usage = await getQuotaUsage(upload.userId, {
+        dailyBytes: entry.bytes,
+      });
+      const violations = findUploadViolations(limits, usage, size);
+      if (violations.length > 0) {
+        throw new QuotaExceededError("Upload quota exceeded", {
+          details: violations,
+        });
+      }
+
+      stored = await uploadStore.put(upload);
+      entry.bytes += size;
+    },
+    { initial: daily }
+  );
+
+  return stored;
+};
+
+/**
+ * Re-check an upload's quotas against the real object size
+ * @param {Object} upload - Upload record being completed
+ * @param {number} actualSize - Size of the object in storage
+ * @returns {Promise<string[]>} - Exceeded limits; empty when allowed
+ */
+const checkCompletionQuota = async (upload, actualSize) => {
+  const limits = getQuotaLimits(upload.userId);
+  if (!limits.storageBytes && !limits.dailyBytes) {
+    return [];
+  }
+
+  const usage = await getQuotaUsage(upload.userId, {
+    excludeUploadId: upload.uploadId,
+  });
+  const violations = [];
+
+  if (
+    limits.storageBytes &&
+    usage.storedBytes + actualSize > limits.storageBytes
+  ) {
+    violations.push(
+      `Storage quota of ${limits.storageBytes} bytes exceeded (${usage.storedBytes} stored, object is ${actualSize} bytes)`
+    );
+  }
+
+  // Declared sizes were counted when the upload started
+  if (
+    limits.dailyBytes &&
+    upload.fileSize == null &&
+    usage.dailyBytes + actualSize > limits.dailyBytes
+  ) {
+    violations.push(
+      `Daily upload quota of ${limits.dailyBytes} bytes exceeded (${usage.dailyBytes} used today, object is ${actualSize} bytes)`
+    );
+  }
+
+  return violations;
+};
+
+/**
+ * Add bytes to a user's upload volume for today
+ * @param {string} userId - User ID
+ * @param {number} bytes - Bytes to add
+ * @returns {Promise<void>}
+ */
+const recordDailyUsage = async (userId, bytes) => {
+  if (!bytes) {
+    return;
+  }
+
+  const daily = emptyDailyUsage(userId);
+  await usageStore.update(
+    daily.id,
+    (entry) => {
+      entry.bytes += bytes;
+    },
+    { initial: daily }
+  );
+};
+
+/**
+ * Limits, usage and remaining allowance of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { limits, usage, remaining }; null limits are unlimited
+ */
+const getQuotaSummary = async (userId) => {
+  const limits = getQuotaLimits(userId);
+  const usage = await getQuotaUsage(userId);
+  const remaining = (limit, used) =>
+    limit == null ? null : Math.max(limit - used, 0);
+
+  return {
+    limits,
+    usage,
+    remaining: {
+      storageBytes: remaining(
+        limits.storageBytes,
+        usage.storedBytes + usage.reservedBytes
+      ),
+      concurrentUploads: remaining(
+        limits.concurrentUploads,
+        usage.inProgressUploads
+      ),
+      dailyBytes: remaining(limits.dailyBytes, usage.dailyBytes),
+    },
+  };
+};
+
+module.exports = {
+  checkUploadQuota,
+  reserveUpload,
+  checkCompletionQuota,
+  recordDailyUsage,
+  getQuotaSummary,
+};
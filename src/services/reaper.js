@@ -0,0 +1,203 @@
+const { storage } = require("../storage");
+const { uploadStore } = require("../store");
+const { emitUploadEvent } = require("./webhooks");
+
+const getSettings = () => ({
+  intervalMs: parseInt(process.env.REAPER_INTERVAL_MS) || 15 * 60 * 1000,
+  // Time past expiresAt before a record is reaped, so a late /confirm or
+  // /multipart/complete that is already in flight still lands
+  graceMs: (parseInt(process.env.REAPER_GRACE_SECONDS) || 3600) * 1000,
+  // Multipart uploads unknown to the store are only aborted after this long,
+  // leaving time for /multipart/initiate to save its record
+  orphanAgeMs:
+    (parseInt(process.env.REAPER_ORPHAN_AGE_SECONDS) || 86400) * 1000,
+});
+
+let lastReport = null;
+
+/**
+ * Mark an upload expired unless it moved on since it was selected: changed
+ * status, or had its expiresAt extended by an active client
+ * @param {Object} upload - Upload record
+ * @param {string} fromStatus - Status the upload was selected in
+ * @param {number} cutoff - Time (ms) expiresAt must still be before
+ * @returns {Promise<Object|null>} - The expired upload, or null if it moved on
+ */
+const expireUpload = async (upload, fromStatus, cutoff) => {
+  let expired = false;
+  const expiredUpload = await uploadStore.update(upload.uploadId, (draft) => {
+    if (
+      draft.status === fromStatus &&
+      new Date(draft.expiresAt).getTime() < cutoff
+    ) {
+      draft.status = "expired";
+      draft.expiredAt = new Date().toISOString();
+      expired = true;
+    }
+  });
+  if (!expired) {
+    return null;
+  }
+  emitUploadEvent("upload.expired", expiredUpload);
+  return expiredUpload;
+};
+
+/**
+ * Reap what abandoned uploads leave behind:
+ * - pending uploads past expiresAt are marked expired
+ * - multipart-initiated uploads past expiresAt are aborted in storage and
+ *   marked expired
+ * - multipart uploads in the bucket that no active record knows about are
+ *   aborted once older than REAPER_ORPHAN_AGE_SECONDS
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be reaped without changing anything
+ * @returns {Promise<Object>} - Report of what was (or would be) reaped
+ */
+const runReaper = async ({ dryRun = false } = {}) => {
+  const { graceMs, orphanAgeMs } = getSettings();
+  const startedAt = new Date();
+  const cutoff = startedAt.getTime() - graceMs;
+
+  const report = {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    expired: [],
+    abortedMultipart: [],
+    orphans: [],
+    errors: [],
+  };
+
+  // Sessions still open in storage; a record whose session is already gone
+  // only needs marking expired
+  let inProgress = null;
+  try {
+    inProgress = await storage.listMultipartUploads(
+      process.env.S3_UPLOAD_PATH || "uploads/"
+    );
+  } catch (error) {
+    report.errors.push({ error: error.message });
+  }
+  const isOpen = (uploadId) =>
+    !inProgress || inProgress.some((session) => session.uploadId === uploadId);
+
+  const stale = await uploadStore.list(
+    (upload) =>
+      ["pending", "multipart-initiated"].includes(upload.status) &&
+      upload.expiresAt &&
+      new Date(upload.expiresAt).getTime() < cutoff
+  );
+
+  for (const upload of stale) {
+    const entry = {
+      uploadId: upload.uploadId,
+      s3Key: upload.s3Key,
+      expiresAt: upload.expiresAt,
+    };
+
+    try {
+      if (upload.status === "pending") {
+        if (dryRun || (await expireUpload(upload, "pending", cutoff))) {
+          report.expired.push(entry);
+        }
+        continue;
+      }
+
+      // Expire the record before aborting, so a session the client has
+      // just extended is left alone. A failed abort leaves an orphan, which
+      // the sweep below aborts later.
+      entry.s3UploadId = upload.s3UploadId;
+      if (!dryRun) {
+        if (!(await expireUpload(upload, "multipart-initiated", cutoff))) {
+          continue;
+        }
+        if (isOpen(upload.s3UploadId)) {
+          await storage.abortMultipartUpload(upload.s3Key, upload.s3UploadId);
+        }
+      }
+      report.abortedMultipart.push(entry);
+    } catch (error) {
+      report.errors.push({ ...entry, error: error.message });
+    }
+  }
+
+  // Sessions no active record knows about
+  const known = new Set(
+    (
+      await uploadStore.list(
+        (upload) => upload.status === "multipart-initiated"
+      )
+    )
+      .map((upload) => upload.s3UploadId)
+      .concat(report.abortedMultipart.map((entry) => entry.s3UploadId))
+  );
+
+  for (const session of inProgress || []) {
+    const initiated = new Date(session.initiated).getTime();
+    if (
+      known.has(session.uploadId) ||
+      startedAt.getTime() - initiated < orphanAgeMs
+    ) {
+      continue;
+    }
+
+    const entry = {
+      s3Key: session.key,
+      s3UploadId: session.uploadId,
+      initiated: new Date(initiated).toISOString(),
+    };
+    try {
+      if (!dryRun) {
+        await storage.abortMultipartUpload(session.key, session.uploadId);
+      }
+      report.orphans.push(entry);
+    } catch (error) {
+      report.errors.push({ ...entry, error: error.message });
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  if (!dryRun) {
+    lastReport = report;
+  }
+  return report;
+};
+
+/**
+ * Report of the most recent reaper run that made changes
+ * @returns {Object|null}
+ */
+const getLastReaperReport = () => lastReport;
+
+/**
+ * Run the reaper every REAPER_INTERVAL_MS
+ * @returns {Function} - Stops the reaper
+ */
+const startReaper = () => {
+  const { intervalMs } = getSettings();
+
+  const timer = setInterval(async () => {
+    try {
+      const report = await runReaper();
+      const reaped =
+        report.expired.length +
+        report.abortedMultipart.length +
+        report.orphans.length;
+      if (reaped > 0 || report.errors.length > 0) {
+        console.log(
+          `🧹 Reaper: ${report.expired.length} expired, ${report.abortedMultipart.length} multipart aborted, ${report.orphans.length} orphans aborted, ${report.errors.length} errors`
+        );
+      }
+    } catch (error) {
+      console.error("Error running reaper:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runReaper,
+  getLastReaperReport,
+  startReaper,
+};
@@ -0,0 +1,342 @@
+const crypto = require("crypto");
+const { uploadStore } = require("../store");
+const { emitUploadEvent } = require("./webhooks");
+const {
+  verifyUploadedObject,
+  markUploadCompleted,
+  markUploadFailed,
+} = require("./verification");
+
+// SNS signing certificates and subscription URLs must come from SNS itself
+const SNS_HOST_PATTERN = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Fields covered by the SNS signature, in signing order, per message type
+const SNS_SIGNED_FIELDS = {
+  Notification: [
+    "Message",
+    "MessageId",
+    "Subject",
+    "Timestamp",
+    "TopicArn",
+    "Type",
+  ],
+  SubscriptionConfirmation: [
+    "Message",
+    "MessageId",
+    "SubscribeURL",
+    "Timestamp",
+    "Token",
+    "TopicArn",
+    "Type",
+  ],
+  UnsubscribeConfirmation: [
+    "Message",
+    "MessageId",
+    "SubscribeURL",
+    "Timestamp",
+    "Token",
+    "TopicArn",
+    "Type",
+  ],
+};
+
+// Uploads an ObjectCreated event can still move to completed
+const AWAITING_OBJECT = ["pending", "multipart-initiated"];
+
+// SigningCertURL comes from the caller, so the cache is bounded, and SNS
+// rotates its certificates, so entries expire
+const CERTIFICATE_CACHE_SIZE = 10;
+const CERTIFICATE_TTL_MS = 24 * 60 * 60 * 1000;
+const certificateCache = new Map();
+
+/**
+ * Check that a URL points at an SNS endpoint over https
+ * @param {string} value - URL from an SNS message
+ * @returns {boolean}
+ */
+const isSnsUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" && SNS_HOST_PATTERN.test(url.hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether a request body is an SNS message
+ * @param {Object} body - Parsed request body
+ * @returns {boolean}
+ */
+const isSnsMessage = (body) =>
+  !!body && !!SNS_SIGNED_FIELDS[body.Type] && !!body.Signature;
+
+/**
+ * Fetch (and cache) the certificate an SNS message was signed with
+ * @param {string} certUrl - SigningCertURL from the message
+ * @returns {Promise<string>} - PEM certificate
+ */
+const getSigningCertificate = async (certUrl) => {
+  const cached = certificateCache.get(certUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.certificate;
+  }
+
+  const response = await fetch(certUrl, {
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Could not fetch SNS signing certificate (${response.status})`
+    );
+  }
+  const certificate = await response.text();
+
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  certificateCache.delete(certUrl);
+  if (certificateCache.size >= CERTIFICATE_CACHE_SIZE) {
+    certificateCache.delete(certificateCache.keys().next().value);
+  }
+  certificateCache.set(certUrl, {
+    certificate,
+    expiresAt: Date.now() + CERTIFICATE_TTL_MS,
+  });
+  return certificate;
+};
+
+/**
+ * Verify an SNS message signature (SignatureVersion 1 or 2)
+ * @param {Object} message - Parsed SNS message
+ * @returns {Promise<boolean>}
+ */
+const verifySnsMessage = async (message) => {
+  const algorithm = { 1: "RSA-SHA1", 2: "RSA-SHA256" }[
+    message.SignatureVersion
+  ];
+  if (!algorithm || !isSnsUrl(message.SigningCertURL)) {
+    return false;
+  }
+
+  const stringToSign = SNS_SIGNED_FIELDS[message.Type]
+    .filter((field) => message[field] !== undefined)
+    .map((field) => `${field}\n${message[field]}\n`)
+    .join("");
+
+  try {
+    const certificate = await getSigningCertificate(message.SigningCertURL);
+    return crypto
+      .createVerify(algorithm)
+      .update(stringToSign, "utf8")
+      .verify(certificate, message.Signature, "base64");
+  } catch (error) {
+    console.error("Error verifying SNS message:", error);
+    return false;
+  }
+};
+
+/**
+ * Confirm an SNS subscription by visiting its SubscribeURL
+ * @param {Object} message - Verified SubscriptionConfirmation message
+ * @returns {Promise<void>}
+ */
+const confirmSnsSubscription = async (message) => {
+  if (!isSnsUrl(message.SubscribeURL)) {
+    throw new Error("SubscribeURL does not point at SNS");
+  }
+  const response = await fetch(message.SubscribeURL, {
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `SNS subscription confirmation failed (${response.status})`
+    );
+  }
+};
+
+/**
+ * Decode an object key from an S3 notification, which URL-encodes keys with
+ * "+" for spaces
+ * @param {string} key - Key as sent in the notification
+ * @returns {string|null} - null when the key is not valid percent-encoding
+ */
+const decodeS3Key = (key) => {
+  try {
+    return decodeURIComponent(key.replace(/\+/g, " "));
+  } catch {
+    console.warn(`Skipping S3 event with malformed object key: ${key}`);
+    return null;
+  }
+};
+
+/**
+ * Normalize S3 notifications into { type, bucket, key, size, eTag, sequencer }.
+ * Accepts raw S3 notification payloads ({ Records: [...] }) and EventBridge
+ * events; SNS envelopes are unwrapped by the caller.
+ * @param {Object} payload - Notification payload
+ * @returns {Object[]} - Records of type "created" or "removed"; others dropped
+ */
+const extractS3Records = (payload) => {
+  if (!payload || typeof payload !== "object") {
+    return [];
+  }
+
+  // EventBridge: { source: "aws.s3", "detail-type": "Object Created", detail }
+  if (payload.source === "aws.s3" && payload.detail) {
+    const type = {
+      "Object Created": "created",
+      "Object Deleted": "removed",
+    }[payload["detail-type"]];
+    const { bucket = {}, object = {} } = payload.detail;
+    return type && object.key
+      ? [
+          {
+            type,
+            bucket: bucket.name,
+            key: object.key,
+            size: object.size,
+            eTag: object.etag,
+            sequencer: object.sequencer,
+          },
+        ]
+      : [];
+  }
+
+  return (Array.isArray(payload.Records) ? payload.Records : [])
+    .filter((record) => record.eventSource === "aws:s3" && record.s3)
+    .map((record) => {
+      const { bucket = {}, object = {} } = record.s3;
+      return {
+        type: /^ObjectCreated:/.test(record.eventName)
+          ? "created"
+          : /^ObjectRemoved:/.test(record.eventName)
+          ? "removed"
+          : null,
+        bucket: bucket.name,
+        key: object.key ? decodeS3Key(object.key) : null,
+        size: object.size,
+        eTag: object.eTag,
+        sequencer: object.sequencer,
+      };
+    })
+    .filter((record) => record.type && record.key);
+};
+
+/**
+ * Compare S3 event sequencers, which are hex strings of varying length
+ * @param {string} a - Sequencer
+ * @param {string} b - Sequencer
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+const compareSequencers = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  const left = a.toUpperCase().padEnd(length, "0");
+  const right = b.toUpperCase().padEnd(length, "0");
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+/**
+ * Apply one normalized S3 record to the upload records holding its key.
+ * ObjectCreated verifies and completes uploads still waiting for their
+ * object; ObjectRemoved marks uploads deleted. Events older than the last
+ * one applied to an upload are ignored.
+ * @param {Object} record - Record from extractS3Records
+ * @returns {Promise<Object[]>} - { uploadId, s3Key, action } per matched upload
+ */
+const applyS3Record = async (record) => {
+  const bucket = process.env.S3_BUCKET_NAME;
+  if (bucket && record.bucket && record.bucket !== bucket) {
+    return [{ s3Key: record.key, action: "ignored", reason: "Other bucket" }];
+  }
+
+  const uploads = await uploadStore.list(
+    (upload) => upload.s3Key === record.key
+  );
+  if (uploads.length === 0) {
+    return [{ s3Key: record.key, action: "ignored", reason: "No upload" }];
+  }
+
+  const results = [];
+  for (const upload of uploads) {
+    const result = { uploadId: upload.uploadId, s3Key: record.key };
+    const changes = record.sequencer
+      ? { s3EventSequencer: record.sequencer }
+      : {};
+
+    if (
+      record.sequencer &&
+      upload.s3EventSequencer &&
+      compareSequencers(record.sequencer, upload.s3EventSequencer) <= 0
+    ) {
+      results.push({ ...result, action: "ignored", reason: "Stale event" });
+    } else if (record.type === "created") {
+      if (!AWAITING_OBJECT.includes(upload.status)) {
+        results.push({
+          ...result,
+          action: "ignored",
+          reason: `Upload is ${upload.status}`,
+        });
+        continue;
+      }
+
+      const verification = await verifyUploadedObject(upload);
+      if (verification.verified) {
+        const completedUpload = await markUploadCompleted(
+          upload.uploadId,
+          verification,
+          { ...changes, completedBy: "s3-event" }
+        );
+        results.push(
+          completedUpload
+            ? { ...result, action: "completed" }
+            : { ...result, action: "ignored", reason: "Verified meanwhile" }
+        );
+      } else {
+        const failedUpload = await markUploadFailed(
+          upload,
+          verification,
+          changes
+        );
+        results.push(
+          failedUpload
+            ? {
+                ...result,
+                action: failedUpload.status,
+                errors: verification.errors,
+              }
+            : { ...result, action: "ignored", reason: "Verified meanwhile" }
+        );
+      }
+    } else {
+      // We delete rejected objects ourselves; keep that status
+      if (["deleted", "rejected"].includes(upload.status)) {
+        results.push({
+          ...result,
+          action: "ignored",
+          reason: `Upload is ${upload.status}`,
+        });
+        continue;
+      }
+
+      const deletedUpload = await uploadStore.update(
+        upload.uploadId,
+        (draft) => {
+          Object.assign(draft, changes);
+          draft.status = "deleted";
+          draft.deletedAt = new Date().toISOString();
+        }
+      );
+      emitUploadEvent("upload.deleted", deletedUpload);
+      results.push({ ...result, action: "deleted" });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  isSnsMessage,
+  verifySnsMessage,
+  confirmSnsSubscription,
+  extractS3Records,
+  applyS3Record,
+};
@@ -0,0 +1,116 @@
+const { storage } = require("../storage");
+const { NotFoundError } = require("../errors");
+
+// Metadata keys the service itself writes (presigned POST policies)
+const SYSTEM_METADATA_KEYS = ["upload-id", "user-id"];
+
+/**
+ * An upload's metadata as stored on the object. Values are URI-encoded, as
+ * x-amz-meta-* headers only carry ASCII.
+ * @param {Object} upload - Upload record
+ * @returns {Object} - x-amz-meta-* values
+ */
+const objectMetadata = (upload) =>
+  Object.fromEntries(
+    Object.entries(upload.metadata || {}).map(([key, value]) => [
+      key,
+      encodeURIComponent(value),
+    ])
+  );
+
+/**
+ * An upload's tag set as stored on the object, including the tags
+ * quarantine adds
+ * @param {Object} upload - Upload record
+ * @returns {Object} - Tag names mapped to values
+ */
+const objectTags = (upload) => ({
+  ...upload.tags,
+  ...(upload.status === "quarantined" && {
+    quarantined: "true",
+    uploadId: upload.uploadId,
+  }),
+});
+
+/**
+ * Build a Content-Disposition header carrying a filename, with an ASCII
+ * fallback and the exact name RFC 5987-encoded
+ * @param {string} type - "inline" or "attachment"
+ * @param {string} fileName - Filename to suggest
+ * @returns {string}
+ */
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Write an upload's tags, metadata and filename onto its stored object.
+ * Tags are replaced in place; metadata and Content-Disposition can only
+ * change by copying the object, so that is skipped when they already match.
+ * Objects get a Content-Disposition once the upload has been renamed.
+ * @param {Object} upload - Upload record with the desired attributes
+ * @param {Object} [options]
+ * @param {string} [options.sourceKey] - Copy the object from this key to
+ *   upload.s3Key, writing the attributes on the way
+ * @returns {Promise<void>}
+ */
+const syncObjectAttributes = async (
+  upload,
+  { sourceKey = upload.s3Key } = {}
+) => {
+  const object = await storage.getObjectMetadata(sourceKey);
+  if (!object) {
+    throw new NotFoundError(`Object ${sourceKey} was not found in storage`, {
+      code: "OBJECT_NOT_FOUND",
+    });
+  }
+
+  // Keep the keys a presigned POST bound in, unless this is a copy of that
+  // upload's object
+  const current = object.metadata || {};
+  const ownsSystemKeys = current["upload-id"] === upload.uploadId;
+  const desired = {
+    ...Object.fromEntries(
+      SYSTEM_METADATA_KEYS.filter(
+        (key) => ownsSystemKeys && key in current
+      ).map((key) => [key, current[key]])
+    ),
+    ...objectMetadata(upload),
+  };
+  const disposition =
+    object.contentDisposition || upload.renamedAt
+      ? contentDisposition("inline", upload.fileName)
+      : undefined;
+
+  const unchanged =
+    Object.keys(desired).length === Object.keys(current).length &&
+    Object.entries(desired).every(([key, value]) => current[key] === value) &&
+    disposition === object.contentDisposition;
+  if (!unchanged || sourceKey !== upload.s3Key) {
+    await storage.copyObject(
+      sourceKey,
+      upload.s3Key,
+      unchanged
+        ? {}
+        : {
+            metadata: desired,
+            contentType: upload.contentType,
+            contentDisposition: disposition,
+          }
+    );
+  }
+
+  await storage.putObjectTags(upload.s3Key, objectTags(upload));
+};
+
+module.exports = {
+  contentDisposition,
+  objectMetadata,
+  objectTags,
+  syncObjectAttributes,
+};
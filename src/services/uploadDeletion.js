@@ -0,0 +1,109 @@
+const { storage } = require("../storage");
+const { uploadStore } = require("../store");
+const { emitUploadEvent } = require("./webhooks");
+
+/**
+ * Abort an upload's multipart session if it may still be open. A session
+ * that is already gone (completed, aborted or reaped) is fine.
+ * @param {Object} upload - Upload record
+ * @returns {Promise<void>}
+ */
+const abortOpenMultipartUpload = async (upload) => {
+  if (upload.status !== "multipart-initiated" || !upload.s3UploadId) {
+    return;
+  }
+  try {
+    await storage.abortMultipartUpload(upload.s3Key, upload.s3UploadId);
+  } catch (error) {
+    if (error.code !== "MULTIPART_UPLOAD_NOT_FOUND") {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Remove a deleted upload's record and announce it
+ * @param {Object} upload - Upload record
+ * @returns {Promise<Object>} - The upload as deleted
+ */
+const removeUploadRecord = async (upload) => {
+  await uploadStore.remove(upload.uploadId);
+
+  const deletedUpload = {
+    ...upload,
+    status: "deleted",
+    deletedAt: new Date().toISOString(),
+  };
+  emitUploadEvent("upload.deleted", deletedUpload);
+  return deletedUpload;
+};
+
+/**
+ * Delete an upload in any state: abort its multipart session if still
+ * open, delete its object (also when it was uploaded but never confirmed,
+ * or quarantined), then the record
+ * @param {Object} upload - Upload record
+ * @returns {Promise<Object>} - The upload as deleted
+ */
+const deleteUpload = async (upload) => {
+  await abortOpenMultipartUpload(upload);
+  await storage.deleteFile(upload.s3Key);
+  return removeUploadRecord(upload);
+};
+
+/**
+ * Delete many uploads like deleteUpload, removing their objects with
+ * batched DeleteObjects requests. An upload whose cleanup fails keeps its
+ * record, so the delete can be retried.
+ * @param {Object[]} uploads - Upload records
+ * @returns {Promise<Object[]>} - Per upload, { uploadId, deleted: true } or
+ *   { uploadId, deleted: false, error: { code, message } }
+ */
+const deleteUploads = async (uploads) => {
+  const results = new Map();
+  const failed = (upload, error) =>
+    results.set(upload.uploadId, {
+      uploadId: upload.uploadId,
+      deleted: false,
+      error: { code: error.code || "STORAGE_ERROR", message: error.message },
+    });
+
+  const aborted = [];
+  for (const upload of uploads) {
+    try {
+      await abortOpenMultipartUpload(upload);
+      aborted.push(upload);
+    } catch (error) {
+      failed(upload, error);
+    }
+  }
+
+  const { errors } = await storage.deleteObjects(
+    aborted.map((upload) => upload.s3Key)
+  );
+  const objectErrors = new Map(errors.map((error) => [error.key, error]));
+
+  for (const upload of aborted) {
+    const error = objectErrors.get(upload.s3Key);
+    if (error) {
+      failed(upload, error);
+      continue;
+    }
+    try {
+      await removeUploadRecord(upload);
+      results.set(upload.uploadId, {
+        uploadId: upload.uploadId,
+        deleted: true,
+      });
+    } catch (error) {
+      failed(upload, error);
+    }
+  }
+
+  return uploads.map((upload) => results.get(upload.uploadId));
+};
+
+module.exports = {
+  deleteUpload,
+  deleteUploads,
+};
@@ -0,0 +1,223 @@
+const { uploadStore } = require("../store");
+const { ValidationError } = require("../errors");
+
+/**
+ * Compare two upload records by a sort field, breaking ties by uploadId.
+ * Records without a value (e.g. completedAt of a pending upload) sort last
+ * in either order.
+ * @param {string} field - createdAt, completedAt, fileSize or fileName
+ * @param {string} order - "asc" or "desc"
+ * @returns {Function} - Comparator of { value, uploadId } pairs
+ */
+const compareBy = (field, order) => {
+  const direction = order === "asc" ? 1 : -1;
+
+  return (a, b) => {
+    if (a.value == null || b.value == null) {
+      if (a.value == null && b.value == null) {
+        return a.uploadId < b.uploadId ? -1 : a.uploadId > b.uploadId ? 1 : 0;
+      }
+      return a.value == null ? 1 : -1;
+    }
+
+    let result;
+    if (field === "fileName") {
+      result = a.value.localeCompare(b.value);
+    } else if (field === "fileSize") {
+      result = a.value - b.value;
+    } else {
+      result = new Date(a.value) - new Date(b.value);
+    }
+
+    if (result === 0) {
+      result = a.uploadId < b.uploadId ? -1 : a.uploadId > b.uploadId ? 1 : 0;
+    }
+    return result * direction;
+  };
+};
+
+/**
+ * Encode the position after a record as an opaque cursor
+ * @param {Object} position - { sort, order, value, uploadId }
+ * @returns {string}
+ */
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Whether a cursor value has the type its sort field's values have, so a
+ * crafted cursor can't reach the comparator
+ * @param {string} sort - Sort field
+ * @param {*} value - Cursor value
+ * @returns {boolean}
+ */
+const isSortValue = (sort, value) => {
+  // Records without a value leave it out of the cursor
+  if (value == null) {
+    return true;
+  }
+  if (sort === "fileName") {
+    return typeof value === "string";
+  }
+  if (sort === "fileSize") {
+    return Number.isFinite(value);
+  }
+  return typeof value === "string" && !Number.isNaN(Date.parse(value));
+};
+
+/**
+ * Decode a cursor, checking it was issued for the same sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Requested sort field
+ * @param {string} order - Requested order
+ * @returns {Object} - { value, uploadId }
+ */
+const decodeCursor = (cursor, sort, order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    position = null;
+  }
+
+  if (
+    !position ||
+    typeof position.uploadId !== "string" ||
+    !isSortValue(sort, position.value)
+  ) {
+    throw new ValidationError("cursor is not valid", {
+      code: "INVALID_CURSOR",
+    });
+  }
+  if (position.sort !== sort || position.order !== order) {
+    throw new ValidationError(
+      "cursor was issued for a different sort; start again without it",
+      { code: "INVALID_CURSOR" }
+    );
+  }
+  return position;
+};
+
+/**
+ * Build a predicate for "name" or "name:value" filters on a map of the
+ * record (tags or metadata); every filter must match
+ * @param {string[]} [filters] - Filters from the query
+ * @returns {Function} - Predicate of the map
+ */
+const matchesEntries = (filters = []) => {
+  const wanted = filters.map((filter) => {
+    const separator = filter.indexOf(":");
+    return separator === -1
+      ? { name: filter }
+      : {
+          name: filter.slice(0, separator),
+          value: filter.slice(separator + 1),
+        };
+  });
+
+  return (entries = {}) =>
+    wanted.every(({ name, value }) =>
+      value === undefined
+        ? Object.prototype.hasOwnProperty.call(entries, name)
+        : entries[name] === value
+    );
+};
+
+/**
+ * Build the predicate for list filters
+ * @param {Object} filters - Validated query filters
+ * @returns {Function} - Upload record predicate
+ */
+const matchesFilters = ({
+  uploadIds,
+  userId,
+  collectionId,
+  status,
+  contentType,
+  type,
+  fileName,
+  createdAfter,
+  createdBefore,
+  completedAfter,
+  completedBefore,
+  tag,
+  metadata,
+}) => {
+  const within = (value, after, before) =>
+    (!after || (value && new Date(value) >= after)) &&
+    (!before || (value && new Date(value) < before));
+
+  // "video/*" matches every video type
+  const contentTypePrefix =
+    contentType && contentType.endsWith("/*") ? contentType.slice(0, -1) : null;
+  const fileNameNeedle = fileName && fileName.toLowerCase();
+  const tagsMatch = matchesEntries(tag);
+  const metadataMatch = matchesEntries(metadata);
+  const ids = uploadIds && new Set(uploadIds);
+
+  return (upload) =>
+    (!ids || ids.has(upload.uploadId)) &&
+    (!userId || upload.userId === userId) &&
+    (!collectionId || upload.collectionId === collectionId) &&
+    (!status || upload.status === status) &&
+    (!contentType ||
+      (contentTypePrefix
+        ? (upload.contentType || "").startsWith(contentTypePrefix)
+        : upload.contentType === contentType)) &&
+    (!type || (type === "multipart") === (upload.type === "multipart")) &&
+    (!fileNameNeedle ||
+      (upload.fileName || "").toLowerCase().includes(fileNameNeedle)) &&
+    within(upload.createdAt, createdAfter, createdBefore) &&
+    within(upload.completedAt, completedAfter, completedBefore) &&
+    tagsMatch(upload.tags) &&
+    metadataMatch(upload.metadata);
+};
+
+/**
+ * List uploads matching filters, one page at a time. Pages are keyed on the
+ * last record returned, so uploads created while paging don't shift later
+ * pages.
+ * @param {Object} filters - uploadIds, userId, collectionId, status, contentType, type,
+ *   fileName, created/completed date bounds, tag and metadata
+ * @param {Object} page
+ * @param {string} page.sort - createdAt, completedAt, fileSize or fileName
+ * @param {string} page.order - "asc" or "desc"
+ * @param {number} page.limit - Page size
+ * @param {string} [page.cursor] - nextCursor of the previous page
+ * @returns {Promise<Object>} - { uploads, total, totalBytes, nextCursor }
+ */
+const listUploads = async (filters, { sort, order, limit, cursor }) => {
+  const position = cursor ? decodeCursor(cursor, sort, order) : null;
+  const compare = compareBy(sort, order);
+  const entry = (upload) => ({
+    value: upload[sort],
+    uploadId: upload.uploadId,
+  });
+
+  const matching = (await uploadStore.list(matchesFilters(filters))).sort(
+    (a, b) => compare(entry(a), entry(b))
+  );
+
+  const remaining = position
+    ? matching.filter((upload) => compare(entry(upload), position) > 0)
+    : matching;
+  const uploads = remaining.slice(0, limit);
+  const last = uploads[uploads.length - 1];
+
+  return {
+    uploads,
+    total: matching.length,
+    totalBytes: matching.reduce(
+      (sum, upload) => sum + (upload.fileSize || 0),
+      0
+    ),
+    nextCursor:
+      remaining.length > limit
+        ? encodeCursor({ sort, order, ...entry(last) })
+        : null,
+  };
+};
+
+module.exports = {
+  listUploads,
+};
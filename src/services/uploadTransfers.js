@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require("uuid");
+const { storage } = require("../storage");
+const { uploadStore } = require("../store");
+const { ConflictError } = require("../errors");
+const { syncObjectAttributes } = require("./uploadAttributes");
+const { reserveUpload } = require("./quotas");
+const { emitUploadEvent } = require("./webhooks");
+
+/**
+ * Throw unless an upload's object is complete and may be copied or moved
+ * @param {Object} upload - Upload record
+ */
+const assertTransferable = (upload) => {
+  if (upload.status !== "completed") {
+    throw new ConflictError(
+      `Upload is ${upload.status}; only completed uploads can be copied or moved`,
+      { code: "UPLOAD_NOT_COMPLETED" }
+    );
+  }
+};
+
+/**
+ * Copy a completed upload's object to a new key and record the copy as a
+ * new completed upload of the same owner. Metadata and tags come along.
+ * A copy that no longer fits the owner's quotas is deleted again.
+ * @param {Object} source - Completed upload record
+ * @param {Object} destination
+ * @param {string} destination.s3Key - Key of the copy
+ * @param {string} [destination.fileName] - Name of the copy
+ * @param {string|null} [destination.collectionId] - Collection of the copy
+ * @returns {Promise<Object>} - The new upload
+ */
+const copyUpload = async (
+  source,
+  {
+    s3Key,
+    fileName = source.fileName,
+    collectionId = source.collectionId || null,
+  }
+) => {
+  assertTransferable(source);
+
+  const now = new Date().toISOString();
+  const copy = {
+    uploadId: uuidv4(),
+    fileName,
+    contentType: source.contentType,
+    fileSize: source.fileSize,
+    ...(source.metadata && { metadata: source.metadata }),
+    ...(source.tags && { tags: source.tags }),
+    ...(collectionId && { collectionId }),
+    ...(source.detectedType && { detectedType: source.detectedType }),
+    s3Key,
+    userId: source.userId,
+    copiedFrom: source.uploadId,
+    status: "completed",
+    createdAt: now,
+    completedAt: now,
+    ...((source.renamedAt || fileName !== source.fileName) && {
+      renamedAt: now,
+    }),
+  };
+
+  await syncObjectAttributes(copy, { sourceKey: source.s3Key });
+  const object = await storage.getObjectMetadata(s3Key);
+  if (object) {
+    copy.eTag = object.eTag;
+  }
+
+  try {
+    await reserveUpload(copy);
+  } catch (error) {
+    await storage
+      .deleteFile(s3Key)
+      .catch((deleteError) =>
+        console.error(`Failed to delete unadmitted copy ${s3Key}:`, deleteError)
+      );
+    throw error;
+  }
+  emitUploadEvent("upload.created", copy);
+  emitUploadEvent("upload.completed", copy);
+  return copy;
+};
+
+/**
+ * Move a completed upload's object to a new key: copy it, point the record
+ * at the copy, then delete the original
+ * @param {Object} upload - Completed upload record
+ * @param {string} destinationKey - New object key
+ * @param {Object} [changes] - Extra fields to store on the record
+ * @returns {Promise<Object>} - Updated upload
+ */
+const moveUpload = async (upload, destinationKey, changes = {}) => {
+  assertTransferable(upload);
+
+  const sourceKey = upload.s3Key;
+  await syncObjectAttributes(
+    { ...upload, ...changes, s3Key: destinationKey },
+    { sourceKey }
+  );
+
+  const movedUpload = await uploadStore.update(upload.uploadId, (draft) => {
+    Object.assign(draft, changes);
+    draft.s3Key = destinationKey;
+  });
+
+  if (destinationKey !== sourceKey) {
+    try {
+      await storage.deleteFile(sourceKey);
+    } catch (error) {
+      // The upload already points at the copy; the original is only litter
+      console.error(`Failed to delete moved object ${sourceKey}:`, error);
+    }
+  }
+  return movedUpload;
+};
+
+module.exports = {
+  copyUpload,
+  moveUpload,
+};
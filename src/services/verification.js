@@ -0,0 +1,219 @@
+const { storage } = require("../storage");
+const { uploadStore } = require("../store");
+const { checksumsMatch } = require("./checksums");
+const { sniffObject } = require("./contentSniffing");
+const { emitUploadEvent } = require("./webhooks");
+const { checkCompletionQuota, recordDailyUsage } = require("./quotas");
+const { objectTags, syncObjectAttributes } = require("./uploadAttributes");
+
+/**
+ * Check that an upload's object really landed in S3 as declared: it must
+ * exist, match the declared fileSize (when one was given), carry the
+ * Content-Type the upload was presigned with, for checksummed uploads hold
+ * a checksum of the declared algorithm and value, start with a container
+ * signature that fits the declared type, and fit the owner's quotas.
+ * @param {Object} upload - Upload record
+ * @returns {Promise<Object>} - { verified, errors, object, detectedType, contentMismatch, quotaExceeded }
+ */
+const verifyUploadedObject = async (upload) => {
+  const object = await storage.getObjectMetadata(upload.s3Key);
+
+  if (!object) {
+    return {
+      verified: false,
+      errors: [`Object ${upload.s3Key} was not found in storage`],
+      object: null,
+    };
+  }
+
+  const errors = [];
+
+  if (upload.fileSize != null && object.contentLength !== upload.fileSize) {
+    errors.push(
+      `Object size ${object.contentLength} bytes does not match declared fileSize ${upload.fileSize} bytes`
+    );
+  }
+
+  if (object.contentType !== upload.contentType) {
+    errors.push(
+      `Object Content-Type "${object.contentType}" does not match declared contentType "${upload.contentType}"`
+    );
+  }
+
+  // Presigned POST policies bind the upload ID into the object's metadata
+  const taggedUploadId = object.metadata && object.metadata["upload-id"];
+  if (taggedUploadId && taggedUploadId !== upload.uploadId) {
+    errors.push(
+      `Object belongs to upload ${taggedUploadId}, not ${upload.uploadId}`
+    );
+  }
+
+  if (upload.checksumAlgorithm) {
+    const actual = object.checksum;
+    if (!actual || actual.algorithm !== upload.checksumAlgorithm) {
+      errors.push(
+        `Object has no ${upload.checksumAlgorithm} checksum in storage`
+      );
+    } else if (
+      upload.checksum &&
+      !checksumsMatch(upload.checksum, actual.value)
+    ) {
+      errors.push(
+        `Object ${actual.algorithm} checksum ${actual.value} does not match declared checksum ${upload.checksum}`
+      );
+    }
+  }
+
+  // The declared type is only a claim; check the bytes themselves
+  const sniff = await sniffObject(
+    upload.s3Key,
+    upload.contentType,
+    object.contentLength
+  );
+  if (!sniff.matches) {
+    errors.push(
+      sniff.detectedType
+        ? `Object content is ${sniff.detectedType}, not the declared ${upload.contentType}`
+        : `Object content is not a recognised video container`
+    );
+  }
+
+  // Quotas were checked against the declared size; recheck the real one
+  const quotaViolations = await checkCompletionQuota(
+    upload,
+    object.contentLength
+  );
+  errors.push(...quotaViolations);
+
+  return {
+    verified: errors.length === 0,
+    errors,
+    object,
+    detectedType: sniff.detectedType,
+    contentMismatch: !sniff.matches,
+    quotaExceeded: quotaViolations.length > 0,
+  };
+};
+
+// Statuses verification may move an upload out of. /confirm,
+// /multipart/complete and S3 events can verify the same upload at once;
+// only the first to finish changes its status.
+const VERIFIABLE_STATUSES = [
+  "pending",
+  "multipart-initiated",
+  "verification-failed",
+];
+
+/**
+ * Mark an upload completed with the facts established by verification,
+ * unless it already left the verifiable statuses
+ * @param {string} uploadId - Upload ID
+ * @param {Object} verification - Successful result of verifyUploadedObject
+ * @param {Object} [changes] - Extra fields to store on the record
+ * @returns {Promise<Object|null>} - The completed upload, or null if it was
+ *   completed (or failed) meanwhile
+ */
+const markUploadCompleted = async (uploadId, verification, changes = {}) => {
+  let declaredSize;
+  let completed = false;
+  const completedUpload = await uploadStore.update(uploadId, (upload) => {
+    if (!VERIFIABLE_STATUSES.includes(upload.status)) {
+      return;
+    }
+    completed = true;
+    declaredSize = upload.fileSize;
+    Object.assign(upload, changes);
+    upload.status = "completed";
+    upload.fileSize = verification.object.contentLength;
+    upload.eTag = verification.object.eTag;
+    upload.detectedType = verification.detectedType;
+    if (verification.object.checksum) {
+      upload.verifiedChecksum = verification.object.checksum;
+    }
+    upload.verifiedAt = new Date().toISOString();
+    upload.completedAt = new Date().toISOString();
+    delete upload.verificationErrors;
+  });
+  if (!completed) {
+    return null;
+  }
+  // Metadata or tags edited before the object existed couldn't be written
+  // then; catch the object up now
+  if (completedUpload.objectAttributesStale) {
+    try {
+      await syncObjectAttributes(completedUpload);
+      await uploadStore.update(uploadId, (upload) => {
+        delete upload.objectAttributesStale;
+      });
+      delete completedUpload.objectAttributesStale;
+    } catch (error) {
+      console.error(
+        `Failed to sync metadata and tags of upload ${uploadId}:`,
+        error
+      );
+    }
+  }
+  // Declared sizes were counted towards the daily quota up front
+  if (declaredSize == null) {
+    await recordDailyUsage(
+      completedUpload.userId,
+      verification.object.contentLength
+    );
+  }
+  emitUploadEvent("upload.completed", completedUpload);
+  return completedUpload;
+};
+
+/**
+ * Record a failed verification. Objects over the owner's quota are deleted;
+ * objects whose bytes don't match the declared type are quarantined (tagged,
+ * kept for inspection) or deleted, depending on CONTENT_SNIFF_ACTION.
+ * @param {Object} upload - Upload record
+ * @param {Object} verification - Failed result of verifyUploadedObject
+ * @param {Object} [changes] - Extra fields to store on the record
+ * @returns {Promise<Object|null>} - The failed upload, or null if it was
+ *   completed (or failed) meanwhile
+ */
+const markUploadFailed = async (upload, verification, changes = {}) => {
+  let status = "verification-failed";
+
+  if (verification.object && verification.quotaExceeded) {
+    await storage.deleteFile(upload.s3Key);
+    status = "rejected";
+  } else if (verification.object && verification.contentMismatch) {
+    if (process.env.CONTENT_SNIFF_ACTION === "delete") {
+      await storage.deleteFile(upload.s3Key);
+      status = "rejected";
+    } else {
+      await storage.putObjectTags(
+        upload.s3Key,
+        objectTags({ ...upload, status: "quarantined" })
+      );
+      status = "quarantined";
+    }
+  }
+
+  let failed = false;
+  const failedUpload = await uploadStore.update(upload.uploadId, (draft) => {
+    if (!VERIFIABLE_STATUSES.includes(draft.status)) {
+      return;
+    }
+    failed = true;
+    Object.assign(draft, changes);
+    draft.status = status;
+    draft.verificationErrors = verification.errors;
+    draft.detectedType = verification.detectedType;
+    draft.verifiedAt = new Date().toISOString();
+  });
+  if (!failed) {
+    return null;
+  }
+  emitUploadEvent("upload.verification_failed", failedUpload);
+  return failedUpload;
+};
+
+module.exports = {
+  verifyUploadedObject,
+  markUploadCompleted,
+  markUploadFailed,
+};
@@ -0,0 +1,262 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { createStore } = require("../store");
+
+const WEBHOOK_EVENTS = [
+  "upload.created",
+  "upload.completed",
+  "upload.updated",
+  "upload.aborted",
+  "upload.deleted",
+  "upload.expired",
+  "upload.verification_failed",
+];
+
+// Subscriptions and their deliveries; deliveries double as the retry queue
+// and, once attempts run out, the dead-letter list. Finished deliveries are
+// pruned after their retention period.
+const subscriptionStore = createStore("webhook-subscriptions", {
+  keyField: "id",
+});
+const deliveryStore = createStore("webhook-deliveries", { keyField: "id" });
+
+const getSettings = () => ({
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  pollMs: parseInt(process.env.WEBHOOK_POLL_MS) || 5000,
+  deliveredRetentionMs:
+    parseInt(process.env.WEBHOOK_DELIVERED_RETENTION_MS) || 60 * 60 * 1000,
+  deadLetterRetentionMs:
+    parseInt(process.env.WEBHOOK_DEAD_LETTER_RETENTION_MS) ||
+    7 * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over
+ * "<timestamp>.<raw body>" with the subscription secret and compare it to v1.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Attempt one delivery, scheduling a retry with exponential backoff or
+ * moving it to the dead-letter list when attempts run out
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<void>}
+ */
+const attemptDelivery = async (deliveryId) => {
+  const { maxAttempts, retryBaseMs, timeoutMs } = getSettings();
+  const now = Date.now();
+
+  // Claim the delivery so another instance's dispatcher doesn't send it too
+  let claimed = false;
+  const delivery = await deliveryStore.update(deliveryId, (draft) => {
+    const due = new Date(draft.nextAttemptAt).getTime() <= now;
+    const locked = draft.lockedUntil && draft.lockedUntil > now;
+    if (draft.status === "pending" && due && !locked) {
+      draft.lockedUntil = now + timeoutMs * 2;
+      claimed = true;
+    }
+  });
+  if (!delivery || !claimed) {
+    return;
+  }
+
+  const subscription = await subscriptionStore.get(delivery.subscriptionId);
+  if (!subscription) {
+    await deliveryStore.update(deliveryId, (draft) => {
+      draft.status = "dead";
+      draft.lastError = "Subscription no longer exists";
+      delete draft.lockedUntil;
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let error = null;
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "uploader-backend-webhooks/1.0",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Signature": signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        ),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  }
+
+  await deliveryStore.update(deliveryId, (draft) => {
+    draft.attempts += 1;
+    draft.lastAttemptAt = new Date().toISOString();
+    delete draft.lockedUntil;
+
+    if (!error) {
+      draft.status = "delivered";
+      draft.deliveredAt = draft.lastAttemptAt;
+      delete draft.lastError;
+    } else if (draft.attempts >= maxAttempts) {
+      draft.status = "dead";
+      draft.lastError = error;
+    } else {
+      draft.lastError = error;
+      draft.nextAttemptAt = new Date(
+        Date.now() + retryBaseMs * 2 ** (draft.attempts - 1)
+      ).toISOString();
+    }
+  });
+};
+
+/**
+ * Queue an event for every subscription that listens to it. Delivery
+ * happens in the background and never fails the calling request.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} upload - Upload record the event is about
+ * @returns {Promise<void>}
+ */
+const emitUploadEvent = async (event, upload) => {
+  try {
+    const subscriptions = await subscriptionStore.list(
+      (subscription) =>
+        subscription.active &&
+        (subscription.events.includes("*") ||
+          subscription.events.includes(event))
+    );
+
+    const payload = {
+      id: uuidv4(),
+      type: event,
+      createdAt: new Date().toISOString(),
+      data: { upload },
+    };
+
+    for (const subscription of subscriptions) {
+      const delivery = await deliveryStore.put({
+        id: uuidv4(),
+        subscriptionId: subscription.id,
+        event,
+        payload,
+        status: "pending",
+        attempts: 0,
+        createdAt: payload.createdAt,
+        nextAttemptAt: payload.createdAt,
+      });
+      attemptDelivery(delivery.id).catch((error) =>
+        console.error("Error delivering webhook:", error)
+      );
+    }
+  } catch (error) {
+    console.error(`Error emitting ${event} webhook:`, error);
+  }
+};
+
+/**
+ * Put a delivery back in the queue for an immediate, fresh set of attempts
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} - The requeued delivery, or null if missing
+ */
+const replayDelivery = async (deliveryId) => {
+  const delivery = await deliveryStore.update(deliveryId, (draft) => {
+    draft.status = "pending";
+    draft.attempts = 0;
+    draft.nextAttemptAt = new Date().toISOString();
+    draft.replayedAt = draft.nextAttemptAt;
+    delete draft.lockedUntil;
+  });
+
+  if (delivery) {
+    attemptDelivery(delivery.id).catch((error) =>
+      console.error("Error delivering webhook:", error)
+    );
+  }
+  return delivery;
+};
+
+/**
+ * Remove delivered deliveries and dead letters older than their retention
+ * period; dead letters are kept longer so they can still be replayed
+ * @returns {Promise<number>} - Number of deliveries removed
+ */
+const pruneDeliveries = async () => {
+  const { deliveredRetentionMs, deadLetterRetentionMs } = getSettings();
+  const now = Date.now();
+
+  const expired = await deliveryStore.list((delivery) => {
+    const retentionMs = {
+      delivered: deliveredRetentionMs,
+      dead: deadLetterRetentionMs,
+    }[delivery.status];
+    const finishedAt = new Date(
+      delivery.lastAttemptAt || delivery.createdAt
+    ).getTime();
+    return retentionMs !== undefined && now - finishedAt > retentionMs;
+  });
+  for (const delivery of expired) {
+    await deliveryStore.remove(delivery.id);
+  }
+  return expired.length;
+};
+
+/**
+ * Periodically retry due deliveries, including ones left over from a
+ * restart, and prune finished ones
+ * @returns {Function} - Stops the dispatcher
+ */
+const startWebhookDispatcher = () => {
+  const { pollMs } = getSettings();
+
+  const timer = setInterval(async () => {
+    try {
+      const now = Date.now();
+      const due = await deliveryStore.list(
+        (delivery) =>
+          delivery.status === "pending" &&
+          new Date(delivery.nextAttemptAt).getTime() <= now
+      );
+      for (const delivery of due) {
+        await attemptDelivery(delivery.id);
+      }
+      await pruneDeliveries();
+    } catch (error) {
+      console.error("Error dispatching webhooks:", error);
+    }
+  }, pollMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  subscriptionStore,
+  deliveryStore,
+  signPayload,
+  emitUploadEvent,
+  replayDelivery,
+  pruneDeliveries,
+  startWebhookDispatcher,
+};
@@ -0,0 +1,66 @@
+const aws = require("../config/aws");
+const localDriver = require("./localDriver");
+
+// Operations every storage driver implements, with the signatures of the
+// S3 functions in config/aws.js
+const STORAGE_OPERATIONS = [
+  "generatePresignedUploadUrl",
+  "generatePresignedPost",
+  "generatePresignedDownloadUrl",
+  "deleteFile",
+  "deleteObjects",
+  "getObjectMetadata",
+  "readObjectRange",
+  "getObjectStream",
+  "putObjectTags",
+  "copyObject",
+  "listObjects",
+  "initiateMultipartUpload",
+  "generateMultipartUploadUrls",
+  "listUploadedParts",
+  "listMultipartUploads",
+  "completeMultipartUpload",
+  "abortMultipartUpload",
+];
+
+const s3Driver = {
+  name: "s3",
+  isConfigured: aws.isS3Configured,
+  ...Object.fromEntries(STORAGE_OPERATIONS.map((name) => [name, aws[name]])),
+};
+
+const drivers = {
+  s3: s3Driver,
+  local: localDriver,
+};
+
+/**
+ * Resolve the storage driver selected by STORAGE_DRIVER (s3 or local)
+ * @returns {Object} - Driver implementing STORAGE_OPERATIONS
+ */
+const createStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "s3";
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+  }
+
+  const missing = STORAGE_OPERATIONS.filter(
+    (operation) => typeof driver[operation] !== "function"
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Storage driver "${name}" is missing: ${missing.join(", ")}`
+    );
+  }
+
+  return driver;
+};
+
+const storage = createStorage();
+
+module.exports = {
+  STORAGE_OPERATIONS,
+  storage,
+};
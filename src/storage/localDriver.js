@@ -0,0 +1,1017 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const multer = require("multer");
+const { CHECKSUM_ALGORITHMS } = require("../config/aws");
+const { AppError } = require("../errors");
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // Same limit S3 enforces
+
+/**
+ * Build an error answered with its status and code, using the codes the S3
+ * driver maps S3's own errors to
+ * @param {number} status - HTTP status code
+ * @param {string} code - Stable error code
+ * @param {string} message - Error message
+ * @returns {AppError}
+ */
+const storageError = (status, code, message) =>
+  new AppError(message, { status, code });
+
+const getRoot = () =>
+  path.resolve(process.env.LOCAL_STORAGE_DIR || "data/objects");
+
+/**
+ * Resolve a path under the storage root, refusing keys that escape it
+ * @param {string} area - Subdirectory (objects, meta, multipart)
+ * @param {string} relative - Key or relative path
+ * @returns {string} - Absolute path
+ */
+const resolveIn = (area, relative) => {
+  const base = path.join(getRoot(), area);
+  const resolved = path.resolve(base, relative);
+  if (!resolved.startsWith(base + path.sep)) {
+    throw storageError(400, "INVALID_KEY", `Invalid key: ${relative}`);
+  }
+  return resolved;
+};
+
+const objectPath = (key) => resolveIn("objects", key);
+const metaPath = (key) => resolveIn("meta", `${key}.json`);
+const multipartDir = (uploadId) => {
+  if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+    throw storageError(
+      404,
+      "MULTIPART_UPLOAD_NOT_FOUND",
+      "The specified multipart upload does not exist"
+    );
+  }
+  return resolveIn("multipart", uploadId);
+};
+
+const readJson = async (filePath) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const writeJson = async (filePath, value) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, JSON.stringify(value));
+};
+
+// CRC32C (Castagnoli), the same polynomial S3 uses for ChecksumCRC32C
+const CRC32C_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Incrementally compute the MD5 (ETag), SHA-256 and CRC32C of a byte stream
+ * @returns {Object} - { update(chunk), digest() }
+ */
+const createDigests = () => {
+  const md5 = crypto.createHash("md5");
+  const sha256 = crypto.createHash("sha256");
+  let crc = 0xffffffff;
+  let size = 0;
+
+  return {
+    update: (chunk) => {
+      md5.update(chunk);
+      sha256.update(chunk);
+      for (let i = 0; i < chunk.length; i++) {
+        crc = CRC32C_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+      }
+      size += chunk.length;
+    },
+    digest: () => {
+      const crcBytes = Buffer.alloc(4);
+      crcBytes.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+      return {
+        size,
+        md5: md5.digest(),
+        SHA256: sha256.digest("base64"),
+        CRC32C: crcBytes.toString("base64"),
+      };
+    },
+  };
+};
+
+/**
+ * Stream a request body to disk, hashing it on the way
+ * @param {Object} req - Incoming request (or any readable stream)
+ * @param {string} filePath - Destination path
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Abort once the body grows past this
+ * @returns {Promise<Object>} - Digests of the written bytes
+ */
+const writeBody = async (req, filePath, { maxSize = Infinity } = {}) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  const digests = createDigests();
+  let size = 0;
+
+  try {
+    await pipeline(
+      req,
+      new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          if (size > maxSize) {
+            return callback(
+              storageError(
+                413,
+                "ENTITY_TOO_LARGE",
+                "Your proposed upload exceeds the maximum allowed size"
+              )
+            );
+          }
+          digests.update(chunk);
+          callback(null, chunk);
+        },
+      }),
+      fs.createWriteStream(tmpPath)
+    );
+  } catch (error) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw error;
+  }
+
+  return { tmpPath, ...digests.digest() };
+};
+
+/**
+ * Reject a body whose digest doesn't match the checksum bound into its URL
+ * @param {Object} query - Signed query parameters
+ * @param {Object} written - Result of writeBody
+ */
+const assertBoundChecksum = async (query, written) => {
+  if (
+    query.checksumAlgorithm &&
+    written[query.checksumAlgorithm] !== query.checksum
+  ) {
+    await fs.promises.rm(written.tmpPath, { force: true });
+    throw storageError(
+      400,
+      "CHECKSUM_MISMATCH",
+      `The ${query.checksumAlgorithm} checksum of the body does not match ${query.checksum}`
+    );
+  }
+};
+
+let generatedSecret;
+const getSecret = () => {
+  if (process.env.LOCAL_STORAGE_SECRET) {
+    return process.env.LOCAL_STORAGE_SECRET;
+  }
+  if (!generatedSecret) {
+    console.warn(
+      "⚠️  LOCAL_STORAGE_SECRET is not set; signed storage URLs will not survive a restart."
+    );
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return generatedSecret;
+};
+
+const signParams = (params) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(
+      Object.keys(params)
+        .filter((name) => name !== "signature")
+        .sort()
+        .map((name) => `${name}=${params[name]}`)
+        .join("\n")
+    )
+    .digest("hex");
+
+/**
+ * Build a signed URL served by this app's /api/storage routes
+ * @param {string} route - Storage route (object or part)
+ * @param {Object} params - Parameters to bind into the signature
+ * @param {number} expiresIn - Expiration time in seconds
+ * @returns {string}
+ */
+const signUrl = (route, params, expiresIn) => {
+  const baseUrl =
+    process.env.PUBLIC_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3001}`;
+  const query = {
+    ...params,
+    route,
+    expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+  };
+  query.signature = signParams(query);
+  return `${baseUrl}/api/storage/${route}?${new URLSearchParams(query)}`;
+};
+
+/**
+ * Check the signature and expiry of a storage request
+ * @param {string} route - Route the request arrived on
+ * @param {Object} query - Request query parameters
+ */
+const verifySignature = (route, query) => {
+  const expected = Buffer.from(signParams(query), "hex");
+  const provided = Buffer.from(String(query.signature || ""), "hex");
+
+  if (
+    query.route !== route ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    throw storageError(403, "SIGNATURE_MISMATCH", "Signature does not match");
+  }
+
+  if (Number(query.expires) < Date.now() / 1000) {
+    throw storageError(403, "REQUEST_EXPIRED", "Request has expired");
+  }
+};
+
+/**
+ * Check that the client sent the headers bound into a signed upload URL
+ * @param {Object} req - Incoming request
+ * @param {Object} query - Signed query parameters
+ */
+const assertSignedHeaders = (req, query) => {
+  if (query.contentType && req.get("Content-Type") !== query.contentType) {
+    throw storageError(
+      403,
+      "SIGNED_HEADER_MISMATCH",
+      "Content-Type does not match the signed value"
+    );
+  }
+  if (
+    query.checksumAlgorithm &&
+    req.get(CHECKSUM_ALGORITHMS[query.checksumAlgorithm].header) !==
+      query.checksum
+  ) {
+    throw storageError(
+      403,
+      "SIGNED_HEADER_MISMATCH",
+      "Checksum header does not match the signed value"
+    );
+  }
+};
+
+/**
+ * Handle a signed PUT or GET of a whole object
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const handleObjectRequest = async (req, res) => {
+  const { query } = req;
+  verifySignature("object", query);
+
+  if (req.method === "GET" && query.op === "get") {
+    const meta = await readJson(metaPath(query.key));
+    if (!meta) {
+      throw storageError(
+        404,
+        "OBJECT_NOT_FOUND",
+        "The specified key does not exist"
+      );
+    }
+    const contentDisposition =
+      query.responseContentDisposition || meta.contentDisposition;
+    return res.sendFile(objectPath(query.key), {
+      dotfiles: "allow",
+      headers: {
+        "Content-Type": query.responseContentType || meta.contentType,
+        ETag: meta.eTag,
+        ...(contentDisposition && {
+          "Content-Disposition": contentDisposition,
+        }),
+        ...(query.responseCacheControl && {
+          "Cache-Control": query.responseCacheControl,
+        }),
+      },
+    });
+  }
+
+  if (req.method !== "PUT" || query.op !== "put") {
+    throw storageError(
+      405,
+      "METHOD_NOT_ALLOWED",
+      "Method not allowed for this URL"
+    );
+  }
+
+  assertSignedHeaders(req, query);
+  const filePath = objectPath(query.key);
+  const written = await writeBody(req, filePath);
+  await assertBoundChecksum(query, written);
+  await fs.promises.rename(written.tmpPath, filePath);
+
+  const eTag = `"${written.md5.toString("hex")}"`;
+  await writeJson(metaPath(query.key), {
+    key: query.key,
+    contentType: query.contentType || req.get("Content-Type"),
+    size: written.size,
+    eTag,
+    lastModified: new Date().toISOString(),
+    checksum: query.checksumAlgorithm
+      ? {
+          algorithm: query.checksumAlgorithm,
+          type: "FULL_OBJECT",
+          value: written[query.checksumAlgorithm],
+        }
+      : null,
+    metadata: query.metadata ? JSON.parse(query.metadata) : {},
+    tags: query.tags ? JSON.parse(query.tags) : {},
+  });
+
+  res.set("ETag", eTag).status(200).end();
+};
+
+/**
+ * Check a presigned POST form against its signed policy
+ * @param {Object} fields - Form fields received before the file
+ * @returns {{minSize: number, maxSize: number}} - Accepted body size range
+ */
+const checkPostPolicy = (fields) => {
+  const expected = Buffer.from(
+    signParams({ policy: fields.Policy || "" }),
+    "hex"
+  );
+  const provided = Buffer.from(
+    String(fields["X-Local-Signature"] || ""),
+    "hex"
+  );
+  if (
+    !fields.Policy ||
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    throw storageError(
+      403,
+      "SIGNATURE_MISMATCH",
+      "Policy signature does not match"
+    );
+  }
+
+  const policy = JSON.parse(Buffer.from(fields.Policy, "base64").toString());
+  if (new Date(policy.expiration) < new Date()) {
+    throw storageError(403, "REQUEST_EXPIRED", "Policy has expired");
+  }
+
+  const range = { minSize: 0, maxSize: Infinity };
+  for (const condition of policy.conditions) {
+    if (Array.isArray(condition) && condition[0] === "content-length-range") {
+      [, range.minSize, range.maxSize] = condition;
+      continue;
+    }
+
+    const [operator, name, value] = Array.isArray(condition)
+      ? [condition[0], condition[1].replace(/^\$/, ""), condition[2]]
+      : ["eq", ...Object.entries(condition)[0]];
+    const actual = fields[name] || "";
+    if (
+      (operator === "eq" && actual !== value) ||
+      (operator === "starts-with" && !actual.startsWith(value))
+    ) {
+      throw storageError(
+        403,
+        "POLICY_CONDITION_FAILED",
+        `Policy condition failed: ${name}`
+      );
+    }
+  }
+
+  return range;
+};
+
+// Multer storage engine that checks the policy before accepting any bytes;
+// like S3, the form fields must come before the file
+const postStorageEngine = {
+  _handleFile: (req, file, callback) => {
+    (async () => {
+      const { minSize, maxSize } = checkPostPolicy(req.body);
+      const written = await writeBody(file.stream, objectPath(req.body.key), {
+        maxSize,
+      });
+      if (written.size < minSize) {
+        await fs.promises.rm(written.tmpPath, { force: true });
+        throw storageError(
+          400,
+          "ENTITY_TOO_SMALL",
+          "Your proposed upload is smaller than the minimum allowed size"
+        );
+      }
+      return written;
+    })().then((written) => callback(null, written), callback);
+  },
+  _removeFile: (req, file, callback) => {
+    fs.promises
+      .rm(file.tmpPath, { force: true })
+      .then(() => callback(null), callback);
+  },
+};
+
+const parsePostForm = multer({
+  storage: postStorageEngine,
+  limits: { files: 1, fields: 50 },
+}).single("file");
+
+/**
+ * Handle a presigned POST (multipart/form-data with a "file" field)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const handlePostRequest = async (req, res) => {
+  if (req.method !== "POST") {
+    throw storageError(
+      405,
+      "METHOD_NOT_ALLOWED",
+      "Method not allowed for this URL"
+    );
+  }
+
+  await new Promise((resolve, reject) =>
+    parsePostForm(req, res, (error) => (error ? reject(error) : resolve()))
+  );
+  if (!req.file) {
+    throw storageError(
+      400,
+      "MALFORMED_POST_REQUEST",
+      "POST requires exactly one file field"
+    );
+  }
+
+  const key = req.body.key;
+  await fs.promises.rename(req.file.tmpPath, objectPath(key));
+
+  const eTag = `"${req.file.md5.toString("hex")}"`;
+  await writeJson(metaPath(key), {
+    key,
+    contentType: req.body["Content-Type"] || "binary/octet-stream",
+    size: req.file.size,
+    eTag,
+    lastModified: new Date().toISOString(),
+    checksum: null,
+    metadata: Object.fromEntries(
+      Object.entries(req.body)
+        .filter(([name]) => name.toLowerCase().startsWith("x-amz-meta-"))
+        .map(([name, value]) => [name.slice(11).toLowerCase(), value])
+    ),
+    tags: {},
+  });
+
+  res
+    .set({ ETag: eTag, Location: `local://${key}` })
+    .status(204)
+    .end();
+};
+
+/**
+ * Handle a signed PUT of one multipart upload part
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const handlePartRequest = async (req, res) => {
+  const { query } = req;
+  verifySignature("part", query);
+
+  if (req.method !== "PUT") {
+    throw storageError(
+      405,
+      "METHOD_NOT_ALLOWED",
+      "Method not allowed for this URL"
+    );
+  }
+
+  const dir = multipartDir(query.uploadId);
+  const manifest = await readJson(path.join(dir, "manifest.json"));
+  if (!manifest || manifest.key !== query.key) {
+    throw storageError(
+      404,
+      "MULTIPART_UPLOAD_NOT_FOUND",
+      "The specified multipart upload does not exist"
+    );
+  }
+
+  assertSignedHeaders(req, query);
+  const partFile = path.join(dir, `part-${query.partNumber}`);
+  const written = await writeBody(req, partFile);
+  await assertBoundChecksum(query, written);
+  await fs.promises.rename(written.tmpPath, partFile);
+
+  const eTag = `"${written.md5.toString("hex")}"`;
+  await writeJson(`${partFile}.json`, {
+    PartNumber: Number(query.partNumber),
+    ETag: eTag,
+    Size: written.size,
+    LastModified: new Date().toISOString(),
+    SHA256: written.SHA256,
+    CRC32C: written.CRC32C,
+  });
+
+  res.set("ETag", eTag).status(200).end();
+};
+
+// Storage operations: same signatures and return shapes as the S3 functions
+// in config/aws.js
+
+// Metadata and tags ride in the signed query as JSON, the way S3 hoists
+// them into the query string of a presigned PUT
+const generatePresignedUploadUrl = async (
+  key,
+  contentType,
+  expiresIn = 3600,
+  { checksumAlgorithm, checksum, metadata, tags } = {}
+) =>
+  signUrl(
+    "object",
+    {
+      op: "put",
+      key,
+      contentType,
+      ...(checksumAlgorithm && { checksumAlgorithm, checksum }),
+      ...(metadata && { metadata: JSON.stringify(metadata) }),
+      ...(tags && { tags: JSON.stringify(tags) }),
+    },
+    expiresIn
+  );
+
+const generatePresignedPost = async (
+  key,
+  contentType,
+  expiresIn = 3600,
+  { minSize = 1, maxSize, metadata = {} } = {}
+) => {
+  const fields = {
+    "Content-Type": contentType,
+    ...Object.fromEntries(
+      Object.entries(metadata).map(([name, value]) => [
+        `x-amz-meta-${name}`,
+        value,
+      ])
+    ),
+    key,
+  };
+  const policy = Buffer.from(
+    JSON.stringify({
+      expiration: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      conditions: [
+        ...Object.entries(fields).map(([name, value]) => ({ [name]: value })),
+        ["content-length-range", minSize, maxSize],
+      ],
+    })
+  ).toString("base64");
+
+  const baseUrl =
+    process.env.PUBLIC_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3001}`;
+  return {
+    url: `${baseUrl}/api/storage/post`,
+    fields: {
+      ...fields,
+      Policy: policy,
+      "X-Local-Signature": signParams({ policy }),
+    },
+  };
+};
+
+const generatePresignedDownloadUrl = async (
+  key,
+  expiresIn = 3600,
+  { contentDisposition, contentType, cacheControl } = {}
+) =>
+  signUrl(
+    "object",
+    {
+      op: "get",
+      key,
+      ...(contentDisposition && {
+        responseContentDisposition: contentDisposition,
+      }),
+      ...(contentType && { responseContentType: contentType }),
+      ...(cacheControl && { responseCacheControl: cacheControl }),
+    },
+    expiresIn
+  );
+
+const deleteFile = async (key) => {
+  await fs.promises.rm(objectPath(key), { force: true });
+  await fs.promises.rm(metaPath(key), { force: true });
+  console.log(`File deleted successfully: ${key}`);
+};
+
+const deleteObjects = async (keys) => {
+  const deleted = [];
+  const errors = [];
+  for (const key of keys) {
+    try {
+      await fs.promises.rm(objectPath(key), { force: true });
+      await fs.promises.rm(metaPath(key), { force: true });
+      deleted.push(key);
+    } catch (error) {
+      errors.push({
+        key,
+        code: error instanceof AppError ? error.code : "STORAGE_ERROR",
+        message: error.message,
+      });
+    }
+  }
+  console.log(`Files deleted: ${deleted.length}, failed: ${errors.length}`);
+  return { deleted, errors };
+};
+
+const getObjectMetadata = async (key) => {
+  const meta = await readJson(metaPath(key));
+  if (!meta) {
+    return null;
+  }
+  return {
+    contentLength: meta.size,
+    contentType: meta.contentType,
+    eTag: meta.eTag,
+    lastModified: new Date(meta.lastModified),
+    contentDisposition: meta.contentDisposition,
+    metadata: meta.metadata,
+    checksum: meta.checksum,
+  };
+};
+
+const readObjectRange = async (key, start, end) => {
+  const handle = await fs.promises.open(objectPath(key), "r");
+  try {
+    const buffer = Buffer.alloc(end - start + 1);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const getObjectStream = async (key, { start, end, ifMatch } = {}) => {
+  const meta = await readJson(metaPath(key));
+  if (!meta) {
+    throw storageError(
+      404,
+      "OBJECT_NOT_FOUND",
+      "The specified key does not exist"
+    );
+  }
+  if (ifMatch && ifMatch !== meta.eTag) {
+    throw storageError(
+      412,
+      "PRECONDITION_FAILED",
+      "The object changed while it was being read"
+    );
+  }
+  return fs.createReadStream(objectPath(key), { start, end });
+};
+
+const putObjectTags = async (key, tags) => {
+  const meta = await readJson(metaPath(key));
+  if (!meta) {
+    throw storageError(
+      404,
+      "OBJECT_NOT_FOUND",
+      "The specified key does not exist"
+    );
+  }
+  meta.tags = { ...tags };
+  await writeJson(metaPath(key), meta);
+};
+
+const copyObject = async (
+  sourceKey,
+  destinationKey,
+  { metadata, contentType, contentDisposition } = {}
+) => {
+  const meta = await readJson(metaPath(sourceKey));
+  if (!meta) {
+    throw storageError(
+      404,
+      "OBJECT_NOT_FOUND",
+      "The specified key does not exist"
+    );
+  }
+  await fs.promises.mkdir(path.dirname(objectPath(destinationKey)), {
+    recursive: true,
+  });
+  if (sourceKey !== destinationKey) {
+    await fs.promises.copyFile(
+      objectPath(sourceKey),
+      objectPath(destinationKey)
+    );
+  }
+  await writeJson(metaPath(destinationKey), {
+    ...meta,
+    ...(metadata && { metadata, contentType, contentDisposition }),
+    key: destinationKey,
+    lastModified: new Date().toISOString(),
+  });
+  return { eTag: meta.eTag };
+};
+
+const listObjects = async (prefix = "") => {
+  const metaRoot = path.join(getRoot(), "meta");
+  const entries = await fs.promises
+    .readdir(metaRoot, { recursive: true, withFileTypes: true })
+    .catch((error) => (error.code === "ENOENT" ? [] : Promise.reject(error)));
+
+  const objects = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith(".json")) {
+      continue;
+    }
+    const meta = await readJson(
+      path.join(entry.parentPath || entry.path, entry.name)
+    );
+    if (meta && meta.key.startsWith(prefix)) {
+      objects.push({
+        key: meta.key,
+        size: meta.size,
+        eTag: meta.eTag,
+        lastModified: new Date(meta.lastModified),
+      });
+    }
+  }
+  return objects.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+const initiateMultipartUpload = async (
+  key,
+  contentType,
+  { checksumAlgorithm, metadata = {}, tags = {} } = {}
+) => {
+  objectPath(key); // Validate the key up front
+  const uploadId = crypto.randomBytes(16).toString("hex");
+  await writeJson(path.join(multipartDir(uploadId), "manifest.json"), {
+    key,
+    contentType,
+    checksumAlgorithm: checksumAlgorithm || null,
+    checksumType: checksumAlgorithm === "CRC32C" ? "FULL_OBJECT" : "COMPOSITE",
+    metadata,
+    tags,
+    initiated: new Date().toISOString(),
+  });
+  return uploadId;
+};
+
+const generateMultipartUploadUrls = async (
+  key,
+  uploadId,
+  parts,
+  expiresIn = 3600,
+  { checksumAlgorithm, partChecksums = {} } = {}
+) => {
+  const partNumbers = Array.isArray(parts)
+    ? parts
+    : Array.from({ length: parts }, (_, index) => index + 1);
+
+  return partNumbers.map((partNumber) => {
+    const checksum = checksumAlgorithm && partChecksums[partNumber];
+    return {
+      partNumber,
+      presignedUrl: signUrl(
+        "part",
+        {
+          key,
+          uploadId,
+          partNumber: String(partNumber),
+          ...(checksum && { checksumAlgorithm, checksum }),
+        },
+        expiresIn
+      ),
+      ...(checksum && {
+        headers: { [CHECKSUM_ALGORITHMS[checksumAlgorithm].header]: checksum },
+      }),
+    };
+  });
+};
+
+const listUploadedParts = async (key, uploadId) => {
+  const dir = multipartDir(uploadId);
+  const manifest = await readJson(path.join(dir, "manifest.json"));
+  if (!manifest || manifest.key !== key) {
+    throw storageError(
+      404,
+      "MULTIPART_UPLOAD_NOT_FOUND",
+      "The specified multipart upload does not exist"
+    );
+  }
+
+  const parts = [];
+  for (const name of await fs.promises.readdir(dir)) {
+    if (/^part-\d+\.json$/.test(name)) {
+      const part = await readJson(path.join(dir, name));
+      parts.push({
+        PartNumber: part.PartNumber,
+        ETag: part.ETag,
+        Size: part.Size,
+        LastModified: new Date(part.LastModified),
+      });
+    }
+  }
+  return parts.sort((a, b) => a.PartNumber - b.PartNumber);
+};
+
+const completeMultipartUpload = async (
+  key,
+  uploadId,
+  parts,
+  { checksumAlgorithm, checksum } = {}
+) => {
+  const dir = multipartDir(uploadId);
+  const manifest = await readJson(path.join(dir, "manifest.json"));
+  if (!manifest || manifest.key !== key) {
+    throw storageError(
+      404,
+      "MULTIPART_UPLOAD_NOT_FOUND",
+      "The specified multipart upload does not exist"
+    );
+  }
+
+  const ordered = [...parts].sort((a, b) => a.PartNumber - b.PartNumber);
+  const stored = [];
+  for (const [index, part] of ordered.entries()) {
+    const meta = await readJson(path.join(dir, `part-${part.PartNumber}.json`));
+    if (!meta || meta.ETag !== `"${String(part.ETag).replace(/"/g, "")}"`) {
+      throw storageError(
+        400,
+        "INVALID_PART",
+        `Part ${part.PartNumber} is missing or its ETag does not match`
+      );
+    }
+    if (index < ordered.length - 1 && meta.Size < MIN_PART_SIZE) {
+      throw storageError(
+        400,
+        "ENTITY_TOO_SMALL",
+        `Part ${part.PartNumber} is smaller than the 5MB minimum`
+      );
+    }
+    const field =
+      checksumAlgorithm && CHECKSUM_ALGORITHMS[checksumAlgorithm].field;
+    if (field && part[field] !== meta[checksumAlgorithm]) {
+      throw storageError(
+        400,
+        "CHECKSUM_MISMATCH",
+        `Part ${part.PartNumber} ${field} does not match the uploaded part`
+      );
+    }
+    stored.push(meta);
+  }
+
+  // Assemble the object, hashing it as S3 would
+  const filePath = objectPath(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${uploadId}.tmp`;
+  const digests = createDigests();
+  const output = fs.createWriteStream(tmpPath);
+  try {
+    for (const part of stored) {
+      await pipeline(
+        fs.createReadStream(path.join(dir, `part-${part.PartNumber}`)),
+        new Transform({
+          transform(chunk, encoding, callback) {
+            digests.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        output,
+        { end: false }
+      );
+    }
+    await new Promise((resolve, reject) =>
+      output.end((error) => (error ? reject(error) : resolve()))
+    );
+  } catch (error) {
+    output.destroy();
+    await fs.promises.rm(tmpPath, { force: true });
+    throw error;
+  }
+  const whole = digests.digest();
+
+  let objectChecksum = null;
+  if (checksumAlgorithm === "CRC32C") {
+    if (checksum && checksum !== whole.CRC32C) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw storageError(
+        400,
+        "CHECKSUM_MISMATCH",
+        "The full-object CRC32C checksum does not match"
+      );
+    }
+    objectChecksum = {
+      algorithm: "CRC32C",
+      type: "FULL_OBJECT",
+      value: whole.CRC32C,
+    };
+  } else if (checksumAlgorithm === "SHA256") {
+    const composite = crypto
+      .createHash("sha256")
+      .update(
+        Buffer.concat(stored.map((part) => Buffer.from(part.SHA256, "base64")))
+      )
+      .digest("base64");
+    objectChecksum = {
+      algorithm: "SHA256",
+      type: "COMPOSITE",
+      value: `${composite}-${stored.length}`,
+    };
+  }
+
+  const eTag = `"${crypto
+    .createHash("md5")
+    .update(
+      Buffer.concat(
+        stored.map((part) => Buffer.from(part.ETag.replace(/"/g, ""), "hex"))
+      )
+    )
+    .digest("hex")}-${stored.length}"`;
+
+  await fs.promises.rename(tmpPath, filePath);
+  await writeJson(metaPath(key), {
+    key,
+    contentType: manifest.contentType,
+    size: whole.size,
+    eTag,
+    lastModified: new Date().toISOString(),
+    checksum: objectChecksum,
+    metadata: manifest.metadata || {},
+    tags: manifest.tags || {},
+  });
+  await fs.promises.rm(dir, { recursive: true, force: true });
+
+  return { Location: `local://${key}`, ETag: eTag };
+};
+
+const listMultipartUploads = async (prefix = "") => {
+  const entries = await fs.promises
+    .readdir(path.join(getRoot(), "multipart"))
+    .catch((error) => (error.code === "ENOENT" ? [] : Promise.reject(error)));
+
+  const uploads = [];
+  for (const uploadId of entries.filter((name) =>
+    /^[a-f0-9]{32}$/.test(name)
+  )) {
+    const manifest = await readJson(
+      path.join(multipartDir(uploadId), "manifest.json")
+    );
+    if (manifest && manifest.key.startsWith(prefix)) {
+      uploads.push({
+        key: manifest.key,
+        uploadId,
+        initiated: new Date(manifest.initiated),
+      });
+    }
+  }
+  return uploads.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+const abortMultipartUpload = async (key, uploadId) => {
+  const dir = multipartDir(uploadId);
+  const manifest = await readJson(path.join(dir, "manifest.json"));
+  if (!manifest || manifest.key !== key) {
+    throw storageError(
+      404,
+      "MULTIPART_UPLOAD_NOT_FOUND",
+      "The specified multipart upload does not exist"
+    );
+  }
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  console.log(`Multipart upload aborted: ${key}`);
+};
+
+module.exports = {
+  name: "local",
+  isConfigured: () => true,
+  generatePresignedUploadUrl,
+  generatePresignedPost,
+  generatePresignedDownloadUrl,
+  deleteFile,
+  deleteObjects,
+  getObjectMetadata,
+  readObjectRange,
+  getObjectStream,
+  putObjectTags,
+  copyObject,
+  listObjects,
+  initiateMultipartUpload,
+  generateMultipartUploadUrls,
+  listUploadedParts,
+  listMultipartUploads,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  handleObjectRequest,
+  handlePartRequest,
+  handlePostRequest,
+};
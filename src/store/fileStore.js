@@ -0,0 +1,261 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const LOCK_RETRY_MS = 25;
+const LOCK_REFRESH_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const COMPACT_MIN_ENTRIES = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readLockOwner = (lockPath) =>
+  fs.promises.readFile(lockPath, "utf8").catch(() => null);
+
+/**
+ * Whether a lock owner is a live process on this host. Owners on other
+ * hosts can't be checked; their locks are judged by age alone.
+ * @param {string|null} owner - Lock file contents, "host:pid:token"
+ * @returns {boolean}
+ */
+const isLocalOwnerAlive = (owner) => {
+  const [host, pid] = (owner || "").split(":");
+  // This process never waits on its own lock (operations are queued), so
+  // its PID there is a previous process's, e.g. after a container restart
+  if (host !== os.hostname() || !Number(pid) || Number(pid) === process.pid) {
+    return false;
+  }
+  try {
+    process.kill(Number(pid), 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+};
+
+/**
+ * Acquire an exclusive lock file, breaking locks left behind by dead
+ * processes. The lock's mtime is refreshed while it is held, so only a
+ * holder that has stopped running goes stale.
+ * @param {string} lockPath - Path of the lock file
+ * @returns {Promise<Function>} - Release function
+ */
+const acquireLock = async (lockPath) => {
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(lockPath, "wx");
+      await handle.writeFile(owner);
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      const stats = await fs.promises.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+        const staleOwner = await readLockOwner(lockPath);
+        // Re-read right before unlinking, so a lock someone else has just
+        // taken over isn't removed
+        if (
+          !isLocalOwnerAlive(staleOwner) &&
+          (await readLockOwner(lockPath)) === staleOwner
+        ) {
+          await fs.promises.unlink(lockPath).catch(() => {});
+          continue;
+        }
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  const refresh = setInterval(() => {
+    const now = new Date();
+    fs.promises.utimes(lockPath, now, now).catch(() => {});
+  }, LOCK_REFRESH_MS);
+  refresh.unref();
+
+  return async () => {
+    clearInterval(refresh);
+    if ((await readLockOwner(lockPath)) === owner) {
+      await fs.promises.unlink(lockPath).catch(() => {});
+    }
+  };
+};
+
+/**
+ * Create a durable record store backed by an append-only JSON-lines file.
+ *
+ * Every mutation appends a `put` or `remove` entry; the current state is the
+ * replay of the log. Mutations take a lock file so several processes can
+ * share one log, and each operation first reads entries appended by others.
+ * The log is compacted once stale entries outnumber live records.
+ * @param {Object} options
+ * @param {string} options.filePath - Path of the log file
+ * @param {string} options.keyField - Record property used as the primary key
+ * @returns {Object} - Store implementing get/put/update/remove/list
+ */
+const createFileStore = ({ filePath, keyField }) => {
+  const lockPath = `${filePath}.lock`;
+  const records = new Map();
+  let offset = 0;
+  let inode = null;
+  let entryCount = 0;
+  let pending = "";
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const apply = (entry) => {
+    if (entry.op === "put") {
+      records.set(entry.record[keyField], entry.record);
+    } else if (entry.op === "remove") {
+      records.delete(entry.key);
+    }
+    entryCount++;
+  };
+
+  const reset = () => {
+    records.clear();
+    offset = 0;
+    entryCount = 0;
+    pending = "";
+  };
+
+  // Read whatever has been appended to the log since the last sync
+  const sync = async () => {
+    const handle = await fs.promises.open(filePath, "r").catch((error) => {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    });
+
+    if (!handle) {
+      reset();
+      inode = null;
+      return;
+    }
+
+    try {
+      const stats = await handle.stat();
+
+      // A compaction elsewhere replaced the file: replay it from scratch
+      if (stats.ino !== inode || stats.size < offset) {
+        reset();
+        inode = stats.ino;
+      }
+
+      if (stats.size === offset) {
+        return;
+      }
+
+      const length = stats.size - offset;
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, offset);
+      offset = stats.size;
+
+      const lines = (pending + buffer.toString("utf8")).split("\n");
+      pending = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          apply(JSON.parse(line));
+        } catch (error) {
+          console.error(`Skipping corrupt entry in ${filePath}:`, error);
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  };
+
+  const append = (entry) =>
+    fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+
+  const compact = async () => {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const body = Array.from(records.values())
+      .map((record) => `${JSON.stringify({ op: "put", record })}\n`)
+      .join("");
+    await fs.promises.writeFile(tmpPath, body);
+    await fs.promises.rename(tmpPath, filePath);
+    reset();
+    inode = null;
+  };
+
+  // Serialize this process's operations; the lock file covers other processes
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const withLock = (task) =>
+    enqueue(async () => {
+      const release = await acquireLock(lockPath);
+      try {
+        await sync();
+        const result = await task();
+        await sync();
+        if (entryCount > COMPACT_MIN_ENTRIES && entryCount > records.size * 2) {
+          await compact();
+          await sync();
+        }
+        return result;
+      } finally {
+        await release();
+      }
+    });
+
+  const clone = (record) => (record ? structuredClone(record) : null);
+
+  return {
+    get: (key) =>
+      enqueue(async () => {
+        await sync();
+        return clone(records.get(key));
+      }),
+
+    put: (record) =>
+      withLock(async () => {
+        await append({ op: "put", record });
+        return clone(record);
+      }),
+
+    update: (key, mutator, { initial } = {}) =>
+      withLock(async () => {
+        const current = records.get(key) || initial;
+        if (!current) {
+          return null;
+        }
+        const draft = clone(current);
+        const next = (await mutator(draft)) || draft;
+        await append({ op: "put", record: next });
+        return clone(next);
+      }),
+
+    remove: (key) =>
+      withLock(async () => {
+        if (!records.has(key)) {
+          return false;
+        }
+        await append({ op: "remove", key });
+        return true;
+      }),
+
+    list: (predicate = () => true) =>
+      enqueue(async () => {
+        await sync();
+        return Array.from(records.values()).filter(predicate).map(clone);
+      }),
+
+    close: () => queue,
+  };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,78 @@
+const path = require("path");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const {
+  createMemoryRateLimitStore,
+  createSharedRateLimitStore,
+} = require("./rateLimitStore");
+
+/**
+ * Create a record store using the driver selected by STORE_DRIVER.
+ *
+ * Every store exposes the same async interface:
+ * - get(key) -> record | null
+ * - put(record) -> record
+ * - update(key, mutator, { initial }?) -> updated record | null when missing;
+ *   the mutator receives a copy and may edit it in place or return a
+ *   replacement, or throw to leave the record unchanged. With `initial`, a
+ *   missing record is created from it (upsert).
+ * - remove(key) -> boolean
+ * - list(predicate?) -> records[]
+ * @param {string} name - Collection name, used as the file name on disk
+ * @param {Object} options
+ * @param {string} options.keyField - Record property used as the primary key
+ * @returns {Object} - Record store
+ */
+const createStore = (name, { keyField }) => {
+  const driver = process.env.STORE_DRIVER || "file";
+
+  if (driver === "memory") {
+    return createMemoryStore({ keyField });
+  }
+
+  if (driver === "file") {
+    const dataDir = process.env.STORE_DATA_DIR || "data";
+    return createFileStore({
+      filePath: path.resolve(dataDir, `${name}.jsonl`),
+      keyField,
+    });
+  }
+
+  throw new Error(`Unknown STORE_DRIVER: ${driver}`);
+};
+
+/**
+ * Create the token bucket store selected by RATE_LIMIT_STORE: memory (per
+ * instance) or shared (kept in a record store, see STORE_DRIVER)
+ * @returns {Object} - Rate limit store with take(key, limit)
+ */
+const createRateLimitStore = () => {
+  const driver = process.env.RATE_LIMIT_STORE || "memory";
+
+  if (driver === "memory") {
+    return createMemoryRateLimitStore();
+  }
+
+  if (driver === "shared") {
+    return createSharedRateLimitStore(
+      createStore("rate-limits", { keyField: "key" })
+    );
+  }
+
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+};
+
+// Upload records, keyed by our own uploadId
+const uploadStore = createStore("uploads", { keyField: "uploadId" });
+
+// Collections grouping a user's uploads
+const collectionStore = createStore("collections", {
+  keyField: "collectionId",
+});
+
+module.exports = {
+  createStore,
+  createRateLimitStore,
+  uploadStore,
+  collectionStore,
+};
@@ -0,0 +1,51 @@
+/**
+ * Create an in-memory record store.
+ * Records are lost on restart; intended for development and tests.
+ * @param {Object} options
+ * @param {string} options.keyField - Record property used as the primary key
+ * @returns {Object} - Store implementing get/put/update/remove/list
+ */
+const createMemoryStore = ({ keyField }) => {
+  const records = new Map();
+
+  // Serialize mutations so read-modify-write updates never interleave
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const clone = (record) => (record ? structuredClone(record) : null);
+
+  return {
+    get: async (key) => clone(records.get(key)),
+
+    put: (record) =>
+      enqueue(() => {
+        records.set(record[keyField], clone(record));
+        return clone(record);
+      }),
+
+    update: (key, mutator, { initial } = {}) =>
+      enqueue(async () => {
+        const current = records.get(key) || initial;
+        if (!current) {
+          return null;
+        }
+        const draft = clone(current);
+        const next = (await mutator(draft)) || draft;
+        records.set(key, clone(next));
+        return clone(next);
+      }),
+
+    remove: (key) => enqueue(() => records.delete(key)),
+
+    list: async (predicate = () => true) =>
+      Array.from(records.values()).filter(predicate).map(clone),
+
+    close: async () => {},
+  };
+};
+
+module.exports = { createMemoryStore };
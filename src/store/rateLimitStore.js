@@ -0,0 +1,101 @@
+const MAX_IDLE_BUCKETS = 10000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Take one token from a bucket that refills continuously
+ * @param {Object|null} bucket - { tokens, updatedAt }, or null for a new bucket
+ * @param {Object} limit - { capacity, windowMs }; capacity tokens refill per window
+ * @param {number} now - Current time in ms
+ * @returns {Object} - { bucket, allowed, remaining, resetMs, retryAfterMs }
+ */
+const takeToken = (bucket, { capacity, windowMs }, now) => {
+  const refillPerMs = capacity / windowMs;
+  const available = bucket
+    ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+    : capacity;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((capacity - tokens) / refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+  };
+};
+
+/**
+ * Token buckets held in this process. Each instance limits on its own.
+ * @returns {Object} - Rate limit store with take(key, limit)
+ */
+const createMemoryRateLimitStore = () => {
+  const buckets = new Map();
+
+  return {
+    take: async (key, limit) => {
+      const now = Date.now();
+      const result = takeToken(buckets.get(key), limit, now);
+      buckets.set(key, result.bucket);
+
+      // A bucket that has refilled is the same as no bucket at all
+      if (buckets.size > MAX_IDLE_BUCKETS) {
+        for (const [bucketKey, bucket] of buckets) {
+          if (now - bucket.updatedAt >= limit.windowMs) {
+            buckets.delete(bucketKey);
+          }
+        }
+      }
+
+      return result;
+    },
+  };
+};
+
+/**
+ * Token buckets kept in a record store, so instances sharing the store
+ * (e.g. the file store on a shared volume) share their limits. Buckets that
+ * have refilled are pruned every PRUNE_INTERVAL_MS, so clients that went
+ * away don't stay in the store.
+ * @param {Object} recordStore - Store from createStore, keyed by "key"
+ * @returns {Object} - Rate limit store with take(key, limit)
+ */
+const createSharedRateLimitStore = (recordStore) => {
+  let lastPrunedAt = 0;
+
+  const pruneIdleBuckets = async (now) => {
+    const idle = await recordStore.list((bucket) => !(bucket.fullAt > now));
+    for (const bucket of idle) {
+      await recordStore.remove(bucket.key);
+    }
+  };
+
+  return {
+    take: async (key, limit) => {
+      const now = Date.now();
+      let result;
+      await recordStore.update(
+        key,
+        (bucket) => {
+          result = takeToken(bucket, limit, now);
+          return { key, ...result.bucket, fullAt: now + result.resetMs };
+        },
+        { initial: { key, tokens: limit.capacity, updatedAt: now } }
+      );
+
+      if (now - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+        lastPrunedAt = now;
+        pruneIdleBuckets(now).catch((error) =>
+          console.error("Error pruning rate limit buckets:", error)
+        );
+      }
+
+      return result;
+    },
+  };
+};
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createSharedRateLimitStore,
+};
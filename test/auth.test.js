@@ -0,0 +1,231 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const {
+  JWT_SECRET,
+  startApp,
+  stopApp,
+  request,
+  uploadFile,
+  withEnv,
+} = require("./helpers");
+const { jwtStrategy, apiKeyStrategy } = require("../src/middleware");
+
+const bearer = (claims, options = {}) => ({
+  Authorization: `Bearer ${jwt.sign(claims, JWT_SECRET, {
+    expiresIn: 60,
+    ...options,
+  })}`,
+});
+
+// Just enough of an Express request for a strategy
+const fakeRequest = (headers = {}, query = {}) => ({
+  get: (name) => headers[name],
+  query,
+});
+
+describe("authentication", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("requires credentials", async () => {
+    const { status, body } = await request("GET", "/api/upload", { as: null });
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "UNAUTHORIZED");
+  });
+
+  it("rejects unknown API keys", async () => {
+    const { status } = await request("GET", "/api/upload", {
+      as: null,
+      headers: { "X-API-Key": "nope" },
+    });
+    assert.equal(status, 401);
+  });
+
+  it("takes the user from an HS256 token", async () => {
+    const { status, body } = await request("GET", "/api/upload/quota", {
+      as: null,
+      headers: bearer({ sub: "carol" }),
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.userId, "carol");
+  });
+
+  it("rejects expired, forged and unsigned tokens", async () => {
+    const expired = bearer({ sub: "carol" }, { expiresIn: -10 });
+    const forged = {
+      Authorization: `Bearer ${jwt.sign({ sub: "carol" }, "x".repeat(40))}`,
+    };
+    const unsigned = {
+      Authorization: `Bearer ${jwt.sign({ sub: "carol" }, null, {
+        algorithm: "none",
+      })}`,
+    };
+
+    for (const headers of [expired, forged, unsigned]) {
+      const { status } = await request("GET", "/api/upload", {
+        as: null,
+        headers,
+      });
+      assert.equal(status, 401);
+    }
+  });
+
+  it("keeps uploads to their owner, except for admins", async () => {
+    const { body: confirmed } = await uploadFile({ as: "alice" });
+    const url = `/api/upload/${confirmed.data.uploadId}`;
+
+    assert.equal((await request("GET", url, { as: "bob" })).status, 404);
+    assert.equal((await request("GET", url, { as: "admin" })).status, 200);
+    assert.equal(
+      (
+        await request("GET", url, {
+          as: null,
+          headers: bearer({ sub: "dave", roles: ["admin"] }),
+        })
+      ).status,
+      200
+    );
+
+    // Scopes aren't roles
+    assert.equal(
+      (
+        await request("GET", url, {
+          as: null,
+          headers: bearer({ sub: "dave", scope: "admin" }),
+        })
+      ).status,
+      404
+    );
+  });
+
+  it("ignores a userId in the body", async () => {
+    const { body } = await request("POST", "/api/upload/presigned-url", {
+      as: "bob",
+      body: {
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        fileSize: 4096,
+        userId: "alice",
+      },
+    });
+    const { body: upload } = await request(
+      "GET",
+      `/api/upload/${body.data.uploadId}`,
+      { as: "bob" }
+    );
+    assert.equal(upload.data.userId, "bob");
+  });
+});
+
+describe("jwtStrategy", () => {
+  it("reads roles from a nested claim, keeping only strings", () => {
+    const strategy = withEnv({ AUTH_JWT_ROLES_CLAIM: "realm.roles" }, () =>
+      jwtStrategy()
+    );
+    const token = jwt.sign(
+      { sub: "erin", realm: { roles: ["admin", 7, { role: "x" }] } },
+      JWT_SECRET
+    );
+
+    const user = strategy(fakeRequest({ Authorization: `Bearer ${token}` }));
+    assert.deepEqual(user, { id: "erin", roles: ["admin"], authMethod: "jwt" });
+  });
+
+  it("only reads ?access_token= when allowed", () => {
+    const token = jwt.sign({ sub: "erin" }, JWT_SECRET);
+
+    assert.equal(jwtStrategy()(fakeRequest({}, { access_token: token })), null);
+    assert.equal(
+      jwtStrategy({ allowQueryToken: true })(
+        fakeRequest({}, { access_token: token })
+      ).id,
+      "erin"
+    );
+  });
+
+  it("verifies RS256 tokens against the JWKS file by kid", () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const jwksFile = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "uploader-jwks-")),
+      "jwks.json"
+    );
+    fs.writeFileSync(
+      jwksFile,
+      JSON.stringify({
+        keys: [{ ...publicKey.export({ format: "jwk" }), kid: "k1" }],
+      })
+    );
+
+    try {
+      const strategy = withEnv(
+        { AUTH_JWT_SECRET: undefined, AUTH_JWKS_FILE: jwksFile },
+        () => jwtStrategy()
+      );
+      const sign = (kid) =>
+        jwt.sign({ sub: "frank" }, privateKey, {
+          algorithm: "RS256",
+          keyid: kid,
+        });
+
+      assert.equal(
+        strategy(fakeRequest({ Authorization: `Bearer ${sign("k1")}` })).id,
+        "frank"
+      );
+      assert.throws(
+        () => strategy(fakeRequest({ Authorization: `Bearer ${sign("k2")}` })),
+        { code: "UNAUTHORIZED" }
+      );
+
+      // Only algorithms with a key are accepted
+      const hs256 = jwt.sign({ sub: "frank" }, JWT_SECRET);
+      assert.throws(
+        () => strategy(fakeRequest({ Authorization: `Bearer ${hs256}` })),
+        { code: "UNAUTHORIZED" }
+      );
+    } finally {
+      fs.rmSync(path.dirname(jwksFile), { recursive: true, force: true });
+    }
+  });
+
+  it("refuses to start with a missing or short secret", () => {
+    assert.throws(
+      () => withEnv({ AUTH_JWT_SECRET: "your_jwt_secret_here" }, jwtStrategy),
+      /at least 32 characters/
+    );
+    assert.throws(
+      () =>
+        withEnv(
+          { AUTH_JWT_SECRET: undefined, AUTH_JWT_ALGORITHMS: "HS256" },
+          jwtStrategy
+        ),
+      /AUTH_JWT_SECRET is not set/
+    );
+    assert.equal(
+      withEnv({ AUTH_JWT_SECRET: undefined }, () => jwtStrategy()),
+      null
+    );
+  });
+});
+
+describe("apiKeyStrategy", () => {
+  it("maps keys to users and roles", () => {
+    const strategy = withEnv(
+      { AUTH_API_KEYS: "k1:gina, k2:hal:admin|auditor" },
+      apiKeyStrategy
+    );
+
+    assert.deepEqual(strategy(fakeRequest({ "X-API-Key": "k2" })), {
+      id: "hal",
+      roles: ["admin", "auditor"],
+      authMethod: "api-key",
+    });
+    assert.equal(strategy(fakeRequest()), null);
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+  uploadFile,
+} = require("./helpers");
+const { uploadStore } = require("../src/store");
+const { storage } = require("../src/storage");
+
+const bulkDelete = (body, as = "alice") =>
+  request("POST", "/api/upload/bulk-delete", { as, body });
+
+const completed = async (as = "alice") => {
+  const { body } = await uploadFile({ as });
+  return uploadStore.get(body.data.uploadId);
+};
+
+// Uploaded but never confirmed
+const unconfirmed = async () => {
+  const body = mp4Bytes();
+  const { body: presigned } = await request(
+    "POST",
+    "/api/upload/presigned-url",
+    {
+      body: {
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        fileSize: body.length,
+      },
+    }
+  );
+  await putObject(presigned.data, body);
+  return uploadStore.get(presigned.data.uploadId);
+};
+
+const multipart = async () => {
+  const { body } = await request("POST", "/api/upload/multipart/initiate", {
+    body: {
+      fileName: "big.mp4",
+      contentType: "video/mp4",
+      fileSize: 200 * 1024 * 1024,
+    },
+  });
+  return uploadStore.get(body.data.uploadId);
+};
+
+const openSessions = async () =>
+  (await storage.listMultipartUploads("uploads/")).map(
+    (session) => session.uploadId
+  );
+
+describe("bulk delete", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("deletes uploads in any state with their objects", async () => {
+    const uploads = [await completed(), await unconfirmed(), await multipart()];
+    assert.ok((await openSessions()).includes(uploads[2].s3UploadId));
+
+    const { status, body } = await bulkDelete({
+      uploadIds: uploads.map((upload) => upload.uploadId),
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.deleted, 3);
+    assert.equal(body.data.failed, 0);
+
+    for (const upload of uploads) {
+      assert.equal(await uploadStore.get(upload.uploadId), null);
+      assert.equal(await storage.getObjectMetadata(upload.s3Key), null);
+    }
+    assert.ok(!(await openSessions()).includes(uploads[2].s3UploadId));
+  });
+
+  it("reports IDs it didn't find, including other users' uploads", async () => {
+    const own = await completed();
+    const bobs = await completed("bob");
+    const unknown = "00000000-0000-4000-8000-000000000000";
+
+    const { body } = await bulkDelete({
+      uploadIds: [own.uploadId, bobs.uploadId, unknown],
+    });
+    assert.equal(body.data.deleted, 1);
+    assert.deepEqual(
+      body.data.results
+        .filter((result) => !result.deleted)
+        .map((result) => [result.uploadId, result.error.code]),
+      [
+        [bobs.uploadId, "UPLOAD_NOT_FOUND"],
+        [unknown, "UPLOAD_NOT_FOUND"],
+      ]
+    );
+    assert.ok(await uploadStore.get(bobs.uploadId));
+  });
+
+  it("deletes by filter, only within the caller's uploads", async () => {
+    const pending = await unconfirmed();
+    const kept = await completed();
+    const bobsPending = (
+      await request("POST", "/api/upload/presigned-url", {
+        as: "bob",
+        body: { fileName: "clip.mp4", contentType: "video/mp4" },
+      })
+    ).body.data;
+
+    const { body } = await bulkDelete({ status: "pending", userId: "bob" });
+    assert.equal(body.data.deleted, 1);
+    assert.equal(body.data.remaining, 0);
+    assert.equal(await uploadStore.get(pending.uploadId), null);
+    assert.ok(await uploadStore.get(kept.uploadId));
+    assert.ok(await uploadStore.get(bobsPending.uploadId));
+
+    // Admins pick whose uploads to delete
+    const { body: admin } = await bulkDelete(
+      { status: "pending", userId: "bob" },
+      "admin"
+    );
+    assert.equal(admin.data.deleted, 1);
+    assert.equal(await uploadStore.get(bobsPending.uploadId), null);
+  });
+
+  it("keeps the records of uploads whose objects couldn't be deleted", async () => {
+    const [failing, fine] = [await completed(), await completed()];
+    const deleteObjects = storage.deleteObjects;
+    storage.deleteObjects = async (keys) => {
+      const result = await deleteObjects(
+        keys.filter((key) => key !== failing.s3Key)
+      );
+      result.errors.push({
+        key: failing.s3Key,
+        code: "AccessDenied",
+        message: "Access Denied",
+      });
+      return result;
+    };
+
+    try {
+      const { body } = await bulkDelete({
+        uploadIds: [failing.uploadId, fine.uploadId],
+      });
+      assert.equal(body.data.deleted, 1);
+      const result = body.data.results.find(
+        ({ uploadId }) => uploadId === failing.uploadId
+      );
+      assert.deepEqual(result, {
+        uploadId: failing.uploadId,
+        deleted: false,
+        error: { code: "AccessDenied", message: "Access Denied" },
+      });
+    } finally {
+      storage.deleteObjects = deleteObjects;
+    }
+    assert.ok(await uploadStore.get(failing.uploadId));
+    assert.equal(await uploadStore.get(fine.uploadId), null);
+
+    // A retry finishes the job
+    const { body } = await bulkDelete({ uploadIds: [failing.uploadId] });
+    assert.equal(body.data.deleted, 1);
+  });
+
+  it("refuses to delete everything", async () => {
+    const { status } = await bulkDelete({});
+    assert.equal(status, 400);
+  });
+});
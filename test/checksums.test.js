@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+} = require("./helpers");
+const {
+  normalizeChecksumAlgorithm,
+  resolvePartChecksums,
+  checksumsMatch,
+} = require("../src/services/checksums");
+
+const sha256 = (body) =>
+  crypto.createHash("sha256").update(body).digest("base64");
+
+// Bitwise CRC32C, independent of the local driver's table-driven one
+const crc32c = (body) => {
+  let crc = 0xffffffff;
+  for (const byte of body) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+    }
+  }
+  const digest = Buffer.alloc(4);
+  digest.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+  return digest.toString("base64");
+};
+
+describe("checksum helpers", () => {
+  it("normalizes algorithm names", () => {
+    assert.equal(normalizeChecksumAlgorithm("sha-256"), "SHA256");
+    assert.equal(normalizeChecksumAlgorithm("crc32c"), "CRC32C");
+    assert.equal(normalizeChecksumAlgorithm(""), null);
+    assert.throws(() => normalizeChecksumAlgorithm("md5"), {
+      code: "INVALID_CHECKSUM_ALGORITHM",
+    });
+  });
+
+  it("ignores the part count suffix of composite checksums", () => {
+    assert.ok(checksumsMatch("abc=", "abc=-3"));
+    assert.ok(!checksumsMatch("abc=", "abd=-3"));
+  });
+
+  it("requires a valid checksum for every part being signed", () => {
+    const checksum = sha256("part");
+
+    assert.deepEqual(resolvePartChecksums(null, [1, 2]), {});
+    assert.deepEqual(
+      resolvePartChecksums("SHA256", [2], { 1: "x", 2: checksum }),
+      { 2: checksum }
+    );
+    assert.throws(
+      () => resolvePartChecksums("SHA256", [1, 2], { 1: checksum }),
+      {
+        code: "PART_CHECKSUM_MISSING",
+      }
+    );
+    assert.throws(() => resolvePartChecksums("SHA256", [1], { 1: "abc" }), {
+      code: "INVALID_CHECKSUM",
+    });
+  });
+});
+
+describe("checksummed uploads", () => {
+  before(startApp);
+  after(stopApp);
+
+  const presign = async (body, checksumAlgorithm, checksum) => {
+    const response = await request("POST", "/api/upload/presigned-url", {
+      body: {
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        fileSize: body.length,
+        checksumAlgorithm,
+        checksum,
+      },
+    });
+    assert.equal(response.status, 200);
+    return response.body.data;
+  };
+
+  for (const [algorithm, digest] of [
+    ["SHA256", sha256],
+    ["CRC32C", crc32c],
+  ]) {
+    it(`verifies ${algorithm} uploads against the declared checksum`, async () => {
+      const body = mp4Bytes();
+      const presigned = await presign(body, algorithm, digest(body));
+      assert.equal(
+        presigned.headers[`x-amz-checksum-${algorithm.toLowerCase()}`],
+        digest(body)
+      );
+
+      assert.equal(await putObject(presigned, body), 200);
+      const { status, body: confirmed } = await request(
+        "POST",
+        "/api/upload/confirm",
+        { body: { uploadId: presigned.uploadId } }
+      );
+      assert.equal(status, 200);
+
+      const { body: upload } = await request(
+        "GET",
+        `/api/upload/${confirmed.data.uploadId}`
+      );
+      assert.equal(upload.data.verifiedChecksum.algorithm, algorithm);
+      assert.equal(upload.data.verifiedChecksum.value, digest(body));
+    });
+  }
+
+  it("has storage reject a body that doesn't match the bound checksum", async () => {
+    const body = mp4Bytes();
+    const presigned = await presign(body, "SHA256", sha256(body));
+
+    assert.equal(await putObject(presigned, mp4Bytes()), 400);
+  });
+
+  it("has storage reject a PUT without the checksum header", async () => {
+    const body = mp4Bytes();
+    const presigned = await presign(body, "SHA256", sha256(body));
+
+    assert.equal(
+      await putObject(presigned, body, { "Content-Type": "video/mp4" }),
+      403
+    );
+  });
+
+  it("requires a checksum with checksumAlgorithm", async () => {
+    const { status, body } = await request(
+      "POST",
+      "/api/upload/presigned-url",
+      {
+        body: {
+          fileName: "clip.mp4",
+          contentType: "video/mp4",
+          fileSize: 4096,
+          checksumAlgorithm: "SHA256",
+        },
+      }
+    );
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "VALIDATION_ERROR");
+  });
+
+  it("only takes a whole-file checksum for CRC32C multipart uploads", async () => {
+    const initiate = (checksumAlgorithm) =>
+      request("POST", "/api/upload/multipart/initiate", {
+        body: {
+          fileName: "big.mp4",
+          contentType: "video/mp4",
+          fileSize: 200 * 1024 * 1024,
+          checksumAlgorithm,
+          checksum: checksumAlgorithm === "SHA256" ? sha256("x") : crc32c("x"),
+        },
+      });
+
+    const sha = await initiate("SHA256");
+    assert.equal(sha.status, 400);
+    assert.match(
+      sha.body.error.details[0].message,
+      /only supported with CRC32C/
+    );
+
+    const crc = await initiate("CRC32C");
+    assert.equal(crc.status, 200);
+  });
+});
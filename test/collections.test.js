@@ -0,0 +1,210 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+  uploadFile,
+} = require("./helpers");
+const { storage } = require("../src/storage");
+
+const createCollection = async (name, as = "alice") => {
+  const { status, body } = await request("POST", "/api/collections", {
+    as,
+    body: { name },
+  });
+  assert.equal(status, 201);
+  return body.data;
+};
+
+const getUpload = async (uploadId) =>
+  (await request("GET", `/api/upload/${uploadId}`)).body.data;
+
+describe("collections", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("keeps names unique per owner, ignoring case", async () => {
+    const collection = await createCollection("Holidays");
+    assert.equal(
+      collection.keyPrefix,
+      `uploads/alice/collections/${collection.collectionId}/`
+    );
+
+    const taken = await request("POST", "/api/collections", {
+      body: { name: "  holidays " },
+    });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error.code, "COLLECTION_NAME_TAKEN");
+
+    await createCollection("Holidays", "bob");
+  });
+
+  it("hides other users' collections, except from admins", async () => {
+    const { collectionId } = await createCollection("Private");
+    const url = `/api/collections/${collectionId}`;
+
+    const hidden = await request("GET", url, { as: "bob" });
+    assert.equal(hidden.status, 404);
+    assert.equal(hidden.body.error.code, "COLLECTION_NOT_FOUND");
+    assert.equal((await request("GET", url, { as: "admin" })).status, 200);
+  });
+
+  it("stores uploads created in a collection under its prefix", async () => {
+    const collection = await createCollection("Direct");
+    const body = mp4Bytes(2048);
+    const { body: presigned } = await request(
+      "POST",
+      "/api/upload/presigned-url",
+      {
+        body: {
+          fileName: "clip.mp4",
+          contentType: "video/mp4",
+          fileSize: body.length,
+          collectionId: collection.collectionId,
+        },
+      }
+    );
+    assert.ok(presigned.data.s3Key.startsWith(collection.keyPrefix));
+    await putObject(presigned.data, body);
+    await request("POST", "/api/upload/confirm", {
+      body: { uploadId: presigned.data.uploadId },
+    });
+
+    const { body: summary } = await request(
+      "GET",
+      `/api/collections/${collection.collectionId}`
+    );
+    assert.equal(summary.data.uploadCount, 1);
+    assert.equal(summary.data.totalBytes, 2048);
+
+    const { body: page } = await request(
+      "GET",
+      `/api/collections/${collection.collectionId}/uploads`
+    );
+    assert.deepEqual(
+      page.data.uploads.map((upload) => upload.uploadId),
+      [presigned.data.uploadId]
+    );
+  });
+
+  it("won't create uploads in someone else's collection", async () => {
+    const { collectionId } = await createCollection("Bob's", "bob");
+
+    const { status } = await request("POST", "/api/upload/presigned-url", {
+      body: {
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        fileSize: 4096,
+        collectionId,
+      },
+    });
+    assert.equal(status, 404);
+  });
+
+  it("adds and removes uploads, relocating their objects on request", async () => {
+    const collection = await createCollection("Moves");
+    const { body: confirmed } = await uploadFile();
+    const { uploadId } = confirmed.data;
+    const originalKey = (await getUpload(uploadId)).s3Key;
+    const url = `/api/collections/${collection.collectionId}/uploads/${uploadId}`;
+
+    const added = await request("PUT", url, { body: { relocate: true } });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.data.collectionId, collection.collectionId);
+    assert.ok(added.body.data.s3Key.startsWith(collection.keyPrefix));
+    assert.ok(await storage.getObjectMetadata(added.body.data.s3Key));
+    assert.equal(await storage.getObjectMetadata(originalKey), null);
+
+    const removed = await request("DELETE", `${url}?relocate=true`);
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.data.collectionId, null);
+    assert.ok(removed.body.data.s3Key.startsWith("uploads/alice/"));
+    assert.ok(!removed.body.data.s3Key.includes("/collections/"));
+
+    const again = await request("DELETE", url);
+    assert.equal(again.status, 404);
+    assert.equal(again.body.error.code, "UPLOAD_NOT_IN_COLLECTION");
+  });
+
+  it("only relocates completed uploads", async () => {
+    const collection = await createCollection("Pending");
+    const { body: presigned } = await request(
+      "POST",
+      "/api/upload/presigned-url",
+      { body: { fileName: "clip.mp4", contentType: "video/mp4" } }
+    );
+
+    const { status, body } = await request(
+      "PUT",
+      `/api/collections/${collection.collectionId}/uploads/${presigned.data.uploadId}`,
+      { body: { relocate: true } }
+    );
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "UPLOAD_NOT_COMPLETED");
+  });
+
+  it("renames collections without moving objects", async () => {
+    const collection = await createCollection("Old name");
+    await createCollection("Taken");
+
+    const renamed = await request(
+      "PATCH",
+      `/api/collections/${collection.collectionId}`,
+      { body: { name: "New name" } }
+    );
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.data.name, "New name");
+    assert.equal(renamed.body.data.keyPrefix, collection.keyPrefix);
+
+    const clash = await request(
+      "PATCH",
+      `/api/collections/${collection.collectionId}`,
+      { body: { name: "taken" } }
+    );
+    assert.equal(clash.status, 409);
+  });
+
+  it("keeps or deletes the uploads of a deleted collection", async () => {
+    const fill = async (name) => {
+      const collection = await createCollection(name);
+      const { body: confirmed } = await uploadFile();
+      await request(
+        "PUT",
+        `/api/collections/${collection.collectionId}/uploads/${confirmed.data.uploadId}`,
+        { body: {} }
+      );
+      return [collection, confirmed.data.uploadId];
+    };
+
+    const [kept, keptUploadId] = await fill("Kept");
+    const { body: keptResult } = await request(
+      "DELETE",
+      `/api/collections/${kept.collectionId}`
+    );
+    assert.equal(keptResult.data.removedUploads, 1);
+    const keptUpload = await getUpload(keptUploadId);
+    assert.equal(keptUpload.status, "completed");
+    assert.equal(keptUpload.collectionId, null);
+
+    const [dropped, droppedUploadId] = await fill("Dropped");
+    const { body: droppedResult } = await request(
+      "DELETE",
+      `/api/collections/${dropped.collectionId}?deleteUploads=true`
+    );
+    assert.equal(droppedResult.data.deletedUploads, 1);
+    const droppedUpload = await request(
+      "GET",
+      `/api/upload/${droppedUploadId}`
+    );
+    assert.equal(droppedUpload.status, 404);
+
+    const gone = await request(
+      "GET",
+      `/api/collections/${dropped.collectionId}`
+    );
+    assert.equal(gone.status, 404);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, stopApp, request, withEnv } = require("./helpers");
+const { configureCors } = require("../src/middleware");
+
+/**
+ * Make a request from a browser origin
+ * @param {string} origin - Origin header
+ * @param {string} [url="/"] - Path under the app
+ * @returns {Promise<Object>} - { status, allowed, credentials } with the
+ *   Access-Control-Allow-Origin and -Credentials headers
+ */
+const fromOrigin = async (origin, url = "/") => {
+  const { status, headers } = await request("GET", url, {
+    as: null,
+    headers: { Origin: origin },
+  });
+  return {
+    status,
+    allowed: headers.get("access-control-allow-origin"),
+    credentials: headers.get("access-control-allow-credentials"),
+  };
+};
+
+describe("CORS", () => {
+  before(async () => {
+    Object.assign(process.env, {
+      ALLOWED_ORIGINS: [
+        "https://app.example.com/",
+        "https://*.preview.example.com",
+        // The comma in the quantifier belongs to the pattern
+        "/https:\\/\\/[a-z]{2,4}\\.example\\.org/i",
+      ].join(", "),
+      CORS_ROUTE_ORIGINS:
+        "/api/storage=*; /api/admin=https://admin.example.com,/https:\\/\\/ops;?\\.example\\.com/",
+    });
+    await startApp();
+  });
+  after(async () => {
+    delete process.env.ALLOWED_ORIGINS;
+    delete process.env.CORS_ROUTE_ORIGINS;
+    await stopApp();
+  });
+
+  it("allows listed origins regardless of case and trailing slash", async () => {
+    assert.deepEqual(await fromOrigin("https://APP.example.com"), {
+      status: 200,
+      allowed: "https://APP.example.com",
+      credentials: "true",
+    });
+  });
+
+  it("denies origins that only start like a listed one", async () => {
+    const { status } = await fromOrigin("https://app.example.com.evil.io");
+    assert.equal(status, 403);
+  });
+
+  it("lets * stand for exactly one subdomain label", async () => {
+    assert.equal(
+      (await fromOrigin("https://pr-12.preview.example.com")).status,
+      200
+    );
+    assert.equal(
+      (await fromOrigin("https://a.b.preview.example.com")).status,
+      403
+    );
+    assert.equal((await fromOrigin("https://preview.example.com")).status, 403);
+  });
+
+  it("matches /regex/ entries against the whole origin", async () => {
+    assert.equal((await fromOrigin("HTTPS://ABC.EXAMPLE.ORG")).status, 200);
+    assert.equal((await fromOrigin("https://abcdef.example.org")).status, 403);
+    assert.equal(
+      (await fromOrigin("https://abc.example.org.evil.io")).status,
+      403
+    );
+  });
+
+  it("applies the allowlist of the longest matching route prefix", async () => {
+    // Any origin, but without credentials
+    const storage = await fromOrigin("https://anywhere.io", "/api/storage/x");
+    assert.equal(storage.allowed, "https://anywhere.io");
+    assert.equal(storage.credentials, null);
+
+    const admin = "/api/admin/reaper/run";
+    assert.equal(
+      (await fromOrigin("https://app.example.com", admin)).status,
+      403
+    );
+    assert.equal(
+      (await fromOrigin("https://admin.example.com", admin)).allowed,
+      "https://admin.example.com"
+    );
+    assert.equal(
+      (await fromOrigin("https://ops;.example.com", admin)).allowed,
+      "https://ops;.example.com"
+    );
+  });
+
+  it("lets requests without an Origin through", async () => {
+    const { status } = await request("GET", "/", { as: null });
+    assert.equal(status, 200);
+  });
+});
+
+describe("configureCors", () => {
+  it("refuses patterns with stateful or unknown flags", () => {
+    for (const flags of ["g", "y", "iy", "s"]) {
+      assert.throws(
+        () => configureCors({ origins: [`/https:\\/\\/x\\.io/${flags}`] }),
+        /only "i" and "u" are allowed/
+      );
+    }
+    assert.doesNotThrow(() =>
+      configureCors({ origins: ["/https:\\/\\/x\\.io/iu"] })
+    );
+  });
+
+  it("refuses an unterminated pattern", () => {
+    assert.throws(
+      () =>
+        withEnv({ ALLOWED_ORIGINS: "https://y.io, /https:\\/\\/x\\.io" }, () =>
+          configureCors()
+        ),
+      /Unterminated \/regex\//
+    );
+  });
+});
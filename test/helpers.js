@@ -0,0 +1,240 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+
+// Configure the app before anything under src/ is loaded, as drivers and
+// stores are picked when their modules are first required. Every test file
+// runs in its own process, so each gets a fresh store and storage directory.
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploader-test-"));
+
+const JWT_SECRET = "test-jwt-secret-of-at-least-32-chars";
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  STORE_DRIVER: "memory",
+  STORAGE_DRIVER: "local",
+  LOCAL_STORAGE_DIR: storageDir,
+  LOCAL_STORAGE_SECRET: "test-storage-secret",
+  S3_UPLOAD_PATH: "uploads/",
+  ALLOWED_FILE_TYPES: "video/mp4,video/webm",
+  AUTH_API_KEYS: "alice-key:alice,bob-key:bob,admin-key:root:admin",
+  AUTH_JWT_SECRET: JWT_SECRET,
+  RATE_LIMIT_PRESIGN: "off",
+  RATE_LIMIT_DOWNLOAD: "off",
+  RATE_LIMIT_LIST: "off",
+  RATE_LIMIT_STREAM: "off",
+});
+
+const API_KEYS = {
+  alice: "alice-key",
+  bob: "bob-key",
+  admin: "admin-key",
+};
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Start the app on a free port. Signed local storage URLs point back at it.
+ * @returns {Promise<string>} - Base URL of the app
+ */
+const startApp = async () => {
+  const app = require("../src/server");
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.PUBLIC_BASE_URL = baseUrl;
+  return baseUrl;
+};
+
+/**
+ * Stop the app and remove the storage directory
+ * @returns {Promise<void>}
+ */
+const stopApp = async () => {
+  if (server) {
+    server.closeAllConnections();
+    server.close();
+    server = null;
+  }
+  await fs.promises.rm(storageDir, { recursive: true, force: true });
+};
+
+/**
+ * Call the API as one of the API_KEYS users
+ * @param {string} method - HTTP method
+ * @param {string} url - Path under the app, e.g. /api/upload/quota
+ * @param {Object} [options]
+ * @param {string} [options.as="alice"] - User to authenticate as, or null
+ * @param {Object} [options.body] - JSON body
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<Object>} - { status, headers, body }; body is parsed JSON
+ *   when the response is JSON, otherwise a Buffer
+ */
+const request = async (
+  method,
+  url,
+  { as = "alice", body, headers = {} } = {}
+) => {
+  const response = await fetch(new URL(url, baseUrl), {
+    method,
+    headers: {
+      ...(as && { "X-API-Key": API_KEYS[as] }),
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const raw = Buffer.from(await response.arrayBuffer());
+  const isJson = (response.headers.get("content-type") || "").includes(
+    "application/json"
+  );
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson && raw.length > 0 ? JSON.parse(raw) : raw,
+  };
+};
+
+/**
+ * Bytes that sniff as an MP4 file, padded with random data
+ * @param {number} [size=4096] - Total size in bytes
+ * @returns {Buffer}
+ */
+const mp4Bytes = (size = 4096) => {
+  const ftyp = Buffer.concat([
+    Buffer.from([0, 0, 0, 0x18]),
+    Buffer.from("ftypmp42", "latin1"),
+    Buffer.from([0, 0, 0, 0]),
+    Buffer.from("mp42isom", "latin1"),
+  ]);
+  return Buffer.concat([ftyp, crypto.randomBytes(size - ftyp.length)]);
+};
+
+/**
+ * PUT a body to a presigned upload URL
+ * @param {Object} presigned - data of a /presigned-url response
+ * @param {Buffer} body - File contents
+ * @param {Object} [headers] - Headers to send instead of presigned.headers
+ * @returns {Promise<number>} - Response status
+ */
+const putObject = async (presigned, body, headers = presigned.headers) => {
+  const response = await fetch(presigned.presignedUrl, {
+    method: "PUT",
+    headers,
+    body,
+  });
+  await response.arrayBuffer();
+  return response.status;
+};
+
+/**
+ * Presign, upload and confirm a file
+ * @param {Object} [options]
+ * @param {string} [options.as="alice"] - Uploading user
+ * @param {Buffer} [options.body] - File contents (an MP4 by default)
+ * @param {string} [options.fileName="clip.mp4"] - File name
+ * @returns {Promise<Object>} - The /confirm response
+ */
+const uploadFile = async ({
+  as = "alice",
+  body = mp4Bytes(),
+  fileName = "clip.mp4",
+} = {}) => {
+  const presigned = await request("POST", "/api/upload/presigned-url", {
+    as,
+    body: { fileName, contentType: "video/mp4", fileSize: body.length },
+  });
+  await putObject(presigned.body.data, body);
+  return request("POST", "/api/upload/confirm", {
+    as,
+    body: { uploadId: presigned.body.data.uploadId },
+  });
+};
+
+/**
+ * Initiate a multipart upload, PUT every part and complete it. Parts are at
+ * least 5 MiB, so bodies need to be larger than that.
+ * @param {Object} options
+ * @param {string} [options.as="alice"] - Uploading user
+ * @param {Buffer} options.body - File contents
+ * @param {string} [options.fileName="big.mp4"] - File name
+ * @returns {Promise<Object>} - The /multipart/complete response, with the
+ *   upload ID and completed parts as uploadId and parts
+ */
+const uploadMultipart = async ({
+  as = "alice",
+  body,
+  fileName = "big.mp4",
+}) => {
+  const { body: initiated } = await request(
+    "POST",
+    "/api/upload/multipart/initiate",
+    {
+      as,
+      body: { fileName, contentType: "video/mp4", fileSize: body.length },
+    }
+  );
+  const { uploadId, partSize, partUrls } = initiated.data;
+
+  const parts = [];
+  for (const { partNumber, presignedUrl } of partUrls) {
+    const start = (partNumber - 1) * partSize;
+    const response = await fetch(presignedUrl, {
+      method: "PUT",
+      body: body.subarray(start, start + partSize),
+    });
+    await response.arrayBuffer();
+    parts.push({ PartNumber: partNumber, ETag: response.headers.get("etag") });
+  }
+
+  const completed = await request("POST", "/api/upload/multipart/complete", {
+    as,
+    body: { uploadId, parts },
+  });
+  return { ...completed, uploadId, parts };
+};
+
+/**
+ * Run fn with environment variables set, restoring them afterwards
+ * @param {Object} vars - Variable name -> value; undefined unsets it
+ * @param {Function} fn - Called synchronously
+ * @returns {*} - What fn returns
+ */
+const withEnv = (vars, fn) => {
+  const saved = Object.fromEntries(
+    Object.keys(vars).map((name) => [name, process.env[name]])
+  );
+  const apply = (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  };
+
+  apply(vars);
+  try {
+    return fn();
+  } finally {
+    apply(saved);
+  }
+};
+
+module.exports = {
+  API_KEYS,
+  JWT_SECRET,
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+  uploadFile,
+  uploadMultipart,
+  withEnv,
+};
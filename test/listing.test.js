@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, stopApp, request, uploadFile } = require("./helpers");
+
+const presign = async (fileName, fileSize, contentType = "video/mp4") =>
+  (
+    await request("POST", "/api/upload/presigned-url", {
+      as: "bob",
+      body: { fileName, contentType, fileSize },
+    })
+  ).body.data.uploadId;
+
+const list = async (query) => {
+  const { status, body } = await request(
+    "GET",
+    `/api/upload?${new URLSearchParams(query)}`,
+    { as: "bob" }
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.data;
+};
+
+/**
+ * Follow nextCursor through every page
+ * @param {Object} query - Query parameters of the first page
+ * @returns {Promise<string[]>} - Upload IDs in the order they were listed
+ */
+const listAll = async (query) => {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await list({ ...query, ...(cursor && { cursor }) });
+    ids.push(...page.uploads.map((upload) => upload.uploadId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+};
+
+const cursorFor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+describe("upload listing", () => {
+  // uploadId -> { fileName, fileSize }
+  const created = {};
+
+  before(async () => {
+    await startApp();
+    const files = [
+      ["beach.mp4", 3000],
+      ["Alps.mp4", 1000],
+      ["city.webm", 2000, "video/webm"],
+      ["dunes.mp4", 2000],
+      ["estuary.mp4", 2000],
+    ];
+    for (const [fileName, fileSize, contentType] of files) {
+      created[await presign(fileName, fileSize, contentType)] = {
+        fileName,
+        fileSize,
+      };
+    }
+  });
+  after(stopApp);
+
+  it("pages through every upload once, newest first", async () => {
+    const ids = await listAll({ limit: 2 });
+    assert.deepEqual(ids, Object.keys(created).reverse());
+  });
+
+  it("keeps later pages stable when uploads are added meanwhile", async () => {
+    const first = await list({ limit: 2 });
+    await presign("fresh.mp4", 500);
+
+    const second = await list({ limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(
+      second.uploads.map((upload) => upload.uploadId),
+      Object.keys(created).reverse().slice(2, 4)
+    );
+  });
+
+  it("breaks ties by uploadId", async () => {
+    const ids = await listAll({
+      sort: "fileSize",
+      order: "asc",
+      fileName: ".",
+      limit: 1,
+    });
+    const sizes = ids.map((id) => created[id]?.fileSize ?? 500);
+    assert.deepEqual(
+      sizes,
+      [...sizes].sort((a, b) => a - b)
+    );
+
+    const tied = ids.filter((id) => created[id]?.fileSize === 2000);
+    assert.equal(tied.length, 3);
+    assert.deepEqual(tied, [...tied].sort());
+  });
+
+  it("sorts names case-insensitively in either order", async () => {
+    const names = async (order) =>
+      (await listAll({ sort: "fileName", order, limit: 2 }))
+        .map((id) => created[id]?.fileName)
+        .filter(Boolean);
+
+    const ascending = await names("asc");
+    assert.deepEqual(ascending, [
+      "Alps.mp4",
+      "beach.mp4",
+      "city.webm",
+      "dunes.mp4",
+      "estuary.mp4",
+    ]);
+    assert.deepEqual(await names("desc"), [...ascending].reverse());
+  });
+
+  it("lists uploads without the sort field last in either order", async () => {
+    const { body: first } = await uploadFile({ as: "bob" });
+    const { body: second } = await uploadFile({ as: "bob" });
+    const completed = [first.data.uploadId, second.data.uploadId];
+
+    for (const order of ["asc", "desc"]) {
+      const ids = await listAll({ sort: "completedAt", order, limit: 3 });
+      assert.deepEqual(
+        ids.slice(0, 2),
+        order === "asc" ? completed : [...completed].reverse()
+      );
+      assert.equal(ids.length, 8);
+    }
+  });
+
+  it("filters and totals the whole result", async () => {
+    const page = await list({
+      contentType: "video/*",
+      fileName: "E",
+      limit: 1,
+    });
+    // beach, city.webm, dunes, estuary and fresh contain an "e"
+    assert.equal(page.total, 5);
+    assert.equal(page.totalBytes, 9500);
+    assert.equal(page.uploads.length, 1);
+
+    const webm = await list({ contentType: "video/webm" });
+    assert.deepEqual(
+      webm.uploads.map((upload) => upload.fileName),
+      ["city.webm"]
+    );
+  });
+
+  it("rejects cursors that don't fit the request", async () => {
+    const { nextCursor } = await list({ limit: 1 });
+    const invalid = [
+      // Issued for another order
+      [{ order: "asc", cursor: nextCursor }, /different sort/],
+      ["not base64 json", /not valid/],
+      [
+        {
+          sort: "fileSize",
+          cursor: cursorFor({
+            sort: "fileSize",
+            order: "desc",
+            value: "2000",
+            uploadId: "x",
+          }),
+        },
+        /not valid/,
+      ],
+      [
+        {
+          cursor: cursorFor({
+            sort: "createdAt",
+            order: "desc",
+            value: { $gt: "" },
+            uploadId: "x",
+          }),
+        },
+        /not valid/,
+      ],
+    ];
+
+    for (const [query, message] of invalid) {
+      const { status, body } = await request(
+        "GET",
+        `/api/upload?${new URLSearchParams(
+          typeof query === "string" ? { cursor: query } : query
+        )}`,
+        { as: "bob" }
+      );
+      assert.equal(status, 400);
+      assert.equal(body.error.code, "INVALID_CURSOR");
+      assert.match(body.error.message, message);
+    }
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startApp, stopApp } = require("./helpers");
+const { storage } = require("../src/storage");
+
+const putPart = async (url, body) => {
+  const response = await fetch(url, { method: "PUT", body });
+  await response.arrayBuffer();
+  return { status: response.status, eTag: response.headers.get("etag") };
+};
+
+describe("local storage driver", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("removes the partly assembled object when a part can't be read", async () => {
+    const key = "uploads/alice/broken.mp4";
+    const uploadId = await storage.initiateMultipartUpload(key, "video/mp4");
+    const urls = await storage.generateMultipartUploadUrls(key, uploadId, 2);
+
+    const parts = [];
+    for (const [index, body] of [
+      Buffer.alloc(5 * 1024 * 1024),
+      Buffer.alloc(10),
+    ].entries()) {
+      const { status, eTag } = await putPart(urls[index].presignedUrl, body);
+      assert.equal(status, 200);
+      parts.push({ PartNumber: index + 1, ETag: eTag });
+    }
+
+    const root = process.env.LOCAL_STORAGE_DIR;
+    await fs.promises.rm(path.join(root, "multipart", uploadId, "part-2"));
+
+    await assert.rejects(
+      storage.completeMultipartUpload(key, uploadId, parts),
+      { code: "ENOENT" }
+    );
+
+    const objectDir = path.join(root, "objects", path.dirname(key));
+    const leftovers = await fs.promises.readdir(objectDir).catch(() => []);
+    assert.deepEqual(leftovers, []);
+    assert.equal(await storage.getObjectMetadata(key), null);
+  });
+});
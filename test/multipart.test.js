@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, stopApp, request } = require("./helpers");
+const { uploadStore } = require("../src/store");
+
+const PART_URL_EXPIRES = 600;
+
+const secondsUntil = (dateTime) =>
+  Math.round((new Date(dateTime).getTime() - Date.now()) / 1000);
+
+describe("multipart session expiry", () => {
+  before(async () => {
+    process.env.S3_PRESIGNED_URL_EXPIRES = "604800";
+    process.env.S3_PART_URL_EXPIRES = String(PART_URL_EXPIRES);
+    await startApp();
+  });
+  after(stopApp);
+
+  const initiate = async () => {
+    const { status, body } = await request(
+      "POST",
+      "/api/upload/multipart/initiate",
+      {
+        body: {
+          fileName: "big.mp4",
+          contentType: "video/mp4",
+          fileSize: 200 * 1024 * 1024,
+        },
+      }
+    );
+    assert.equal(status, 200);
+    return body.data;
+  };
+
+  it("expires a new session with its part URLs", async () => {
+    const initiated = await initiate();
+
+    assert.equal(initiated.expiresIn, PART_URL_EXPIRES);
+    assert.ok(
+      Math.abs(secondsUntil(initiated.expiresAt) - PART_URL_EXPIRES) < 5
+    );
+    assert.ok(
+      Math.abs(
+        secondsUntil(initiated.partUrlsExpireAt) -
+          secondsUntil(initiated.expiresAt)
+      ) < 5
+    );
+  });
+
+  it("extends a resumed session to cover its part URLs", async () => {
+    const { uploadId } = await initiate();
+    await uploadStore.update(uploadId, (upload) => {
+      upload.expiresAt = new Date(Date.now() - 1000).toISOString();
+    });
+
+    const { status, body } = await request(
+      "POST",
+      `/api/upload/multipart/${uploadId}/resume`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.data.expiresIn, PART_URL_EXPIRES);
+    assert.equal(body.data.expiresAt, body.data.partUrlsExpireAt);
+    assert.equal(
+      (await uploadStore.get(uploadId)).expiresAt,
+      body.data.expiresAt
+    );
+  });
+
+  it("never shortens a session when resuming", async () => {
+    const { uploadId } = await initiate();
+    const later = new Date(Date.now() + 3600 * 1000).toISOString();
+    await uploadStore.update(uploadId, (upload) => {
+      upload.expiresAt = later;
+    });
+
+    const { body } = await request(
+      "POST",
+      `/api/upload/multipart/${uploadId}/resume`
+    );
+    assert.equal(body.data.expiresAt, later);
+  });
+});
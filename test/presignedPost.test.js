@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { startApp, stopApp, request, mp4Bytes } = require("./helpers");
+
+const presignPost = (body) =>
+  request("POST", "/api/upload/presigned-post", {
+    body: { fileName: "clip.mp4", contentType: "video/mp4", ...body },
+  });
+
+/**
+ * POST a file to a presigned POST the way a browser form would
+ * @param {Object} presigned - data of a /presigned-post response
+ * @param {Buffer} body - File contents
+ * @param {Object} [fieldChanges] - Fields to override
+ * @returns {Promise<Object>} - { status, body }; body is the parsed error, if any
+ */
+const postFile = async (presigned, body, fieldChanges = {}) => {
+  const form = new FormData();
+  for (const [name, value] of Object.entries({
+    ...presigned.fields,
+    ...fieldChanges,
+  })) {
+    form.append(name, value);
+  }
+  // The file goes last, after the fields the policy is checked against
+  form.append("file", new Blob([body]), "clip.mp4");
+
+  const response = await fetch(presigned.url, { method: "POST", body: form });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+describe("presigned POST", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("uploads a form whose fields match the policy", async () => {
+    const body = mp4Bytes();
+    const { body: presigned } = await presignPost({ fileSize: body.length });
+    assert.equal(presigned.data.maxFileSize, body.length);
+    assert.equal(presigned.data.fields.key, presigned.data.s3Key);
+
+    assert.equal((await postFile(presigned.data, body)).status, 204);
+
+    const { status, body: confirmed } = await request(
+      "POST",
+      "/api/upload/confirm",
+      { body: { uploadId: presigned.data.uploadId } }
+    );
+    assert.equal(status, 200);
+    assert.equal(confirmed.data.status, "completed");
+  });
+
+  it("only accepts exactly the declared size", async () => {
+    const { body: presigned } = await presignPost({ fileSize: 4096 });
+
+    const small = await postFile(presigned.data, mp4Bytes(4095));
+    assert.equal(small.status, 400);
+    assert.equal(small.body.error.code, "ENTITY_TOO_SMALL");
+
+    const large = await postFile(presigned.data, mp4Bytes(4097));
+    assert.equal(large.status, 413);
+    assert.equal(large.body.error.code, "ENTITY_TOO_LARGE");
+  });
+
+  it("caps undeclared sizes at MAX_FILE_SIZE", async () => {
+    process.env.MAX_FILE_SIZE = "8192";
+    try {
+      const { body: presigned } = await presignPost();
+      assert.equal(presigned.data.maxFileSize, 8192);
+
+      assert.equal(
+        (await postFile(presigned.data, mp4Bytes(8192))).status,
+        204
+      );
+      assert.equal(
+        (await postFile(presigned.data, mp4Bytes(8193))).status,
+        413
+      );
+    } finally {
+      delete process.env.MAX_FILE_SIZE;
+    }
+  });
+
+  it("rejects fields the policy doesn't allow", async () => {
+    const { body: presigned } = await presignPost({ fileSize: 4096 });
+
+    for (const changes of [
+      { key: "uploads/bob/clip.mp4" },
+      { "Content-Type": "text/html" },
+      { "x-amz-meta-user-id": "bob" },
+    ]) {
+      const { status, body } = await postFile(
+        presigned.data,
+        mp4Bytes(),
+        changes
+      );
+      assert.equal(status, 403, JSON.stringify(changes));
+      assert.equal(body.error.code, "POLICY_CONDITION_FAILED");
+    }
+  });
+
+  it("rejects a tampered or expired policy", async () => {
+    const { body: presigned } = await presignPost({ fileSize: 4096 });
+    const policy = JSON.parse(
+      Buffer.from(presigned.data.fields.Policy, "base64").toString()
+    );
+    policy.conditions.pop();
+    const tampered = await postFile(presigned.data, mp4Bytes(), {
+      Policy: Buffer.from(JSON.stringify(policy)).toString("base64"),
+    });
+    assert.equal(tampered.status, 403);
+    assert.equal(tampered.body.error.code, "SIGNATURE_MISMATCH");
+
+    process.env.S3_PRESIGNED_URL_EXPIRES = "1";
+    try {
+      const { body: shortLived } = await presignPost({ fileSize: 4096 });
+      await sleep(1100);
+      const expired = await postFile(shortLived.data, mp4Bytes());
+      assert.equal(expired.status, 403);
+      assert.equal(expired.body.error.code, "REQUEST_EXPIRED");
+    } finally {
+      delete process.env.S3_PRESIGNED_URL_EXPIRES;
+    }
+  });
+
+  it("refuses checksums and sizes that need a multipart upload", async () => {
+    const checksum = await presignPost({
+      fileSize: 4096,
+      checksumAlgorithm: "SHA256",
+    });
+    assert.equal(checksum.status, 400);
+
+    const huge = await presignPost({ fileSize: 6 * 1024 ** 3 });
+    assert.equal(huge.status, 400);
+    assert.match(huge.body.error.details[0].message, /multipart upload/);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, stopApp, request, uploadFile } = require("./helpers");
+const {
+  reserveUpload,
+  recordDailyUsage,
+  getQuotaSummary,
+} = require("../src/services/quotas");
+
+const presign = (as, fileSize) =>
+  request("POST", "/api/upload/presigned-url", {
+    as,
+    body: { fileName: "clip.mp4", contentType: "video/mp4", fileSize },
+  });
+
+const statuses = (responses) =>
+  responses.map((response) => response.status).sort();
+
+describe("quotas", () => {
+  before(startApp);
+  after(stopApp);
+  afterEach(() => {
+    delete process.env.QUOTA_OVERRIDES;
+  });
+
+  const setQuota = (userId, limits) => {
+    process.env.QUOTA_OVERRIDES = JSON.stringify({ [userId]: limits });
+  };
+
+  it("admits concurrent uploads one at a time", async () => {
+    setQuota("alice", { concurrentUploads: 2 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 6 }, () => presign("alice", 1000))
+    );
+
+    assert.deepEqual(statuses(responses), [200, 200, 403, 403, 403, 403]);
+    const rejected = responses.find((response) => response.status === 403);
+    assert.equal(rejected.body.error.code, "QUOTA_EXCEEDED");
+
+    const { body } = await request("GET", "/api/upload/quota");
+    assert.equal(body.data.usage.inProgressUploads, 2);
+  });
+
+  it("counts completed and reserved bytes towards the storage quota", async () => {
+    setQuota("bob", { storageBytes: 10000 });
+
+    const { status } = await uploadFile({ as: "bob" });
+    assert.equal(status, 200);
+
+    // 4096 stored; only one more 4096-byte upload fits
+    const responses = await Promise.all([
+      presign("bob", 4096),
+      presign("bob", 4096),
+      presign("bob", 4096),
+    ]);
+    assert.deepEqual(statuses(responses), [200, 403, 403]);
+
+    const { body } = await request("GET", "/api/upload/quota", { as: "bob" });
+    assert.equal(body.data.usage.storedBytes, 4096);
+    assert.equal(body.data.usage.reservedBytes, 4096);
+    assert.equal(body.data.remaining.storageBytes, 10000 - 8192);
+  });
+
+  it("counts every concurrent upload towards the daily volume", async () => {
+    await Promise.all(
+      Array.from({ length: 5 }, (_, index) =>
+        reserveUpload({
+          uploadId: `carol-${index}`,
+          userId: "carol",
+          fileSize: 1000,
+          status: "pending",
+        })
+      )
+    );
+    await Promise.all([
+      recordDailyUsage("dave", 300),
+      recordDailyUsage("dave", 400),
+    ]);
+
+    assert.equal((await getQuotaSummary("carol")).usage.dailyBytes, 5000);
+    assert.equal((await getQuotaSummary("dave")).usage.dailyBytes, 700);
+  });
+
+  it("rejects uploads over the daily volume without counting them", async () => {
+    setQuota("erin", { dailyBytes: 1500 });
+
+    await reserveUpload({
+      uploadId: "erin-1",
+      userId: "erin",
+      fileSize: 1000,
+      status: "pending",
+    });
+    await assert.rejects(
+      reserveUpload({
+        uploadId: "erin-2",
+        userId: "erin",
+        fileSize: 1000,
+        status: "pending",
+      }),
+      { code: "QUOTA_EXCEEDED" }
+    );
+
+    const summary = await getQuotaSummary("erin");
+    assert.equal(summary.usage.dailyBytes, 1000);
+    assert.equal(summary.usage.inProgressUploads, 1);
+  });
+});
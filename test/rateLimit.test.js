@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { startApp, stopApp, request } = require("./helpers");
+const { createStore } = require("../src/store");
+const {
+  createMemoryRateLimitStore,
+  createSharedRateLimitStore,
+} = require("../src/store/rateLimitStore");
+
+describe("rate limits", () => {
+  before(async () => {
+    // Picked up when the routes are loaded
+    process.env.RATE_LIMIT_LIST = "3/60";
+    await startApp();
+  });
+  after(stopApp);
+
+  it("limits a route group and says when to come back", async () => {
+    for (const remaining of ["2", "1", "0"]) {
+      const { status, headers } = await request("GET", "/api/upload");
+      assert.equal(status, 200);
+      assert.equal(headers.get("ratelimit-limit"), "3");
+      assert.equal(headers.get("ratelimit-remaining"), remaining);
+      assert.equal(headers.get("ratelimit-policy"), "3;w=60");
+    }
+
+    const { status, headers, body } = await request("GET", "/api/upload");
+    assert.equal(status, 429);
+    assert.equal(body.error.code, "RATE_LIMITED");
+    // One token refills every 20 seconds
+    assert.equal(headers.get("retry-after"), "20");
+  });
+
+  it("limits by client IP as well as by user", async () => {
+    const { status } = await request("GET", "/api/upload", { as: "bob" });
+    assert.equal(status, 429);
+  });
+
+  it("leaves other route groups alone", async () => {
+    const { status, headers } = await request("GET", "/api/upload/quota");
+    assert.equal(status, 200);
+    assert.equal(headers.get("ratelimit-limit"), null);
+  });
+});
+
+describe("token bucket stores", () => {
+  const limit = { capacity: 2, windowMs: 200 };
+
+  it("refill continuously", async () => {
+    const store = createMemoryRateLimitStore();
+
+    assert.equal((await store.take("k", limit)).allowed, true);
+    assert.equal((await store.take("k", limit)).allowed, true);
+    const empty = await store.take("k", limit);
+    assert.equal(empty.allowed, false);
+    assert.ok(empty.retryAfterMs > 0 && empty.retryAfterMs <= 100);
+
+    await sleep(empty.retryAfterMs + 10);
+    assert.equal((await store.take("k", limit)).allowed, true);
+    // Other keys have their own bucket
+    assert.equal((await store.take("other", limit)).allowed, true);
+  });
+
+  it("share their buckets through a record store", async () => {
+    const records = createStore("rate-limits", { keyField: "key" });
+    const first = createSharedRateLimitStore(records);
+    const second = createSharedRateLimitStore(records);
+
+    assert.equal((await first.take("k", limit)).allowed, true);
+    assert.equal((await second.take("k", limit)).allowed, true);
+    assert.equal((await first.take("k", limit)).allowed, false);
+    assert.equal((await second.take("k", limit)).allowed, false);
+  });
+});
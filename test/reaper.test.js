@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { startApp, stopApp, request } = require("./helpers");
+const { runReaper } = require("../src/services/reaper");
+const { uploadStore } = require("../src/store");
+const { storage } = require("../src/storage");
+
+const HOUR_AGO = () => new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+const presign = async () =>
+  (
+    await request("POST", "/api/upload/presigned-url", {
+      body: { fileName: "clip.mp4", contentType: "video/mp4", fileSize: 4096 },
+    })
+  ).body.data;
+
+const initiate = async () =>
+  (
+    await request("POST", "/api/upload/multipart/initiate", {
+      body: {
+        fileName: "big.mp4",
+        contentType: "video/mp4",
+        fileSize: 200 * 1024 * 1024,
+      },
+    })
+  ).body.data;
+
+const backdate = (uploadId) =>
+  uploadStore.update(uploadId, (upload) => {
+    upload.expiresAt = HOUR_AGO();
+  });
+
+const sessionIds = async () =>
+  (await storage.listMultipartUploads("uploads/")).map(
+    (session) => session.uploadId
+  );
+
+describe("reaper", () => {
+  before(async () => {
+    process.env.REAPER_GRACE_SECONDS = "1";
+    process.env.REAPER_ORPHAN_AGE_SECONDS = "1";
+    await startApp();
+  });
+  after(stopApp);
+
+  it("reports without changing anything on a dry run", async () => {
+    const { uploadId } = await presign();
+    await backdate(uploadId);
+
+    const report = await runReaper({ dryRun: true });
+    assert.ok(report.expired.some((entry) => entry.uploadId === uploadId));
+    assert.equal((await uploadStore.get(uploadId)).status, "pending");
+  });
+
+  it("expires stale pending uploads", async () => {
+    const { uploadId } = await presign();
+    await backdate(uploadId);
+
+    const report = await runReaper();
+    assert.ok(report.expired.some((entry) => entry.uploadId === uploadId));
+
+    const upload = await uploadStore.get(uploadId);
+    assert.equal(upload.status, "expired");
+    assert.ok(upload.expiredAt);
+  });
+
+  it("aborts and expires stale multipart uploads", async () => {
+    const { uploadId } = await initiate();
+    const { s3UploadId } = await backdate(uploadId);
+    assert.ok((await sessionIds()).includes(s3UploadId));
+
+    const report = await runReaper();
+    assert.ok(
+      report.abortedMultipart.some((entry) => entry.uploadId === uploadId)
+    );
+    assert.equal((await uploadStore.get(uploadId)).status, "expired");
+    assert.ok(!(await sessionIds()).includes(s3UploadId));
+  });
+
+  it("leaves multipart uploads alone once part URLs extend them", async () => {
+    const { uploadId } = await initiate();
+    const { s3UploadId } = await backdate(uploadId);
+
+    const { status, body } = await request(
+      "POST",
+      `/api/upload/multipart/${uploadId}/part-urls`,
+      { body: { startPartNumber: 1, count: 1 } }
+    );
+    assert.equal(status, 200);
+    assert.equal(
+      (await uploadStore.get(uploadId)).expiresAt,
+      body.data.expiresAt
+    );
+
+    const report = await runReaper();
+    assert.ok(
+      !report.abortedMultipart.some((entry) => entry.uploadId === uploadId)
+    );
+    assert.equal(
+      (await uploadStore.get(uploadId)).status,
+      "multipart-initiated"
+    );
+    assert.ok((await sessionIds()).includes(s3UploadId));
+  });
+
+  it("aborts multipart sessions no record knows about", async () => {
+    const s3UploadId = await storage.initiateMultipartUpload(
+      "uploads/alice/orphan.mp4",
+      "video/mp4"
+    );
+
+    // Too young to be an orphan yet
+    let report = await runReaper();
+    assert.ok(!report.orphans.some((entry) => entry.s3UploadId === s3UploadId));
+
+    await sleep(1100);
+    report = await runReaper();
+    assert.ok(report.orphans.some((entry) => entry.s3UploadId === s3UploadId));
+    assert.ok(!(await sessionIds()).includes(s3UploadId));
+  });
+
+  it("runs from the admin API", async () => {
+    const { uploadId } = await presign();
+    await backdate(uploadId);
+
+    const denied = await request("POST", "/api/admin/reaper/run");
+    assert.equal(denied.status, 403);
+
+    const { status, body } = await request("POST", "/api/admin/reaper/run", {
+      as: "admin",
+      body: { dryRun: true },
+    });
+    assert.equal(status, 200);
+    assert.ok(body.data.expired.some((entry) => entry.uploadId === uploadId));
+  });
+});
@@ -0,0 +1,274 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+} = require("./helpers");
+const { deliveryStore } = require("../src/services/webhooks");
+
+const EVENTS_TOKEN = "test-events-token";
+const TOPIC_ARN = "arn:aws:sns:us-east-1:123456789012:uploads";
+const CERT_URL =
+  "https://sns.us-east-1.amazonaws.com/SimpleNotificationService-test.pem";
+
+/**
+ * Presign and PUT a file without confirming it
+ * @param {Buffer} [body]
+ * @returns {Promise<Object>} - data of the /presigned-url response
+ */
+const presignAndPut = async (body = mp4Bytes()) => {
+  const { body: presigned } = await request(
+    "POST",
+    "/api/upload/presigned-url",
+    {
+      body: {
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        fileSize: body.length,
+      },
+    }
+  );
+  assert.equal(await putObject(presigned.data, body), 200);
+  return presigned.data;
+};
+
+// A raw S3 notification, which URL-encodes keys
+const s3Notification = (eventName, key, sequencer) => ({
+  Records: [
+    {
+      eventSource: "aws:s3",
+      eventName,
+      s3: {
+        bucket: { name: "uploads" },
+        object: { key: encodeURIComponent(key), size: 4096, sequencer },
+      },
+    },
+  ],
+});
+
+const postEvent = (payload, token = EVENTS_TOKEN) =>
+  request("POST", "/api/events/s3", {
+    as: null,
+    headers: token ? { "X-Events-Token": token } : {},
+    body: payload,
+  });
+
+const getUpload = async (uploadId) =>
+  (await request("GET", `/api/upload/${uploadId}`)).body.data;
+
+describe("S3 events", () => {
+  before(async () => {
+    process.env.S3_EVENTS_TOKEN = EVENTS_TOKEN;
+    process.env.S3_EVENTS_TOPIC_ARNS = TOPIC_ARN;
+    await startApp();
+  });
+  after(stopApp);
+
+  it("requires the events token for raw notifications", async () => {
+    const payload = s3Notification("ObjectCreated:Put", "uploads/x.mp4");
+
+    for (const token of [null, "wrong-token"]) {
+      const { status, body } = await postEvent(payload, token);
+      assert.equal(status, 401);
+      assert.equal(body.error.code, "INVALID_EVENTS_TOKEN");
+    }
+  });
+
+  it("completes a pending upload when its object is created", async () => {
+    const { uploadId, s3Key } = await presignAndPut();
+
+    const { status, body } = await postEvent(
+      s3Notification("ObjectCreated:Put", s3Key, "0A")
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.results, [
+      { uploadId, s3Key, action: "completed" },
+    ]);
+
+    const upload = await getUpload(uploadId);
+    assert.equal(upload.status, "completed");
+    assert.equal(upload.completedBy, "s3-event");
+  });
+
+  it("marks uploads deleted and ignores events older than the last", async () => {
+    const { uploadId, s3Key } = await presignAndPut();
+    await postEvent(s3Notification("ObjectCreated:Put", s3Key, "0B"));
+
+    const stale = await postEvent(
+      s3Notification("ObjectRemoved:Delete", s3Key, "0A")
+    );
+    assert.equal(stale.body.data.results[0].reason, "Stale event");
+    assert.equal((await getUpload(uploadId)).status, "completed");
+
+    const removed = await postEvent(
+      s3Notification("ObjectRemoved:Delete", s3Key, "0B01")
+    );
+    assert.equal(removed.body.data.results[0].action, "deleted");
+    assert.equal((await getUpload(uploadId)).status, "deleted");
+  });
+
+  it("skips records with malformed keys", async () => {
+    const { uploadId, s3Key } = await presignAndPut();
+    const payload = s3Notification("ObjectCreated:Put", s3Key);
+    payload.Records.unshift({
+      ...payload.Records[0],
+      s3: { bucket: { name: "uploads" }, object: { key: "clip%E0%A4%A.mp4" } },
+    });
+
+    const { status, body } = await postEvent(payload);
+    assert.equal(status, 200);
+    assert.equal(body.data.received, 1);
+    assert.equal((await getUpload(uploadId)).status, "completed");
+  });
+
+  it("accepts EventBridge events", async () => {
+    const { uploadId, s3Key } = await presignAndPut();
+
+    const { body } = await postEvent({
+      source: "aws.s3",
+      "detail-type": "Object Created",
+      detail: { bucket: { name: "uploads" }, object: { key: s3Key } },
+    });
+    assert.equal(body.data.results[0].action, "completed");
+    assert.equal((await getUpload(uploadId)).status, "completed");
+  });
+
+  it("completes an upload once when /confirm and an event race", async () => {
+    // Count upload.completed events through a subscription nobody listens on
+    await request("POST", "/api/webhooks", {
+      as: "admin",
+      body: { url: "http://127.0.0.1:9/hook", events: ["upload.completed"] },
+    });
+    const { uploadId, s3Key } = await presignAndPut();
+
+    const [confirmed, event] = await Promise.all([
+      request("POST", "/api/upload/confirm", { body: { uploadId } }),
+      postEvent(s3Notification("ObjectCreated:Put", s3Key)),
+    ]);
+
+    const completions = [
+      confirmed.status === 200,
+      event.body.data.results[0].action === "completed",
+    ].filter(Boolean);
+    assert.equal(completions.length, 1);
+    if (confirmed.status !== 200) {
+      assert.equal(confirmed.status, 409);
+    }
+
+    const emitted = await deliveryStore.list(
+      (delivery) => delivery.payload.data.upload.uploadId === uploadId
+    );
+    assert.equal(emitted.length, 1);
+  });
+
+  describe("over SNS", () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const realFetch = globalThis.fetch;
+    let certificateFetches = 0;
+
+    // Serve our key as the SNS signing certificate; node accepts a public
+    // key wherever it verifies against a certificate
+    before(() => {
+      globalThis.fetch = async (url, options) => {
+        if (String(url).startsWith("https://sns.")) {
+          certificateFetches += 1;
+          return new Response(
+            publicKey.export({ type: "spki", format: "pem" })
+          );
+        }
+        return realFetch(url, options);
+      };
+    });
+    after(() => {
+      globalThis.fetch = realFetch;
+    });
+    afterEach(() => {
+      certificateFetches = 0;
+    });
+
+    const snsNotification = (payload, overrides = {}) => {
+      const message = {
+        Type: "Notification",
+        MessageId: crypto.randomUUID(),
+        TopicArn: TOPIC_ARN,
+        Message: JSON.stringify(payload),
+        Timestamp: new Date().toISOString(),
+        SignatureVersion: "2",
+        SigningCertURL: CERT_URL,
+        ...overrides,
+      };
+      const stringToSign = [
+        "Message",
+        "MessageId",
+        "Timestamp",
+        "TopicArn",
+        "Type",
+      ]
+        .map((field) => `${field}\n${message[field]}\n`)
+        .join("");
+      message.Signature = crypto
+        .createSign("RSA-SHA256")
+        .update(stringToSign)
+        .sign(privateKey, "base64");
+      return message;
+    };
+
+    const postSns = (message) =>
+      request("POST", "/api/events/s3", {
+        as: null,
+        headers: { "Content-Type": "text/plain" },
+        body: message,
+      });
+
+    it("ingests signed notifications without the events token", async () => {
+      const { uploadId, s3Key } = await presignAndPut();
+
+      const { status, body } = await postSns(
+        snsNotification(s3Notification("ObjectCreated:Put", s3Key))
+      );
+      assert.equal(status, 200);
+      assert.equal(body.data.results[0].action, "completed");
+      assert.equal((await getUpload(uploadId)).status, "completed");
+    });
+
+    it("rejects tampered messages", async () => {
+      const message = snsNotification(
+        s3Notification("ObjectRemoved:Delete", "uploads/x.mp4")
+      );
+      message.Message = message.Message.replace("x.mp4", "y.mp4");
+
+      const { status, body } = await postSns(message);
+      assert.equal(status, 401);
+      assert.equal(body.error.code, "INVALID_SNS_SIGNATURE");
+    });
+
+    it("only fetches certificates from SNS", async () => {
+      const { status } = await postSns(
+        snsNotification(s3Notification("ObjectCreated:Put", "uploads/x.mp4"), {
+          SigningCertURL: "https://attacker.example.com/cert.pem",
+        })
+      );
+      assert.equal(status, 401);
+      assert.equal(certificateFetches, 0);
+    });
+
+    it("rejects other topics before fetching a certificate", async () => {
+      const { status, body } = await postSns(
+        snsNotification(s3Notification("ObjectCreated:Put", "uploads/x.mp4"), {
+          TopicArn: "arn:aws:sns:us-east-1:999999999999:other",
+          // Not cached yet
+          SigningCertURL: CERT_URL.replace("-test", "-other"),
+        })
+      );
+      assert.equal(status, 403);
+      assert.equal(body.error.code, "SNS_TOPIC_NOT_ALLOWED");
+      assert.equal(certificateFetches, 0);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const {
+  JWT_SECRET,
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  uploadFile,
+} = require("./helpers");
+
+const SIZE = 8192;
+
+describe("range streaming", () => {
+  let body;
+  let streamUrl;
+  let eTag;
+
+  before(async () => {
+    await startApp();
+    body = mp4Bytes(SIZE);
+    const { body: confirmed } = await uploadFile({ body });
+    streamUrl = `/api/upload/${confirmed.data.uploadId}/stream`;
+  });
+  after(stopApp);
+
+  it("sends the whole object with validators", async () => {
+    const response = await request("GET", streamUrl);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("accept-ranges"), "bytes");
+    assert.equal(response.headers.get("content-length"), String(SIZE));
+    assert.equal(response.headers.get("content-type"), "video/mp4");
+    assert.match(response.headers.get("content-disposition"), /^inline/);
+    assert.ok(response.body.equals(body));
+
+    eTag = response.headers.get("etag");
+    assert.ok(eTag);
+  });
+
+  it("sends a single byte range", async () => {
+    const response = await request("GET", streamUrl, {
+      headers: { Range: "bytes=100-1099" },
+    });
+
+    assert.equal(response.status, 206);
+    assert.equal(
+      response.headers.get("content-range"),
+      `bytes 100-1099/${SIZE}`
+    );
+    assert.equal(response.headers.get("content-length"), "1000");
+    assert.ok(response.body.equals(body.subarray(100, 1100)));
+  });
+
+  it("sends suffix and open-ended ranges", async () => {
+    const suffix = await request("GET", streamUrl, {
+      headers: { Range: "bytes=-500" },
+    });
+    assert.equal(suffix.status, 206);
+    assert.equal(
+      suffix.headers.get("content-range"),
+      `bytes ${SIZE - 500}-${SIZE - 1}/${SIZE}`
+    );
+    assert.ok(suffix.body.equals(body.subarray(SIZE - 500)));
+
+    const open = await request("GET", streamUrl, {
+      headers: { Range: `bytes=${SIZE - 10}-` },
+    });
+    assert.equal(open.status, 206);
+    assert.ok(open.body.equals(body.subarray(SIZE - 10)));
+  });
+
+  it("answers an unsatisfiable range with 416", async () => {
+    const response = await request("GET", streamUrl, {
+      headers: { Range: `bytes=${SIZE}-` },
+    });
+
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get("content-range"), `bytes */${SIZE}`);
+    assert.equal(response.body.error.code, "INVALID_RANGE");
+  });
+
+  it("sends the whole object for several ranges", async () => {
+    const response = await request("GET", streamUrl, {
+      headers: { Range: "bytes=0-9,100-109" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.length, SIZE);
+  });
+
+  it("honours conditional requests", async () => {
+    const notModified = await request("GET", streamUrl, {
+      headers: { "If-None-Match": eTag },
+    });
+    assert.equal(notModified.status, 304);
+    assert.equal(notModified.headers.get("etag"), eTag);
+
+    const failed = await request("GET", streamUrl, {
+      headers: { "If-Match": '"stale"' },
+    });
+    assert.equal(failed.status, 412);
+
+    const matched = await request("GET", streamUrl, {
+      headers: { "If-Match": eTag, Range: "bytes=0-9" },
+    });
+    assert.equal(matched.status, 206);
+  });
+
+  it("only sends a range when If-Range is current", async () => {
+    const current = await request("GET", streamUrl, {
+      headers: { Range: "bytes=0-9", "If-Range": eTag },
+    });
+    assert.equal(current.status, 206);
+
+    const stale = await request("GET", streamUrl, {
+      headers: { Range: "bytes=0-9", "If-Range": '"stale"' },
+    });
+    assert.equal(stale.status, 200);
+    assert.equal(stale.body.length, SIZE);
+  });
+
+  it("answers HEAD with headers only", async () => {
+    const response = await request("HEAD", streamUrl, {
+      headers: { Range: "bytes=0-9" },
+    });
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get("content-length"), "10");
+    assert.equal(response.body.length, 0);
+  });
+
+  it("takes a JWT as access_token", async () => {
+    const token = jwt.sign({ sub: "alice" }, JWT_SECRET, {
+      expiresIn: 60,
+    });
+
+    const response = await request(
+      "GET",
+      `${streamUrl}?access_token=${token}`,
+      { as: null, headers: { Range: "bytes=0-9" } }
+    );
+    assert.equal(response.status, 206);
+
+    const other = jwt.sign({ sub: "bob" }, JWT_SECRET, {
+      expiresIn: 60,
+    });
+    const hidden = await request("GET", `${streamUrl}?access_token=${other}`, {
+      as: null,
+    });
+    assert.equal(hidden.status, 404);
+  });
+
+  it("refuses to stream uploads that aren't completed", async () => {
+    const { body: presigned } = await request(
+      "POST",
+      "/api/upload/presigned-url",
+      {
+        body: {
+          fileName: "clip.mp4",
+          contentType: "video/mp4",
+          fileSize: 4096,
+        },
+      }
+    );
+
+    const { status, body: error } = await request(
+      "GET",
+      `/api/upload/${presigned.data.uploadId}/stream`
+    );
+    assert.equal(status, 409);
+    assert.equal(error.error.code, "UPLOAD_NOT_COMPLETED");
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+} = require("./helpers");
+const { storage } = require("../src/storage");
+
+/**
+ * Upload and confirm a file with metadata and tags
+ * @param {Buffer} body - File contents
+ * @returns {Promise<Object>} - The completed upload record
+ */
+const uploadWithAttributes = async (body) => {
+  const { body: presigned } = await request(
+    "POST",
+    "/api/upload/presigned-url",
+    {
+      body: {
+        fileName: "holiday.mp4",
+        contentType: "video/mp4",
+        fileSize: body.length,
+        metadata: { title: "Summer" },
+        tags: { genre: "travel" },
+      },
+    }
+  );
+  await putObject(presigned.data, body);
+  const { body: confirmed } = await request("POST", "/api/upload/confirm", {
+    body: { uploadId: presigned.data.uploadId },
+  });
+  return (await request("GET", `/api/upload/${confirmed.data.uploadId}`)).body
+    .data;
+};
+
+const stream = (uploadId) => request("GET", `/api/upload/${uploadId}/stream`);
+
+describe("copy, move and rename", () => {
+  before(startApp);
+  after(stopApp);
+  afterEach(() => {
+    delete process.env.QUOTA_OVERRIDES;
+  });
+
+  it("copies an upload into a new one with the same attributes", async () => {
+    const body = mp4Bytes();
+    const source = await uploadWithAttributes(body);
+
+    const { status, body: copied } = await request(
+      "POST",
+      `/api/upload/${source.uploadId}/copy`,
+      { body: { fileName: "copy.mp4" } }
+    );
+    assert.equal(status, 201);
+    const copy = copied.data;
+    assert.notEqual(copy.uploadId, source.uploadId);
+    assert.notEqual(copy.s3Key, source.s3Key);
+    assert.equal(copy.copiedFrom, source.uploadId);
+    assert.equal(copy.fileName, "copy.mp4");
+    assert.equal(copy.status, "completed");
+    assert.deepEqual(copy.metadata, { title: "Summer" });
+    assert.deepEqual(copy.tags, { genre: "travel" });
+
+    const object = await storage.getObjectMetadata(copy.s3Key);
+    assert.equal(object.metadata.title, "Summer");
+    assert.ok((await stream(copy.uploadId)).body.equals(body));
+    // The original is untouched
+    assert.ok((await stream(source.uploadId)).body.equals(body));
+  });
+
+  it("counts copies towards the owner's quota", async () => {
+    const source = await uploadWithAttributes(mp4Bytes());
+    process.env.QUOTA_OVERRIDES = JSON.stringify({
+      alice: { storageBytes: 4096 },
+    });
+
+    const { status, body } = await request(
+      "POST",
+      `/api/upload/${source.uploadId}/copy`,
+      { body: {} }
+    );
+    assert.equal(status, 403);
+    assert.equal(body.error.code, "QUOTA_EXCEEDED");
+  });
+
+  it("moves an upload to a key derived from its new name", async () => {
+    const body = mp4Bytes();
+    const source = await uploadWithAttributes(body);
+
+    const { status, body: moved } = await request(
+      "POST",
+      `/api/upload/${source.uploadId}/move`,
+      { body: { fileName: "renamed.mp4" } }
+    );
+    assert.equal(status, 200);
+    assert.equal(moved.data.uploadId, source.uploadId);
+    assert.match(moved.data.s3Key, /renamed\.mp4$/);
+    assert.equal(moved.data.fileName, "renamed.mp4");
+    assert.ok(moved.data.renamedAt);
+
+    assert.equal(await storage.getObjectMetadata(source.s3Key), null);
+    const object = await storage.getObjectMetadata(moved.data.s3Key);
+    assert.equal(object.metadata.title, "Summer");
+    assert.ok((await stream(source.uploadId)).body.equals(body));
+  });
+
+  it("renames without moving the object", async () => {
+    const source = await uploadWithAttributes(mp4Bytes());
+
+    const { body: renamed } = await request(
+      "PATCH",
+      `/api/upload/${source.uploadId}`,
+      { body: { fileName: "Trip to the coast.mp4" } }
+    );
+    assert.equal(renamed.data.s3Key, source.s3Key);
+    assert.equal(renamed.data.fileName, "Trip to the coast.mp4");
+
+    const { headers } = await stream(source.uploadId);
+    assert.match(
+      headers.get("content-disposition"),
+      /filename="Trip to the coast\.mp4"/
+    );
+  });
+
+  it("only copies and moves completed uploads of the caller", async () => {
+    const { body: presigned } = await request(
+      "POST",
+      "/api/upload/presigned-url",
+      { body: { fileName: "clip.mp4", contentType: "video/mp4" } }
+    );
+    for (const action of ["copy", "move"]) {
+      const { status, body } = await request(
+        "POST",
+        `/api/upload/${presigned.data.uploadId}/${action}`,
+        { body: { fileName: "x.mp4" } }
+      );
+      assert.equal(status, 409);
+      assert.equal(body.error.code, "UPLOAD_NOT_COMPLETED");
+    }
+
+    const source = await uploadWithAttributes(mp4Bytes());
+    const { status } = await request(
+      "POST",
+      `/api/upload/${source.uploadId}/copy`,
+      { as: "bob", body: {} }
+    );
+    assert.equal(status, 404);
+  });
+
+  it("needs something to move to", async () => {
+    const source = await uploadWithAttributes(mp4Bytes());
+
+    const { status } = await request(
+      "POST",
+      `/api/upload/${source.uploadId}/move`,
+      { body: {} }
+    );
+    assert.equal(status, 400);
+  });
+});
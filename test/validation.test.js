@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  uploadFile,
+} = require("./helpers");
+
+const presign = (body) =>
+  request("POST", "/api/upload/presigned-url", { body });
+
+// { field: message } of a VALIDATION_ERROR response, for one location
+const errorsIn = (response, location) => {
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.code, "VALIDATION_ERROR");
+  return Object.fromEntries(
+    response.body.error.details
+      .filter((detail) => detail.location === location)
+      .map((detail) => [detail.field, detail.message])
+  );
+};
+
+describe("request validation", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("reports every invalid field at once", async () => {
+    const errors = errorsIn(await presign({ fileSize: "lots" }), "body");
+
+    assert.deepEqual(Object.keys(errors).sort(), [
+      "contentType",
+      "fileName",
+      "fileSize",
+    ]);
+    assert.equal(errors.fileName, "fileName is required");
+    assert.equal(errors.fileSize, "fileSize must be a number");
+  });
+
+  it("coerces and trims what it accepts, and drops unknown keys", async () => {
+    const { status, body } = await presign({
+      fileName: "  clip.mp4  ",
+      contentType: "video/mp4",
+      fileSize: "4096",
+      status: "completed",
+    });
+    assert.equal(status, 200);
+
+    const { body: upload } = await request(
+      "GET",
+      `/api/upload/${body.data.uploadId}`
+    );
+    assert.equal(upload.data.fileName, "clip.mp4");
+    assert.equal(upload.data.fileSize, 4096);
+    assert.equal(upload.data.status, "pending");
+  });
+
+  it("normalizes checksum algorithm names", async () => {
+    const file = mp4Bytes();
+    const checksum = crypto.createHash("sha256").update(file).digest("base64");
+
+    const { status, body } = await presign({
+      fileName: "clip.mp4",
+      contentType: "video/mp4",
+      fileSize: file.length,
+      checksumAlgorithm: "sha-256",
+      checksum,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.headers["x-amz-checksum-sha256"], checksum);
+
+    const missing = errorsIn(
+      await presign({
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        checksumAlgorithm: "crc32c",
+      }),
+      "body"
+    );
+    assert.equal(missing.checksum, "checksum is required");
+  });
+
+  it("rejects reserved and malformed metadata and tags", async () => {
+    const errors = errorsIn(
+      await presign({
+        fileName: "clip.mp4",
+        contentType: "video/mp4",
+        metadata: { "user-id": "bob", Title: "x" },
+        tags: { "aws:owner": "bob" },
+      }),
+      "body"
+    );
+
+    assert.equal(errors["metadata.user-id"], "metadata.user-id is reserved");
+    assert.match(errors["metadata.Title"], /not a valid metadata key/);
+    assert.match(errors["tags.aws:owner"], /not a valid tag name/);
+  });
+
+  it("validates route params", async () => {
+    const errors = errorsIn(
+      await request("GET", "/api/upload/not-an-id"),
+      "params"
+    );
+    assert.ok(errors.uploadId);
+  });
+
+  it("coerces query strings and fills in defaults", async () => {
+    await uploadFile();
+    const { body: newest } = await uploadFile();
+
+    const { status, body } = await request(
+      "GET",
+      "/api/upload?limit=1&unknown=1"
+    );
+    assert.equal(status, 200);
+    // Newest first unless asked otherwise
+    assert.deepEqual(
+      body.data.uploads.map((upload) => upload.uploadId),
+      [newest.data.uploadId]
+    );
+
+    // A single ?tag= becomes a one-item list
+    const tagged = await request("GET", "/api/upload?tag=genre");
+    assert.equal(tagged.status, 200);
+    assert.equal(tagged.body.data.uploads.length, 0);
+
+    const errors = errorsIn(
+      await request("GET", "/api/upload?limit=0&order=sideways&sort=size"),
+      "query"
+    );
+    assert.deepEqual(Object.keys(errors).sort(), ["limit", "order", "sort"]);
+  });
+
+  it("refuses requests whose fields don't go together", async () => {
+    const bulkDelete = errorsIn(
+      await request("POST", "/api/upload/bulk-delete", { body: {} }),
+      "body"
+    );
+    assert.match(Object.values(bulkDelete)[0], /would delete everything/);
+
+    const download = await request("POST", "/api/upload/download-url", {
+      body: {},
+    });
+    assert.equal(download.status, 400);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  stopApp,
+  request,
+  mp4Bytes,
+  putObject,
+  uploadFile,
+  uploadMultipart,
+} = require("./helpers");
+
+const presign = async (body, as = "alice") =>
+  (
+    await request("POST", "/api/upload/presigned-url", {
+      as,
+      body: { fileName: "clip.mp4", contentType: "video/mp4", ...body },
+    })
+  ).body.data;
+
+const confirm = (uploadId, as = "alice") =>
+  request("POST", "/api/upload/confirm", { as, body: { uploadId } });
+
+describe("upload verification", () => {
+  before(startApp);
+  after(stopApp);
+
+  it("completes an upload whose object matches what was declared", async () => {
+    const body = mp4Bytes(2048);
+    const { status, body: response } = await uploadFile({ body });
+
+    assert.equal(status, 200);
+    assert.equal(response.data.status, "completed");
+
+    const { body: upload } = await request(
+      "GET",
+      `/api/upload/${response.data.uploadId}`
+    );
+    assert.equal(upload.data.status, "completed");
+    assert.equal(upload.data.fileSize, 2048);
+    assert.equal(upload.data.detectedType, "video/mp4");
+    assert.ok(upload.data.eTag);
+  });
+
+  it("fails verification while the object is missing, and retries", async () => {
+    const body = mp4Bytes();
+    const presigned = await presign({ fileSize: body.length });
+
+    const missing = await confirm(presigned.uploadId);
+    assert.equal(missing.status, 422);
+    assert.equal(missing.body.error.code, "VERIFICATION_FAILED");
+
+    const { body: failed } = await request(
+      "GET",
+      `/api/upload/${presigned.uploadId}`
+    );
+    assert.equal(failed.data.status, "verification-failed");
+
+    // A verification-failed upload can be confirmed again once the object lands
+    assert.equal(await putObject(presigned, body), 200);
+    const retried = await confirm(presigned.uploadId);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.data.status, "completed");
+  });
+
+  it("rejects an object whose size differs from the declared fileSize", async () => {
+    const presigned = await presign({ fileSize: 5000 });
+    await putObject(presigned, mp4Bytes(4000));
+
+    const { status, body } = await confirm(presigned.uploadId);
+    assert.equal(status, 422);
+    assert.match(
+      body.error.details.join(" "),
+      /does not match declared fileSize/
+    );
+  });
+
+  it("quarantines an object whose bytes aren't the declared type", async () => {
+    const body = Buffer.alloc(4096, "not a video");
+    const presigned = await presign({ fileSize: body.length });
+    await putObject(presigned, body);
+
+    const { status } = await confirm(presigned.uploadId);
+    assert.equal(status, 422);
+
+    const { body: upload } = await request(
+      "GET",
+      `/api/upload/${presigned.uploadId}`
+    );
+    assert.equal(upload.data.status, "quarantined");
+  });
+
+  it("refuses to confirm an upload twice", async () => {
+    const { body: first } = await uploadFile();
+
+    const second = await confirm(first.data.uploadId);
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error.code, "UPLOAD_NOT_PENDING");
+  });
+
+  it("refuses to confirm a multipart upload", async () => {
+    const { body: initiated } = await request(
+      "POST",
+      "/api/upload/multipart/initiate",
+      {
+        body: {
+          fileName: "big.mp4",
+          contentType: "video/mp4",
+          fileSize: 200 * 1024 * 1024,
+        },
+      }
+    );
+
+    const { status, body } = await confirm(initiated.data.uploadId);
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "MULTIPART_UPLOAD");
+
+    // The session is still usable
+    const parts = await request(
+      "GET",
+      `/api/upload/multipart/${initiated.data.uploadId}/parts`
+    );
+    assert.equal(parts.status, 200);
+  });
+
+  it("only completes or aborts multipart uploads in progress", async () => {
+    const { body: initiated } = await request(
+      "POST",
+      "/api/upload/multipart/initiate",
+      {
+        body: {
+          fileName: "big.mp4",
+          contentType: "video/mp4",
+          fileSize: 200 * 1024 * 1024,
+        },
+      }
+    );
+    const { uploadId } = initiated.data;
+
+    const aborted = await request("POST", "/api/upload/multipart/abort", {
+      body: { uploadId },
+    });
+    assert.equal(aborted.status, 200);
+
+    const again = await request("POST", "/api/upload/multipart/abort", {
+      body: { uploadId },
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.code, "UPLOAD_NOT_IN_PROGRESS");
+
+    const completed = await request("POST", "/api/upload/multipart/complete", {
+      body: { uploadId, parts: [{ PartNumber: 1, ETag: '"etag"' }] },
+    });
+    assert.equal(completed.status, 409);
+    assert.equal(completed.body.error.code, "UPLOAD_NOT_IN_PROGRESS");
+
+    const { body: upload } = await request("GET", `/api/upload/${uploadId}`);
+    assert.equal(upload.data.status, "aborted");
+  });
+
+  it("refuses to complete a multipart upload twice", async () => {
+    const body = Buffer.concat([
+      mp4Bytes(),
+      Buffer.alloc(50 * 1024 * 1024 - 4096 + 10),
+    ]);
+    const first = await uploadMultipart({ body });
+    assert.equal(first.status, 200);
+
+    const second = await request("POST", "/api/upload/multipart/complete", {
+      body: { uploadId: first.uploadId, parts: first.parts },
+    });
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error.code, "UPLOAD_NOT_IN_PROGRESS");
+
+    const { body: upload } = await request(
+      "GET",
+      `/api/upload/${first.uploadId}`
+    );
+    assert.equal(upload.data.status, "completed");
+    assert.equal(upload.data.fileSize, body.length);
+  });
+
+  it("hides other users' uploads", async () => {
+    const presigned = await presign({ fileSize: 4096 });
+
+    const { status } = await confirm(presigned.uploadId, "bob");
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { once } = require("events");
+const { setTimeout: sleep } = require("timers/promises");
+const { startApp, stopApp, request, uploadFile } = require("./helpers");
+const {
+  deliveryStore,
+  pruneDeliveries,
+  startWebhookDispatcher,
+} = require("../src/services/webhooks");
+
+const SECRET = "whsec-test-secret-of-at-least-32-chars";
+
+/**
+ * Poll until check returns a truthy value
+ * @param {Function} check - Sync or async check
+ * @param {number} [timeoutMs=3000]
+ * @returns {Promise<*>} - The truthy value
+ */
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await sleep(20);
+  }
+};
+
+describe("webhooks", () => {
+  // Receiver that records every request per path and answers with the
+  // status set for that path
+  const received = {};
+  const statuses = {};
+  let receiver;
+  let receiverUrl;
+
+  const subscribe = async (name, body = {}) => {
+    const { status, body: created } = await request("POST", "/api/webhooks", {
+      as: "admin",
+      body: { url: `${receiverUrl}/${name}`, secret: SECRET, ...body },
+    });
+    assert.equal(status, 201);
+    return created.data;
+  };
+
+  before(async () => {
+    receiver = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      const name = req.url.slice(1);
+      (received[name] ||= []).push({
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString(),
+      });
+      res.statusCode = statuses[name] || 200;
+      res.end();
+    });
+    receiver.listen(0, "127.0.0.1");
+    await once(receiver, "listening");
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    await startApp();
+  });
+  after(async () => {
+    receiver.closeAllConnections();
+    receiver.close();
+    await stopApp();
+  });
+
+  afterEach(async () => {
+    const { body } = await request("GET", "/api/webhooks", { as: "admin" });
+    for (const subscription of body.data.subscriptions) {
+      await request("DELETE", `/api/webhooks/${subscription.id}`, {
+        as: "admin",
+      });
+    }
+  });
+
+  it("is for admins only", async () => {
+    const { status } = await request("GET", "/api/webhooks");
+    assert.equal(status, 403);
+  });
+
+  it("validates subscriptions", async () => {
+    const invalid = [
+      { url: "ftp://example.com/hook" },
+      { url: "https://example.com/hook", secret: 12345 },
+      { url: "https://example.com/hook", secret: "too-short" },
+      { url: "https://example.com/hook", events: ["upload.exploded"] },
+      { url: "https://example.com/hook", events: [] },
+    ];
+    for (const body of invalid) {
+      const { status, body: response } = await request(
+        "POST",
+        "/api/webhooks",
+        { as: "admin", body }
+      );
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.equal(response.error.code, "VALIDATION_ERROR");
+    }
+  });
+
+  it("only shows the secret when subscribing, generating one if needed", async () => {
+    const subscription = await subscribe("generated", { secret: undefined });
+    assert.match(subscription.secret, /^[a-f0-9]{64}$/);
+    assert.deepEqual(subscription.events, ["*"]);
+
+    const { body } = await request("GET", "/api/webhooks", { as: "admin" });
+    assert.equal(body.data.subscriptions[0].secret, undefined);
+  });
+
+  it("delivers signed lifecycle events", async () => {
+    await subscribe("signed");
+    const { body: confirmed } = await uploadFile();
+
+    const deliveries = await waitFor(
+      () => received.signed?.length >= 2 && received.signed
+    );
+    const events = deliveries.map(
+      (delivery) => delivery.headers["x-webhook-event"]
+    );
+    assert.deepEqual(events, ["upload.created", "upload.completed"]);
+
+    for (const { headers, body } of deliveries) {
+      const [, timestamp, signature] = headers["x-webhook-signature"].match(
+        /^t=(\d+),v1=([a-f0-9]{64})$/
+      );
+      const expected = crypto
+        .createHmac("sha256", SECRET)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+      assert.equal(signature, expected);
+      assert.equal(JSON.parse(body).type, headers["x-webhook-event"]);
+    }
+    assert.equal(
+      JSON.parse(deliveries[1].body).data.upload.uploadId,
+      confirmed.data.uploadId
+    );
+  });
+
+  it("only delivers the events subscribed to", async () => {
+    await subscribe("filtered", { events: ["upload.completed"] });
+    await uploadFile();
+
+    await waitFor(() => received.filtered?.length >= 1);
+    await sleep(100);
+    assert.deepEqual(
+      received.filtered.map((delivery) => delivery.headers["x-webhook-event"]),
+      ["upload.completed"]
+    );
+  });
+
+  it("retries failed deliveries, dead-letters them and replays them", async () => {
+    statuses.failing = 500;
+    const subscription = await subscribe("failing", {
+      events: ["upload.completed"],
+    });
+
+    // Retry settings are read on every attempt, the poll interval on start
+    Object.assign(process.env, {
+      WEBHOOK_MAX_ATTEMPTS: "3",
+      WEBHOOK_RETRY_BASE_MS: "20",
+      WEBHOOK_POLL_MS: "20",
+    });
+    const stopDispatcher = startWebhookDispatcher();
+    try {
+      await uploadFile();
+
+      const dead = await waitFor(async () => {
+        const [delivery] = await deliveryStore.list(
+          ({ subscriptionId }) => subscriptionId === subscription.id
+        );
+        return delivery?.status === "dead" && delivery;
+      });
+      assert.equal(dead.attempts, 3);
+      assert.equal(dead.lastError, "Endpoint responded with 500");
+      assert.equal(received.failing.length, 3);
+
+      const { body: deadLetters } = await request(
+        "GET",
+        "/api/webhooks/dead-letters",
+        { as: "admin" }
+      );
+      assert.ok(
+        deadLetters.data.deliveries.some((delivery) => delivery.id === dead.id)
+      );
+
+      statuses.failing = 200;
+      const replayed = await request(
+        "POST",
+        `/api/webhooks/deliveries/${dead.id}/replay`,
+        { as: "admin" }
+      );
+      assert.equal(replayed.status, 202);
+
+      const delivered = await waitFor(async () => {
+        const delivery = await deliveryStore.get(dead.id);
+        return delivery.status === "delivered" && delivery;
+      });
+      assert.equal(delivered.attempts, 1);
+      assert.equal(received.failing.length, 4);
+    } finally {
+      stopDispatcher();
+      delete process.env.WEBHOOK_MAX_ATTEMPTS;
+      delete process.env.WEBHOOK_RETRY_BASE_MS;
+      delete process.env.WEBHOOK_POLL_MS;
+    }
+  });
+
+  it("prunes finished deliveries after their retention period", async () => {
+    const put = (id, status, finishedAgoMs) =>
+      deliveryStore.put({
+        id,
+        subscriptionId: "gone",
+        event: "upload.completed",
+        payload: {},
+        status,
+        attempts: 1,
+        createdAt: new Date(Date.now() - finishedAgoMs).toISOString(),
+        lastAttemptAt: new Date(Date.now() - finishedAgoMs).toISOString(),
+      });
+    await put("old-delivered", "delivered", 2 * 60 * 60 * 1000);
+    await put("new-delivered", "delivered", 1000);
+    await put("old-dead", "dead", 2 * 60 * 60 * 1000);
+    await put("old-pending", "pending", 2 * 60 * 60 * 1000);
+
+    await pruneDeliveries();
+
+    assert.equal(await deliveryStore.get("old-delivered"), null);
+    assert.ok(await deliveryStore.get("new-delivered"));
+    // Dead letters are kept a week by default, pending ones until sent
+    assert.ok(await deliveryStore.get("old-dead"));
+    assert.ok(await deliveryStore.get("old-pending"));
+  });
+});